@@ -0,0 +1,127 @@
+// MODキャッシュの更新・検証・検索を行うCLI
+import { pathToFileURL } from 'url';
+import { parseCliArgs } from './lib/options.js';
+import { runAudit } from './commands/audit.js';
+import { runCompat } from './commands/compat.js';
+import { runHash } from './commands/hash.js';
+import { runLookup } from './commands/lookup.js';
+import { runScan } from './commands/scan.js';
+import { runSearch } from './commands/search.js';
+import { runServe } from './commands/serve.js';
+import { runStats } from './commands/stats.js';
+import { runUpdate } from './commands/update.js';
+import { runValidateRepositories } from './commands/validate-repositories.js';
+import { runVerify } from './commands/verify.js';
+
+const COMMANDS = {
+  update: runUpdate,
+  hash: runHash,
+  audit: runAudit,
+  verify: runVerify,
+  stats: runStats,
+  lookup: runLookup,
+  scan: runScan,
+  search: runSearch,
+  compat: runCompat,
+  serve: runServe,
+  'validate-repositories': runValidateRepositories,
+};
+
+const HELP = `
+Usage: node scripts/cli.js <command> [options]
+
+Commands:
+  update              Collect MOD information from the manifest and the repositories and update the cache
+  hash                Download assets of the existing cache and calculate missing hashes
+                      and assembly and package metadata
+  audit               Re-download cached assets and record those whose hash or size changed
+  verify              Check the structure of the cache and the hash lookup table
+  stats               Show statistics of the cache
+  lookup <sha256|file>...
+                      Find the MOD and version of a file by its SHA256 hash
+                      (unknown DLLs are also matched by assembly name)
+  scan <dir>          Identify the .dll/.nupkg files of a Resonite install (rml_mods, rml_libs,
+                      MonkeyLoader/Mods) as known, outdated or unknown MODs
+  search <query>      Full-text search of MODs (name, tags, author, category, description,
+                      recent changelogs) using the prebuilt search index
+  compat <build>      List releases known to work with a Resonite build (e.g. 2024.7.12.12)
+  serve               Serve the cache as a local HTTP API (no network access or token needed)
+  validate-repositories [file]
+                      Check repositories.json (schema, categories, URLs, duplicates, tags)
+
+Options:
+  --hash <mode>       Hash calculation: none, missing (default) or all
+  --force-hash        Same as --hash=all
+  --max-age <age>     Skip refetching MODs updated within this age (e.g. 7d, 12h, 30m)
+                      Default: 0 (always check, unchanged repositories are skipped with ETags)
+  --concurrency <n>   Concurrent requests (default: 4, or MOD_CACHE_CONCURRENCY)
+  --output-dir <dir>  Cache directory (default: cache)
+  --repo <pattern>    Only process matching MODs (owner/repo, name or MOD id; "*" wildcard)
+                      Can be given multiple times
+  --max-drop <pct>    Refuse to replace the cache if the MOD or release count drops by
+                      more than this percentage (default: 10)
+  --allow-removals    Replace the cache even if MODs disappeared or the counts dropped
+  --sample <n>        Assets to audit, least recently audited first (default: 50)
+  --all               Audit every hashed asset instead of a sample
+  --digests <list>    Also calculate these hashes: sha1, sha512 (comma separated)
+  --store <dir>       Keep downloaded files in a content-addressed store
+                      (default: MOD_CACHE_STORE)
+  --breaking-build <build>
+                      Resonite build (or date) that broke older MODs; MODs whose latest release
+                      predates it are marked possibly_broken (default: MOD_CACHE_BREAKING_BUILD)
+  --port <n>          Port of the HTTP API (serve, default: 8080, or MOD_CACHE_PORT)
+  --host <host>       Address the HTTP API listens on (serve, default: 127.0.0.1, or MOD_CACHE_HOST)
+  --json              Print results as JSON (verify, stats, lookup, scan, search, compat, validate-repositories)
+  --probe             Also fetch releases of each enabled repository (validate-repositories)
+  --annotations       Print problems as GitHub Actions annotations (validate-repositories)
+  --help, -h          Show this help message
+
+Environment Variables:
+  GITHUB_TOKEN        GitHub personal access token (recommended for higher rate limits)
+  GITLAB_TOKEN        GitLab access token for private projects (sent to gitlab.com only)
+  GITEA_TOKEN         Gitea/Forgejo access token for private repositories
+                      (sent to codeberg.org and gitea.com only)
+  MOD_CACHE_STORE     Directory of the content-addressed store of downloaded files
+  MOD_CACHE_BREAKING_BUILD
+                      Resonite build that broke older MODs (see --breaking-build)
+  MOD_CACHE_PORT      Port of the HTTP API (see --port)
+  MOD_CACHE_HOST      Address the HTTP API listens on (see --host)
+  MOD_CACHE_BASE_URL  Base URL of the published cache directory used in feed links
+                      (default: the raw URL of cache/ on the main branch)
+`;
+
+// CLIを実行して終了コードを返す
+export async function runCli(argv) {
+  let parsed;
+  try {
+    parsed = parseCliArgs(argv);
+  } catch (error) {
+    console.error(error.message);
+    console.log(HELP);
+    return 1;
+  }
+
+  const { command, args, options } = parsed;
+  if (options.help || !command) {
+    console.log(HELP);
+    return options.help ? 0 : 1;
+  }
+
+  const run = COMMANDS[command];
+  if (!run) {
+    console.error(`Unknown command: ${command}`);
+    console.log(HELP);
+    return 1;
+  }
+
+  try {
+    return await run(args, options);
+  } catch (error) {
+    console.error('Error:', error);
+    return 1;
+  }
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  process.exitCode = await runCli(process.argv.slice(2));
+}
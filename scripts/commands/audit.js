@@ -0,0 +1,70 @@
+// audit: キャッシュ済みのアセットを再ダウンロードし、ハッシュ・サイズがキャッシュと一致するかを監査
+import { applyPrimaryAsset } from '../lib/assets.js';
+import { applyAuditResult, createAuditReport, formatAuditMarkdown, selectAuditTargets, writeAuditSummary } from '../lib/audit.js';
+import { getCachePaths, loadExistingCache, saveAuditReport, writeCache } from '../lib/cache.js';
+import { getDownloadOptions } from '../lib/content-store.js';
+import { downloadAndHash } from '../lib/hash.js';
+import { createRepoFilter } from '../lib/options.js';
+import { createRequestScheduler, runWithConcurrency } from '../lib/request-scheduler.js';
+
+export async function runAudit(args, options) {
+  const paths = getCachePaths(options.outputDir);
+  const mods = await loadExistingCache(paths);
+  if (mods.length === 0) {
+    console.error(`No MODs found in ${paths.mods}. Run "update" first.`);
+    return 1;
+  }
+
+  const matchingMods = mods.filter(createRepoFilter(options.repoPatterns));
+  const totalAssets = selectAuditTargets(matchingMods, { all: true }).length;
+  const targets = selectAuditTargets(matchingMods, { sample: options.sample, all: options.all });
+  if (targets.length === 0) {
+    console.log('No hashed assets to audit');
+    return 0;
+  }
+  console.log(`Auditing ${targets.length} of ${totalAssets} hashed assets with concurrency ${options.concurrency}`);
+
+  const scheduler = createRequestScheduler({ concurrency: options.concurrency });
+  // 監査は常にダウンロードし直す（ストアを指定した場合はダウンロードしたファイルを保存）
+  const { store } = getDownloadOptions(options);
+  const checkedAt = new Date().toISOString();
+  const auditedMods = new Set();
+  const changedMods = new Set();
+
+  const results = await runWithConcurrency(targets, options.concurrency, async ({ mod, release, assetIndex }) => {
+    const asset = release.assets[assetIndex];
+    const hashInfo = await downloadAndHash(asset.download_url, { scheduler, store });
+    if (!hashInfo) {
+      return { mod, release, asset, status: 'failed' };
+    }
+
+    const audited = applyAuditResult(asset, hashInfo, checkedAt);
+    if (audited.integrity === 'mismatch') {
+      console.warn(`  Integrity mismatch for ${mod.name} ${release.version} (${asset.name}): cached ${audited.integrity_mismatch.previous_sha256}, downloaded ${hashInfo.sha256}`);
+    }
+    release.assets[assetIndex] = audited;
+    auditedMods.add(mod);
+    // 監査の結果（一致・不一致と差し替え後のファイル）が前回から変わったMOD
+    if (audited.integrity !== asset.integrity || audited.integrity_mismatch?.sha256 !== asset.integrity_mismatch?.sha256) {
+      changedMods.add(mod);
+    }
+    return { mod, release, asset: audited, status: audited.integrity };
+  });
+
+  // 監査したMODの従来のフィールドを更新し、監査の結果が変わったMODのみ更新日時を更新（キャッシュのハッシュは上書きしない）
+  for (const mod of auditedMods) {
+    mod.releases = mod.releases.map(release => release.assets ? applyPrimaryAsset(release) : release);
+    if (changedMods.has(mod)) mod.last_updated = checkedAt;
+  }
+
+  const report = createAuditReport(results, { totalAssets, all: options.all });
+  await writeCache(paths, mods, { command: 'audit', breakingBuild: options.breakingBuild });
+  await saveAuditReport(paths, report, formatAuditMarkdown(report));
+  await writeAuditSummary(report);
+
+  console.log(`\nAudited ${report.checked} assets: ${report.ok} ok, ${report.mismatches.length} mismatches, ${report.failures.length} failed`);
+  console.log(`Saved audit report to ${paths.audit}`);
+
+  // 差し替えられたアセットが見つかった場合は終了コード1（キャッシュとレポートは保存済み）
+  return report.mismatches.length === 0 ? 0 : 1;
+}
@@ -0,0 +1,42 @@
+// compat: 指定したResoniteのビルドで動作することが分かっているリリースを一覧表示
+import { getCachePaths, loadExistingCache } from '../lib/cache.js';
+import { isCompatibleWith, parseGameBuild } from '../lib/compat.js';
+import { getModId } from '../lib/mod-id.js';
+import { createRepoFilter } from '../lib/options.js';
+
+// 対応するビルドの範囲の表示（"2024.7.12.12 - 2025.1.1.0 (exclusive)"など）
+function formatCompat({ min, max, max_exclusive }) {
+  if (!max) return `${min} -`;
+  return `${min} - ${max}${max_exclusive ? ' (exclusive)' : ''}`;
+}
+
+export async function runCompat(args, options) {
+  const build = parseGameBuild(args[0]);
+  if (!build) {
+    console.error('Usage: compat <build> (e.g. 2024.7.12.12)');
+    return 1;
+  }
+
+  const mods = (await loadExistingCache(getCachePaths(options.outputDir))).filter(createRepoFilter(options.repoPatterns));
+  const results = mods.flatMap(mod => (mod.releases || [])
+    .filter(release => isCompatibleWith(release, build, { breakingBuild: options.breakingBuild }))
+    .map(release => ({
+      mod_id: getModId(mod),
+      mod_name: mod.name,
+      version: release.version,
+      prerelease: Boolean(release.prerelease),
+      resonite_compat: release.resonite_compat,
+    })));
+
+  if (options.json) {
+    console.log(JSON.stringify({ build, releases: results }, null, 2));
+  } else {
+    for (const result of results) {
+      const prerelease = result.prerelease ? ' (prerelease)' : '';
+      console.log(`${result.mod_name} ${result.version}${prerelease} [${formatCompat(result.resonite_compat)}, ${result.resonite_compat.source}]`);
+    }
+    const modCount = new Set(results.map(result => result.mod_id)).size;
+    console.log(`\n${results.length} releases of ${modCount} MODs are known to work with Resonite ${build}`);
+  }
+  return 0;
+}
@@ -0,0 +1,104 @@
+// hash: 既存のキャッシュのアセットをダウンロードしてハッシュを計算（GitHub APIは使用しない）
+import { applyFileDetails, applyHashFailure, applyPrimaryAsset, getComputedHash, getHashFailure, getMissingDigests } from '../lib/assets.js';
+import { applyRecomputedHash } from '../lib/audit.js';
+import { getCachePaths, getHashMetadata, loadExistingCache, writeCache } from '../lib/cache.js';
+import { getDownloadOptions } from '../lib/content-store.js';
+import { downloadAndHash, getHashFailureReason } from '../lib/hash.js';
+import { getInspector, needsInspection } from '../lib/inspect.js';
+import { createRepoFilter } from '../lib/options.js';
+import { createRequestScheduler, runWithConcurrency } from '../lib/request-scheduler.js';
+
+export async function runHash(args, options) {
+  if (options.hashMode === 'none') {
+    console.error('Nothing to do with --hash=none');
+    return 1;
+  }
+
+  const paths = getCachePaths(options.outputDir);
+  const mods = await loadExistingCache(paths);
+  if (mods.length === 0) {
+    console.error(`No MODs found in ${paths.mods}. Run "update" first.`);
+    return 1;
+  }
+
+  // 計算対象のアセット（ハッシュ未計算、--digestsで指定したハッシュが無いもの、内容を未解析のもの）を一覧化
+  // 同じURLで前回ダウンロードに失敗したアセットは--hash=allの場合のみ再試行
+  const matchesFilter = createRepoFilter(options.repoPatterns);
+  const targets = [];
+  for (const mod of mods.filter(matchesFilter)) {
+    for (const release of mod.releases || []) {
+      (release.assets || []).forEach((asset, assetIndex) => {
+        if (!asset.download_url) return;
+        if (options.hashMode !== 'all' && getHashFailure(asset)) return;
+        const needsHash = options.hashMode === 'all' || !asset.sha256;
+        if (!needsHash && getMissingDigests(asset, options.digests).length === 0 && !needsInspection(asset)) return;
+        targets.push({ mod, release, assetIndex, needsHash });
+      });
+    }
+  }
+
+  if (targets.length === 0) {
+    console.log('All assets already have hashes');
+    return 0;
+  }
+  console.log(`Hashing ${targets.length} assets with concurrency ${options.concurrency}`);
+
+  const scheduler = createRequestScheduler({ concurrency: options.concurrency });
+  const download = getDownloadOptions(options);
+  const hashedMods = new Set();
+  let failed = 0;
+
+  await runWithConcurrency(targets, options.concurrency, async ({ mod, release, assetIndex, needsHash }) => {
+    const asset = release.assets[assetIndex];
+    const label = `${mod.name} ${release.version}`;
+    const inspect = getInspector(asset.name);
+
+    if (!needsHash) {
+      // sha256が分かっているアセットはストアに保存済みのファイルがあれば再ダウンロードしない
+      const expected = getComputedHash(asset) || asset.sha256;
+      const hashInfo = await download.store?.hash(expected, download.algorithms, inspect) ||
+        await downloadAndHash(asset.download_url, { ...download, scheduler, inspect });
+      if (!hashInfo) {
+        failed++;
+        return;
+      }
+      // 差し替えられたファイルのハッシュは記録しない（auditで確認）
+      if (hashInfo.sha256 !== expected) {
+        console.warn(`  Downloaded file of ${label} (${asset.name}) does not match the cached hash; run "audit" to record it`);
+        failed++;
+        return;
+      }
+      release.assets[assetIndex] = applyFileDetails(asset, hashInfo);
+      hashedMods.add(mod);
+      return;
+    }
+
+    let failureReason = null;
+    const hashInfo = await downloadAndHash(asset.download_url, {
+      ...download,
+      scheduler,
+      inspect,
+      onError: error => { failureReason = getHashFailureReason(error); },
+    });
+    if (!hashInfo) {
+      if (!asset.sha256) release.assets[assetIndex] = applyHashFailure(asset, failureReason);
+      failed++;
+      return;
+    }
+    // 計算済みのハッシュ（--hash=all）は、auditで記録した差し替え後のファイルと一致する場合のみ新しいハッシュを採用
+    release.assets[assetIndex] = applyRecomputedHash(asset, hashInfo, label, { acceptRecorded: true });
+    hashedMods.add(mod);
+  });
+
+  // 従来のフィールドとハッシュの取得状況・更新日時を更新
+  const now = new Date().toISOString();
+  for (const mod of hashedMods) {
+    mod.releases = mod.releases.map(release => release.assets ? applyPrimaryAsset(release) : release);
+    mod.hash_metadata = getHashMetadata(mod, now);
+    mod.last_updated = now;
+  }
+
+  await writeCache(paths, mods, { command: 'hash', breakingBuild: options.breakingBuild });
+  console.log(`\nHashed ${targets.length - failed}/${targets.length} assets (${failed} failed)`);
+  return 0;
+}
@@ -0,0 +1,69 @@
+// lookup: SHA256ハッシュまたはファイルから該当するMODとバージョンを検索
+import fs from 'fs/promises';
+import { readAssemblyMetadata } from '../lib/assembly.js';
+import { generateHashLookup, getCachePaths, loadExistingCache, loadHashLookup } from '../lib/cache.js';
+import { hashFile, isSha256 } from '../lib/hash.js';
+import { findAssemblyMatches } from '../lib/scan.js';
+
+// ファイルのアセンブリ名を取得（.NETアセンブリでなければnull）
+async function readAssemblyName(filePath) {
+  try {
+    return readAssemblyMetadata(await fs.readFile(filePath))?.name || null;
+  } catch {
+    return null;
+  }
+}
+
+export async function runLookup(args, options) {
+  if (args.length === 0) {
+    console.error('Usage: lookup <sha256|file>...');
+    return 1;
+  }
+
+  // ハッシュルックアップテーブルが無い場合はmods.jsonから生成
+  const paths = getCachePaths(options.outputDir);
+  const hashLookup = await loadHashLookup(paths) || generateHashLookup(await loadExistingCache(paths));
+  const results = [];
+  let mods = null;
+
+  for (const arg of args) {
+    // 引数がSHA256ハッシュでなければファイルとしてハッシュを計算
+    const isHash = isSha256(arg.toLowerCase());
+    const sha256 = isHash ? arg.toLowerCase() : await hashFile(arg);
+    const result = { query: arg, sha256, matches: hashLookup[sha256] || [] };
+
+    // ハッシュが見つからないファイルはアセンブリ名で候補を検索
+    if (!isHash && result.matches.length === 0) {
+      const assemblyName = await readAssemblyName(arg);
+      if (assemblyName) {
+        mods ??= await loadExistingCache(paths);
+        result.assembly_name = assemblyName;
+        result.assembly_matches = findAssemblyMatches(mods, assemblyName);
+      }
+    }
+    results.push(result);
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(results, null, 2));
+  } else {
+    for (const { query, sha256, matches, assembly_name, assembly_matches } of results) {
+      console.log(`${query}${query === sha256 ? '' : ` (${sha256})`}`);
+      if (matches.length === 0) {
+        console.log('  Unknown');
+      }
+      for (const match of matches) {
+        const container = match.contained_in ? ` (in ${match.contained_in.file_name})` : '';
+        console.log(`  ${match.mod_name} ${match.version} - ${match.file_name}${container} [${match.install_target || 'unknown'}]`);
+      }
+      if (assembly_matches?.length > 0) {
+        console.log(`  Same assembly name (${assembly_name}):`);
+        for (const match of assembly_matches) {
+          console.log(`    ${match.mod_name} ${match.version} - ${match.file_name} (assembly ${match.assembly_version})`);
+        }
+      }
+    }
+  }
+
+  return results.every(result => result.matches.length > 0) ? 0 : 1;
+}
@@ -0,0 +1,54 @@
+// scan: Resoniteのインストール先の.dll・.nupkgを検査し、既知のMOD・古いバージョン・不明なファイルを表示
+import { getCachePaths, loadExistingCache } from '../lib/cache.js';
+import { scanDirectory } from '../lib/scan.js';
+
+// 表の列（見出しと値）
+const COLUMNS = [
+  ['STATUS', file => file.status],
+  ['FILE', file => file.path],
+  ['MOD', file => file.mod_name || ''],
+  ['VERSION', file => file.version || ''],
+  ['LATEST', file => file.status === 'outdated' ? file.latest_version : ''],
+];
+
+// 検査結果を表形式で表示（古いバージョンはダウンロードURL、不明なファイルはアセンブリ名が一致するMODも表示）
+function printScanTable({ directory, files, summary }) {
+  console.log(`Scanned ${directory}\n`);
+  const rows = [COLUMNS.map(([title]) => title), ...files.map(file => COLUMNS.map(([, value]) => value(file)))];
+  const widths = COLUMNS.map((_, index) => Math.max(...rows.map(row => row[index].length)));
+
+  rows.forEach((row, rowIndex) => {
+    console.log(row.map((value, index) => value.padEnd(widths[index])).join('  ').trimEnd());
+    const file = files[rowIndex - 1];
+    if (file?.status === 'outdated' && file.latest_download_url) {
+      console.log(`  -> ${file.latest_download_url}`);
+    }
+    for (const match of file?.assembly_matches || []) {
+      console.log(`  same assembly name: ${match.mod_name} ${match.version} - ${match.file_name} (assembly ${match.assembly_version})`);
+    }
+  });
+  console.log(`\n${files.length} files: ${summary.known} known, ${summary.outdated} outdated, ${summary.unknown} unknown`);
+}
+
+export async function runScan(args, options) {
+  if (args.length !== 1) {
+    console.error('Usage: scan <dir>');
+    return 1;
+  }
+
+  const mods = await loadExistingCache(getCachePaths(options.outputDir));
+  let result;
+  try {
+    result = await scanDirectory(args[0], mods);
+  } catch (error) {
+    console.error(error.message);
+    return 1;
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    printScanTable(result);
+  }
+  return 0;
+}
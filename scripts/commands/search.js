@@ -0,0 +1,38 @@
+// search: 検索インデックス（search-index.json）でMODを全文検索
+import { getCachePaths, loadExistingCache, readDocument } from '../lib/cache.js';
+import { assignModIds } from '../lib/mod-id.js';
+import { getPayload } from '../lib/schema.js';
+import { buildSearchIndex, searchIndex } from '../lib/search.js';
+
+// 表示する検索結果の件数
+const RESULT_LIMIT = 20;
+
+// 検索インデックスを読み込み（無い場合はmods.jsonから作成）
+async function loadSearchIndex(paths) {
+  const data = await readDocument(paths.searchIndex);
+  if (data) return getPayload('searchIndex', data);
+
+  const mods = await loadExistingCache(paths);
+  const ids = assignModIds(mods);
+  return buildSearchIndex(mods.map(mod => ({ ...mod, id: ids.get(mod) })));
+}
+
+export async function runSearch(args, options) {
+  const query = args.join(' ').trim();
+  if (!query) {
+    console.error('Usage: search <query>');
+    return 1;
+  }
+
+  const results = searchIndex(await loadSearchIndex(getCachePaths(options.outputDir)), query, { limit: RESULT_LIMIT });
+  if (options.json) {
+    console.log(JSON.stringify({ query, results }, null, 2));
+  } else {
+    for (const result of results) {
+      const author = result.author ? ` by ${result.author}` : '';
+      console.log(`${result.name} ${result.latest_version || '-'}${author} (${result.id}) [${result.score}]`);
+    }
+    console.log(`\n${results.length} MODs found for "${query}"`);
+  }
+  return 0;
+}
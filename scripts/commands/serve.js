@@ -0,0 +1,25 @@
+// serve: キャッシュをHTTP APIとして配信（Ctrl+Cで終了）
+import { createApiServer } from '../lib/server.js';
+
+export async function runServe(args, options) {
+  const server = createApiServer({ outputDir: options.outputDir });
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port, options.host, resolve);
+  });
+
+  const { port } = server.address();
+  console.log(`Serving ${options.outputDir} at http://${options.host}:${port}`);
+  console.log('Endpoints: /mods, /mods/:id, /mods/:id/releases/:version, /lookup/sha256/:hash, /search?q=&category=&tag=&author=');
+
+  // 終了シグナルを受け取ったらサーバーを閉じる
+  await new Promise(resolve => {
+    const close = () => {
+      server.closeAllConnections();
+      server.close(resolve);
+    };
+    process.once('SIGINT', close);
+    process.once('SIGTERM', close);
+  });
+  return 0;
+}
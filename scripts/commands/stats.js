@@ -0,0 +1,19 @@
+// stats: キャッシュの統計情報を表示
+import { getCachePaths, loadExistingCache, loadHashLookup } from '../lib/cache.js';
+import { getCacheStats, printCacheStats } from '../lib/stats.js';
+
+export async function runStats(args, options) {
+  const paths = getCachePaths(options.outputDir);
+  const mods = await loadExistingCache(paths);
+
+  // ハッシュルックアップテーブルが無い場合はハッシュ数を表示しない
+  const hashLookup = await loadHashLookup(paths);
+
+  const stats = getCacheStats(mods, hashLookup);
+  if (options.json) {
+    console.log(JSON.stringify(stats, null, 2));
+  } else {
+    printCacheStats(stats);
+  }
+  return 0;
+}
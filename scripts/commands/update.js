@@ -0,0 +1,45 @@
+// update: GitHubとマニフェストからMOD情報を収集してキャッシュを更新
+import { getCachePaths, loadFetchState, saveFetchState, writeCache } from '../lib/cache.js';
+import { printChanges, writeChangesSummary } from '../lib/changes.js';
+import { collectModInfo } from '../lib/collect.js';
+import { createGitHubClient } from '../lib/github.js';
+import { checkCacheReplacement } from '../lib/guard.js';
+import { getCacheStats, printCacheStats, printFetchStats, writeStepSummary } from '../lib/stats.js';
+
+export async function runUpdate(args, options) {
+  console.log('Starting MOD cache update...\n');
+
+  const paths = getCachePaths(options.outputDir);
+  const client = createGitHubClient({ concurrency: options.concurrency });
+  const fetchState = await loadFetchState(paths);
+  const fetchStats = { manifest: null, unchanged: 0, refreshed: 0, skipped: 0, failed: 0, rateLimited: 0 };
+
+  const { mods, previousMods, listed } = await collectModInfo({ client, options, fetchState, fetchStats, paths });
+
+  // MOD数・リリース数の急減や既知のMODの消失がある場合はキャッシュを置き換えない
+  const problems = checkCacheReplacement(previousMods, mods, { listed, maxDropPercent: options.maxDropPercent });
+  if (problems.length > 0) {
+    for (const problem of problems) console.error(`  ${problem}`);
+    if (!options.allowRemovals) {
+      console.error('\nRefusing to replace the cache. Use --allow-removals if the removals are intentional.');
+      printFetchStats(fetchStats, client.scheduler);
+      await writeStepSummary(fetchStats, problems);
+      return 1;
+    }
+    console.warn('\nReplacing the cache anyway (--allow-removals)');
+  }
+
+  const { hashLookup, changes } = await writeCache(paths, mods, { breakingBuild: options.breakingBuild });
+
+  // 次回の条件付きリクエスト用にETag/Last-Modifiedを保存
+  await saveFetchState(paths, fetchState);
+
+  // サマリー情報を表示
+  console.log('\n=== Summary ===');
+  printCacheStats(getCacheStats(mods, hashLookup));
+  printFetchStats(fetchStats, client.scheduler);
+  printChanges(changes);
+  await writeStepSummary(fetchStats);
+  await writeChangesSummary(changes);
+  return 0;
+}
@@ -0,0 +1,49 @@
+// validate-repositories: repositories.jsonのスキーマ・カテゴリ・URL・重複・タグを検証（--probeでリリースも確認）
+import fs from 'fs/promises';
+import path from 'path';
+import { getCachePaths } from '../lib/cache.js';
+import { createGitHubClient } from '../lib/github.js';
+import { loadManifest } from '../lib/manifest.js';
+import { formatAnnotations, getEntryLines, getIssueLabel, validateRepositories } from '../lib/repositories.js';
+
+export async function runValidateRepositories(args, options) {
+  const file = args[0] || 'repositories.json';
+
+  let text;
+  let config;
+  try {
+    text = await fs.readFile(file, 'utf-8');
+    config = JSON.parse(text);
+  } catch (error) {
+    const message = `Failed to read ${file}: ${error.message}`;
+    console.error(options.annotations ? `::error file=${file}::${message}` : `error: ${message}`);
+    return 1;
+  }
+
+  const manifest = await loadManifest(getCachePaths(options.outputDir).manifest);
+  const client = options.probe ? createGitHubClient({ concurrency: options.concurrency }) : null;
+  const issues = await validateRepositories(config, { manifest, probe: options.probe, client });
+
+  const lines = getEntryLines(text);
+  const errors = issues.filter(issue => issue.level === 'error');
+  const warnings = issues.filter(issue => issue.level === 'warning');
+
+  if (options.json) {
+    const withLine = issue => ({ ...issue, line: issue.index !== null ? lines[issue.index] ?? null : null });
+    console.log(JSON.stringify({ ok: errors.length === 0, errors: errors.map(withLine), warnings: warnings.map(withLine) }, null, 2));
+  } else if (options.annotations) {
+    // PRの差分にエラー・警告として表示（ファイルのパスはリポジトリのルートからの相対パス）
+    for (const annotation of formatAnnotations(issues, { file: path.relative(process.cwd(), path.resolve(file)), lines })) {
+      console.log(annotation);
+    }
+  } else {
+    for (const warning of warnings) console.warn(`warning: ${getIssueLabel(warning)}: ${warning.message}`);
+    for (const error of errors) console.error(`error: ${getIssueLabel(error)}: ${error.message}`);
+  }
+
+  if (!options.json) {
+    const count = Array.isArray(config.repositories) ? config.repositories.length : 0;
+    console.log(`\n${count} repositories checked: ${errors.length} errors, ${warnings.length} warnings`);
+  }
+  return errors.length === 0 ? 0 : 1;
+}
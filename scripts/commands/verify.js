@@ -0,0 +1,173 @@
+// verify: キャッシュの構造とハッシュルックアップテーブルの整合性を検証
+import fs from 'fs/promises';
+import path from 'path';
+import { isDeepStrictEqual } from 'util';
+import { INSTALL_TARGETS, getHashFailure } from '../lib/assets.js';
+import { generateHashLookup, getCachePaths, readDocument } from '../lib/cache.js';
+import { isSha256 } from '../lib/hash.js';
+import { findUnknownReferences } from '../lib/inspect.js';
+import { getPayload, isLegacyDocument, validateDocument } from '../lib/schema.js';
+import { getShardHash } from '../lib/shards.js';
+import { selectLatestReleases } from '../lib/versions.js';
+
+// ハッシュルックアップテーブルがMOD情報と一致するか（mod_idの無い以前の形式はmod_idを除いて比較）
+function isHashLookupUpToDate(hashLookup, mods) {
+  const expected = generateHashLookup(mods);
+  const hasModIds = Object.values(hashLookup).some(entries => entries.some(entry => 'mod_id' in entry));
+  if (hasModIds) return isDeepStrictEqual(hashLookup, expected);
+  return isDeepStrictEqual(hashLookup, Object.fromEntries(Object.entries(expected).map(([hash, entries]) =>
+    [hash, entries.map(({ mod_id, ...entry }) => entry)]
+  )));
+}
+
+// MOD情報を検証し、問題点（errors）と注意点（warnings）を返す
+export function verifyMods(mods, hashLookup) {
+  const errors = [];
+  const warnings = [];
+
+  if (!Array.isArray(mods)) {
+    return { errors: ['mods.json must be an array'], warnings };
+  }
+
+  const seenIds = new Set();
+  mods.forEach((mod, modIndex) => {
+    const label = mod?.name || `#${modIndex}`;
+    if (typeof mod?.name !== 'string' || !mod.name) errors.push(`${label}: missing name`);
+    if (!mod?.source_location) errors.push(`${label}: missing source_location`);
+    // 同じリポジトリの複数のMODはIDで区別（IDの無い古い形式のマニフェストのMODは対象外）
+    const id = mod?.id || mod?.manifest_id || (mod?.source !== 'manifest' ? mod?.source_location : null);
+    if (id && seenIds.has(id)) errors.push(`${label}: duplicate MOD ${id}`);
+    if (id) seenIds.add(id);
+
+    if (!Array.isArray(mod?.releases)) {
+      errors.push(`${label}: releases must be an array`);
+      return;
+    }
+    // 最新バージョンがバージョン順で選択したリリースと一致するか（公開日時順で選んでいた以前の形式は注意点として報告）
+    const { latest, prerelease } = selectLatestReleases(mod.releases);
+    const isCurrentFormat = 'latest_prerelease_version' in mod;
+    if ((latest?.version || null) !== (mod.latest_version ?? null)) {
+      (isCurrentFormat ? errors : warnings).push(`${label}: latest_version ${mod.latest_version} does not match newest stable release ${latest?.version}`);
+    }
+    if (isCurrentFormat && (prerelease?.version || null) !== mod.latest_prerelease_version) {
+      errors.push(`${label}: latest_prerelease_version ${mod.latest_prerelease_version} does not match newest prerelease ${prerelease?.version}`);
+    }
+
+    for (const release of mod.releases) {
+      const releaseLabel = `${label} ${release.version}`;
+      if (!release.version) errors.push(`${label}: release without version`);
+      if (release.sha256 && !isSha256(release.sha256)) errors.push(`${releaseLabel}: invalid sha256 ${release.sha256}`);
+      for (const check of (release.provenance?.checks || []).filter(check => check.result === 'mismatch')) {
+        warnings.push(`${releaseLabel} (${check.asset}): ${check.file} lists ${check.published_sha256}, which does not match the computed hash`);
+      }
+
+      for (const asset of release.assets || []) {
+        const assetLabel = `${releaseLabel} (${asset.name})`;
+        if (!asset.name) errors.push(`${releaseLabel}: asset without name`);
+        if (asset.sha256 && !isSha256(asset.sha256)) errors.push(`${assetLabel}: invalid sha256 ${asset.sha256}`);
+        if (asset.install_target && !INSTALL_TARGETS.includes(asset.install_target)) {
+          warnings.push(`${assetLabel}: unknown install_target ${asset.install_target}`);
+        }
+        if (getHashFailure(asset)) {
+          warnings.push(`${assetLabel}: hash not computed (${asset.hash_failure.reason})`);
+        }
+        if (asset.hash_verified === false) {
+          warnings.push(`${assetLabel}: manifest hash ${asset.sha256} does not match computed ${asset.computed_sha256}`);
+        }
+        if (asset.integrity === 'mismatch') {
+          warnings.push(`${assetLabel}: audit found a different file (${asset.integrity_mismatch?.sha256}) than the cached hash ${asset.sha256}`);
+        }
+      }
+    }
+  });
+
+  // 最新リリースが参照するアセンブリがカタログに無いMOD（依存するMODが未登録・参照先の名前の誤りなど）
+  for (const { mod, version, asset, references } of findUnknownReferences(mods.filter(mod => Array.isArray(mod?.releases)))) {
+    warnings.push(`${mod} ${version} (${asset}): references assemblies not in the catalogue: ${references.join(', ')}`);
+  }
+
+  // 1つのハッシュに1件のみ記録していた以前の形式は次回の更新時に書き直すため、注意点として報告
+  if (hashLookup && Object.values(hashLookup).some(entries => !Array.isArray(entries))) {
+    warnings.push('hash-lookup.json: one entry per hash (written by an older version, rewritten on the next update)');
+  } else if (hashLookup && !isHashLookupUpToDate(hashLookup, mods)) {
+    errors.push('hash-lookup.json is out of date with mods.json');
+  }
+
+  return { errors, warnings };
+}
+
+// キャッシュファイルを読み込み、JSON Schemaで検証
+async function readAndValidate(name, filePath, errors, warnings) {
+  const file = path.basename(filePath);
+  let data;
+  try {
+    data = await readDocument(filePath);
+  } catch (error) {
+    errors.push(`${file}: ${error.message}`);
+    return null;
+  }
+  if (!data) return null;
+
+  if (isLegacyDocument(data)) {
+    warnings.push(`${file}: no schema_version (written by an older version, converted on the next update)`);
+  } else {
+    errors.push(...validateDocument(name, data).map(error => `${file}: ${error}`));
+  }
+  return getPayload(name, data);
+}
+
+// インデックスに掲載されたMODごとのファイルを検証し、ファイルのハッシュが一致するかを確認
+async function verifyShards(paths, index, errors, warnings) {
+  for (const entry of index) {
+    const filePath = path.join(paths.dir, entry.path);
+    const mod = await readAndValidate('mod', filePath, errors, warnings);
+    if (!mod) {
+      errors.push(`${entry.path}: not found (listed in index.json)`);
+    } else if (getShardHash(await fs.readFile(filePath)) !== entry.sha256) {
+      errors.push(`${entry.path}: content hash does not match index.json`);
+    }
+  }
+}
+
+// 検索インデックスとインデックスのMODのIDが順序も含めて一致するか
+function isSameIdList(documents, index) {
+  return documents.length === index.length && documents.every((document, i) => document.id === index[i].id);
+}
+
+export async function runVerify(args, options) {
+  const paths = getCachePaths(options.outputDir);
+  const errors = [];
+  const warnings = [];
+
+  const mods = await readAndValidate('mods', paths.mods, errors, warnings);
+  const hashLookup = await readAndValidate('hashLookup', paths.hashLookup, errors, warnings);
+  await readAndValidate('fetchState', paths.fetchState, errors, warnings);
+  await readAndValidate('changes', paths.changes, errors, warnings);
+  await readAndValidate('audit', paths.audit, errors, warnings);
+  const index = await readAndValidate('index', paths.index, errors, warnings);
+  if (index) {
+    await verifyShards(paths, index, errors, warnings);
+  }
+  const searchIndex = await readAndValidate('searchIndex', paths.searchIndex, errors, warnings);
+  if (index && searchIndex && !isSameIdList(searchIndex.documents, index)) {
+    errors.push('search-index.json is out of date with index.json');
+  }
+
+  if (!mods) {
+    errors.push(`${path.basename(paths.mods)}: not found`);
+  } else {
+    const result = verifyMods(mods, hashLookup);
+    errors.push(...result.errors);
+    warnings.push(...result.warnings);
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify({ ok: errors.length === 0, errors, warnings }, null, 2));
+  } else {
+    for (const warning of warnings) console.warn(`warning: ${warning}`);
+    for (const error of errors) console.error(`error: ${error}`);
+    console.log(`\n${mods?.length || 0} MODs checked: ${errors.length} errors, ${warnings.length} warnings`);
+  }
+
+  return errors.length === 0 ? 0 : 1;
+}
@@ -0,0 +1,404 @@
+// .NETアセンブリ（DLL）のPE/CLIメタデータの読み取り（ECMA-335）
+// アセンブリ名・バージョン・ファイルバージョン・ターゲットフレームワーク・参照アセンブリを取得し、参照からMODローダーを判定
+
+// 参照アセンブリ名から判定するMODローダー（先に一致したものを採用）
+export const LOADERS = [
+  { name: 'MonkeyLoader', pattern: /^MonkeyLoader(\.|$)/i },
+  { name: 'BepInEx', pattern: /^BepInEx(\.|$)/i },
+  { name: 'ResoniteModLoader', pattern: /^ResoniteModLoader$/i },
+];
+
+// PE/CLIメタデータとして読み取れないファイル
+export class AssemblyFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AssemblyFormatError';
+  }
+}
+
+// メタデータテーブルの番号
+const TABLE = {
+  Module: 0x00, TypeRef: 0x01, TypeDef: 0x02, FieldPtr: 0x03, Field: 0x04, MethodPtr: 0x05, MethodDef: 0x06,
+  ParamPtr: 0x07, Param: 0x08, InterfaceImpl: 0x09, MemberRef: 0x0a, Constant: 0x0b, CustomAttribute: 0x0c,
+  FieldMarshal: 0x0d, DeclSecurity: 0x0e, ClassLayout: 0x0f, FieldLayout: 0x10, StandAloneSig: 0x11,
+  EventMap: 0x12, EventPtr: 0x13, Event: 0x14, PropertyMap: 0x15, PropertyPtr: 0x16, Property: 0x17,
+  MethodSemantics: 0x18, MethodImpl: 0x19, ModuleRef: 0x1a, TypeSpec: 0x1b, ImplMap: 0x1c, FieldRVA: 0x1d,
+  EncLog: 0x1e, EncMap: 0x1f, Assembly: 0x20, AssemblyProcessor: 0x21, AssemblyOS: 0x22, AssemblyRef: 0x23,
+  AssemblyRefProcessor: 0x24, AssemblyRefOS: 0x25, File: 0x26, ExportedType: 0x27, ManifestResource: 0x28,
+  NestedClass: 0x29, GenericParam: 0x2a, MethodSpec: 0x2b, GenericParamConstraint: 0x2c,
+};
+
+// コード化インデックス（タグのビット数と対象テーブル、nullは未使用のタグ）
+const CODED = {
+  TypeDefOrRef: [2, [TABLE.TypeDef, TABLE.TypeRef, TABLE.TypeSpec]],
+  HasConstant: [2, [TABLE.Field, TABLE.Param, TABLE.Property]],
+  HasCustomAttribute: [5, [
+    TABLE.MethodDef, TABLE.Field, TABLE.TypeRef, TABLE.TypeDef, TABLE.Param, TABLE.InterfaceImpl, TABLE.MemberRef,
+    TABLE.Module, TABLE.DeclSecurity, TABLE.Property, TABLE.Event, TABLE.StandAloneSig, TABLE.ModuleRef,
+    TABLE.TypeSpec, TABLE.Assembly, TABLE.AssemblyRef, TABLE.File, TABLE.ExportedType, TABLE.ManifestResource,
+    TABLE.GenericParam, TABLE.GenericParamConstraint, TABLE.MethodSpec,
+  ]],
+  HasFieldMarshal: [1, [TABLE.Field, TABLE.Param]],
+  HasDeclSecurity: [2, [TABLE.TypeDef, TABLE.MethodDef, TABLE.Assembly]],
+  MemberRefParent: [3, [TABLE.TypeDef, TABLE.TypeRef, TABLE.ModuleRef, TABLE.MethodDef, TABLE.TypeSpec]],
+  HasSemantics: [1, [TABLE.Event, TABLE.Property]],
+  MethodDefOrRef: [1, [TABLE.MethodDef, TABLE.MemberRef]],
+  MemberForwarded: [1, [TABLE.Field, TABLE.MethodDef]],
+  Implementation: [2, [TABLE.File, TABLE.AssemblyRef, TABLE.ExportedType]],
+  CustomAttributeType: [3, [null, null, TABLE.MethodDef, TABLE.MemberRef, null]],
+  ResolutionScope: [2, [TABLE.Module, TABLE.ModuleRef, TABLE.AssemblyRef, TABLE.TypeRef]],
+  TypeOrMethodDef: [1, [TABLE.TypeDef, TABLE.MethodDef]],
+};
+
+// 各テーブルの列（u16/u32・ヒープ（string/guid/blob）・テーブルのインデックス・コード化インデックス）
+const u16 = 'u16';
+const u32 = 'u32';
+const str = 'string';
+const guid = 'guid';
+const blob = 'blob';
+const index = table => ({ table });
+const coded = name => ({ coded: name });
+
+const COLUMNS = {
+  [TABLE.Module]: [['generation', u16], ['name', str], ['mvid', guid], ['encId', guid], ['encBaseId', guid]],
+  [TABLE.TypeRef]: [['scope', coded('ResolutionScope')], ['name', str], ['namespace', str]],
+  [TABLE.TypeDef]: [
+    ['flags', u32], ['name', str], ['namespace', str], ['extends', coded('TypeDefOrRef')],
+    ['fieldList', index(TABLE.Field)], ['methodList', index(TABLE.MethodDef)],
+  ],
+  [TABLE.FieldPtr]: [['field', index(TABLE.Field)]],
+  [TABLE.Field]: [['flags', u16], ['name', str], ['signature', blob]],
+  [TABLE.MethodPtr]: [['method', index(TABLE.MethodDef)]],
+  [TABLE.MethodDef]: [
+    ['rva', u32], ['implFlags', u16], ['flags', u16], ['name', str], ['signature', blob], ['paramList', index(TABLE.Param)],
+  ],
+  [TABLE.ParamPtr]: [['param', index(TABLE.Param)]],
+  [TABLE.Param]: [['flags', u16], ['sequence', u16], ['name', str]],
+  [TABLE.InterfaceImpl]: [['class', index(TABLE.TypeDef)], ['interface', coded('TypeDefOrRef')]],
+  [TABLE.MemberRef]: [['class', coded('MemberRefParent')], ['name', str], ['signature', blob]],
+  [TABLE.Constant]: [['type', u16], ['parent', coded('HasConstant')], ['value', blob]],
+  [TABLE.CustomAttribute]: [['parent', coded('HasCustomAttribute')], ['type', coded('CustomAttributeType')], ['value', blob]],
+  [TABLE.FieldMarshal]: [['parent', coded('HasFieldMarshal')], ['nativeType', blob]],
+  [TABLE.DeclSecurity]: [['action', u16], ['parent', coded('HasDeclSecurity')], ['permissionSet', blob]],
+  [TABLE.ClassLayout]: [['packingSize', u16], ['classSize', u32], ['parent', index(TABLE.TypeDef)]],
+  [TABLE.FieldLayout]: [['offset', u32], ['field', index(TABLE.Field)]],
+  [TABLE.StandAloneSig]: [['signature', blob]],
+  [TABLE.EventMap]: [['parent', index(TABLE.TypeDef)], ['eventList', index(TABLE.Event)]],
+  [TABLE.EventPtr]: [['event', index(TABLE.Event)]],
+  [TABLE.Event]: [['flags', u16], ['name', str], ['type', coded('TypeDefOrRef')]],
+  [TABLE.PropertyMap]: [['parent', index(TABLE.TypeDef)], ['propertyList', index(TABLE.Property)]],
+  [TABLE.PropertyPtr]: [['property', index(TABLE.Property)]],
+  [TABLE.Property]: [['flags', u16], ['name', str], ['type', blob]],
+  [TABLE.MethodSemantics]: [['semantics', u16], ['method', index(TABLE.MethodDef)], ['association', coded('HasSemantics')]],
+  [TABLE.MethodImpl]: [['class', index(TABLE.TypeDef)], ['body', coded('MethodDefOrRef')], ['declaration', coded('MethodDefOrRef')]],
+  [TABLE.ModuleRef]: [['name', str]],
+  [TABLE.TypeSpec]: [['signature', blob]],
+  [TABLE.ImplMap]: [['flags', u16], ['member', coded('MemberForwarded')], ['importName', str], ['importScope', index(TABLE.ModuleRef)]],
+  [TABLE.FieldRVA]: [['rva', u32], ['field', index(TABLE.Field)]],
+  [TABLE.EncLog]: [['token', u32], ['funcCode', u32]],
+  [TABLE.EncMap]: [['token', u32]],
+  [TABLE.Assembly]: [
+    ['hashAlgId', u32], ['major', u16], ['minor', u16], ['build', u16], ['revision', u16],
+    ['flags', u32], ['publicKey', blob], ['name', str], ['culture', str],
+  ],
+  [TABLE.AssemblyProcessor]: [['processor', u32]],
+  [TABLE.AssemblyOS]: [['platformId', u32], ['major', u32], ['minor', u32]],
+  [TABLE.AssemblyRef]: [
+    ['major', u16], ['minor', u16], ['build', u16], ['revision', u16],
+    ['flags', u32], ['publicKeyOrToken', blob], ['name', str], ['culture', str], ['hashValue', blob],
+  ],
+  [TABLE.AssemblyRefProcessor]: [['processor', u32], ['assemblyRef', index(TABLE.AssemblyRef)]],
+  [TABLE.AssemblyRefOS]: [['platformId', u32], ['major', u32], ['minor', u32], ['assemblyRef', index(TABLE.AssemblyRef)]],
+  [TABLE.File]: [['flags', u32], ['name', str], ['hashValue', blob]],
+  [TABLE.ExportedType]: [['flags', u32], ['typeDefId', u32], ['name', str], ['namespace', str], ['implementation', coded('Implementation')]],
+  [TABLE.ManifestResource]: [['offset', u32], ['flags', u32], ['name', str], ['implementation', coded('Implementation')]],
+  [TABLE.NestedClass]: [['nestedClass', index(TABLE.TypeDef)], ['enclosingClass', index(TABLE.TypeDef)]],
+  [TABLE.GenericParam]: [['number', u16], ['flags', u16], ['owner', coded('TypeOrMethodDef')], ['name', str]],
+  [TABLE.MethodSpec]: [['method', coded('MethodDefOrRef')], ['instantiation', blob]],
+  [TABLE.GenericParamConstraint]: [['owner', index(TABLE.GenericParam)], ['constraint', coded('TypeDefOrRef')]],
+};
+
+// 範囲外を読んだ場合はAssemblyFormatErrorにする
+function check(buffer, offset, length) {
+  if (offset < 0 || offset + length > buffer.length) {
+    throw new AssemblyFormatError('Unexpected end of file');
+  }
+}
+
+// PEヘッダーからCLIヘッダーの位置を取得し、RVAをファイル上の位置に変換する関数を作成（.NETアセンブリでなければnull）
+function readPeImage(buffer) {
+  check(buffer, 0, 0x40);
+  if (buffer.toString('latin1', 0, 2) !== 'MZ') {
+    throw new AssemblyFormatError('Not a PE file (missing MZ header)');
+  }
+  const peOffset = buffer.readUInt32LE(0x3c);
+  check(buffer, peOffset, 24);
+  if (buffer.readUInt32LE(peOffset) !== 0x00004550) {
+    throw new AssemblyFormatError('Not a PE file (missing PE signature)');
+  }
+
+  const sectionCount = buffer.readUInt16LE(peOffset + 6);
+  const optionalHeaderSize = buffer.readUInt16LE(peOffset + 20);
+  const optionalHeader = peOffset + 24;
+  check(buffer, optionalHeader, optionalHeaderSize);
+
+  // PE32（0x10b）とPE32+（0x20b）でデータディレクトリの位置が異なる
+  const magic = buffer.readUInt16LE(optionalHeader);
+  if (magic !== 0x10b && magic !== 0x20b) {
+    throw new AssemblyFormatError(`Unknown optional header magic 0x${magic.toString(16)}`);
+  }
+  const directories = optionalHeader + (magic === 0x10b ? 96 : 112);
+  const directoryCount = buffer.readUInt32LE(directories - 4);
+  if (directoryCount <= 14) return null;
+  const cliHeaderRva = buffer.readUInt32LE(directories + 14 * 8);
+  if (cliHeaderRva === 0) return null;
+
+  const sections = [];
+  const sectionTable = optionalHeader + optionalHeaderSize;
+  for (let i = 0; i < sectionCount; i++) {
+    const offset = sectionTable + i * 40;
+    check(buffer, offset, 40);
+    sections.push({
+      virtualSize: buffer.readUInt32LE(offset + 8),
+      virtualAddress: buffer.readUInt32LE(offset + 12),
+      rawSize: buffer.readUInt32LE(offset + 16),
+      rawOffset: buffer.readUInt32LE(offset + 20),
+    });
+  }
+
+  const toOffset = rva => {
+    const section = sections.find(s => rva >= s.virtualAddress && rva < s.virtualAddress + Math.max(s.virtualSize, s.rawSize));
+    if (!section) throw new AssemblyFormatError(`RVA 0x${rva.toString(16)} is outside of the sections`);
+    return section.rawOffset + (rva - section.virtualAddress);
+  };
+
+  return { cliHeader: toOffset(cliHeaderRva), toOffset };
+}
+
+// メタデータのルートからストリーム（#~・#Strings・#Blobなど）の位置を取得
+function readStreams(buffer, metadataOffset) {
+  check(buffer, metadataOffset, 16);
+  if (buffer.readUInt32LE(metadataOffset) !== 0x424a5342) {
+    throw new AssemblyFormatError('Invalid CLI metadata signature');
+  }
+  const versionLength = buffer.readUInt32LE(metadataOffset + 12);
+  let offset = metadataOffset + 16 + versionLength + 2;
+  check(buffer, offset, 2);
+  const streamCount = buffer.readUInt16LE(offset);
+  offset += 2;
+
+  const streams = {};
+  for (let i = 0; i < streamCount; i++) {
+    check(buffer, offset, 8);
+    const streamOffset = buffer.readUInt32LE(offset);
+    const size = buffer.readUInt32LE(offset + 4);
+    const nameEnd = buffer.indexOf(0, offset + 8);
+    if (nameEnd < 0) throw new AssemblyFormatError('Invalid stream header');
+    const name = buffer.toString('latin1', offset + 8, nameEnd);
+    streams[name] = { offset: metadataOffset + streamOffset, size };
+    // ストリーム名は4バイト境界までNULで埋められる
+    offset += 8 + Math.ceil((nameEnd - (offset + 8) + 1) / 4) * 4;
+  }
+  return streams;
+}
+
+// #~ストリームのテーブルを読み取る
+function readTables(buffer, stream) {
+  check(buffer, stream.offset, 24);
+  const heapSizes = buffer.readUInt8(stream.offset + 6);
+  const valid = buffer.readBigUInt64LE(stream.offset + 8);
+
+  let offset = stream.offset + 24;
+  const rowCounts = new Array(64).fill(0);
+  for (let table = 0; table < 64; table++) {
+    if ((valid >> BigInt(table)) & 1n) {
+      check(buffer, offset, 4);
+      rowCounts[table] = buffer.readUInt32LE(offset);
+      offset += 4;
+    }
+  }
+  // 編集中のメタデータ（#-）の追加データ
+  if (heapSizes & 0x40) offset += 4;
+
+  const heapIndexSize = {
+    [str]: heapSizes & 0x01 ? 4 : 2,
+    [guid]: heapSizes & 0x02 ? 4 : 2,
+    [blob]: heapSizes & 0x04 ? 4 : 2,
+  };
+  const columnSize = type => {
+    if (type === u16) return 2;
+    if (type === u32) return 4;
+    if (typeof type === 'string') return heapIndexSize[type];
+    if (type.table !== undefined) return rowCounts[type.table] > 0xffff ? 4 : 2;
+    const [bits, tables] = CODED[type.coded];
+    const maxRows = Math.max(...tables.map(table => (table === null ? 0 : rowCounts[table])));
+    return maxRows < 2 ** (16 - bits) ? 2 : 4;
+  };
+
+  const tables = {};
+  for (let table = 0; table < 64; table++) {
+    if (rowCounts[table] === 0) continue;
+    const columns = COLUMNS[table];
+    if (!columns) throw new AssemblyFormatError(`Unknown metadata table 0x${table.toString(16)}`);
+    const sizes = columns.map(([, type]) => columnSize(type));
+    const rowSize = sizes.reduce((sum, size) => sum + size, 0);
+    tables[table] = { offset, rowCount: rowCounts[table], rowSize, columns, sizes };
+    offset += rowSize * rowCounts[table];
+  }
+  check(buffer, stream.offset, offset - stream.offset);
+  return tables;
+}
+
+// テーブルの行（1始まり）を読み取る
+function readRow(buffer, tables, table, rowNumber) {
+  const info = tables[table];
+  if (!info || rowNumber < 1 || rowNumber > info.rowCount) return null;
+  let offset = info.offset + (rowNumber - 1) * info.rowSize;
+  const row = {};
+  info.columns.forEach(([name, type], i) => {
+    const size = info.sizes[i];
+    const value = size === 2 ? buffer.readUInt16LE(offset) : buffer.readUInt32LE(offset);
+    if (type.coded) {
+      const [bits, targets] = CODED[type.coded];
+      row[name] = { table: targets[value & ((1 << bits) - 1)] ?? null, row: value >>> bits };
+    } else {
+      row[name] = value;
+    }
+    offset += size;
+  });
+  return row;
+}
+
+function readRows(buffer, tables, table) {
+  const rows = [];
+  for (let i = 1; i <= (tables[table]?.rowCount || 0); i++) rows.push(readRow(buffer, tables, table, i));
+  return rows;
+}
+
+// #Stringsヒープの文字列（NUL終端のUTF-8）
+function readString(buffer, streams, offset) {
+  const heap = streams['#Strings'];
+  if (!heap || offset >= heap.size) return null;
+  const start = heap.offset + offset;
+  const end = buffer.indexOf(0, start);
+  return buffer.toString('utf8', start, end < 0 ? heap.offset + heap.size : end);
+}
+
+// 圧縮された符号なし整数（ECMA-335 II.23.2）を読み取る
+function readCompressedUInt(buffer, offset) {
+  check(buffer, offset, 1);
+  const first = buffer[offset];
+  if ((first & 0x80) === 0) return { value: first, size: 1 };
+  if ((first & 0xc0) === 0x80) {
+    check(buffer, offset, 2);
+    return { value: ((first & 0x3f) << 8) | buffer[offset + 1], size: 2 };
+  }
+  check(buffer, offset, 4);
+  return { value: (buffer.readUInt32BE(offset) & 0x1fffffff) >>> 0, size: 4 };
+}
+
+// #Blobヒープのデータ
+function readBlob(buffer, streams, offset) {
+  const heap = streams['#Blob'];
+  if (!heap || offset >= heap.size) return null;
+  const { value: length, size } = readCompressedUInt(buffer, heap.offset + offset);
+  const start = heap.offset + offset + size;
+  check(buffer, start, length);
+  return buffer.subarray(start, start + length);
+}
+
+// カスタム属性の値から最初の文字列引数を読み取る（プロローグ0x0001の後のSerString）
+function readFirstStringArgument(value) {
+  if (!value || value.length < 3 || value.readUInt16LE(0) !== 0x0001) return null;
+  if (value[2] === 0xff) return null;
+  const { value: length, size } = readCompressedUInt(value, 2);
+  check(value, 2 + size, length);
+  return value.toString('utf8', 2 + size, 2 + size + length);
+}
+
+// カスタム属性の型の完全名（コンストラクターのMemberRef・MethodDefから型をたどる）
+function getAttributeTypeName(buffer, streams, tables, type) {
+  let typeRef = null;
+  if (type.table === TABLE.MemberRef) {
+    const memberRef = readRow(buffer, tables, TABLE.MemberRef, type.row);
+    if (!memberRef) return null;
+    typeRef = memberRef.class;
+  } else if (type.table === TABLE.MethodDef) {
+    // 自身のアセンブリで定義された属性: MethodListの範囲からメソッドを所有する型を探す
+    const typeDefs = readRows(buffer, tables, TABLE.TypeDef);
+    const owner = typeDefs.findLastIndex(typeDef => typeDef.methodList <= type.row);
+    typeRef = owner >= 0 ? { table: TABLE.TypeDef, row: owner + 1 } : null;
+  }
+  if (!typeRef || (typeRef.table !== TABLE.TypeRef && typeRef.table !== TABLE.TypeDef)) return null;
+
+  const row = readRow(buffer, tables, typeRef.table, typeRef.row);
+  if (!row) return null;
+  const namespace = readString(buffer, streams, row.namespace);
+  const name = readString(buffer, streams, row.name);
+  return namespace ? `${namespace}.${name}` : name;
+}
+
+// 文字列の引数から読み取るアセンブリの属性（型の完全名 → 記録するフィールド）
+const STRING_ATTRIBUTES = {
+  'System.Reflection.AssemblyFileVersionAttribute': 'file_version',
+  'System.Reflection.AssemblyInformationalVersionAttribute': 'informational_version',
+  'System.Runtime.Versioning.TargetFrameworkAttribute': 'target_framework',
+};
+
+const formatVersion = ({ major, minor, build, revision }) => `${major}.${minor}.${build}.${revision}`;
+
+// 参照アセンブリからMODローダーを判定（該当しなければnull）
+export function detectLoader(references) {
+  for (const loader of LOADERS) {
+    if (references.some(reference => loader.pattern.test(reference.name))) return loader.name;
+  }
+  return null;
+}
+
+// DLLのバイト列からアセンブリのメタデータを読み取る
+// .NETアセンブリでないPEファイル（ネイティブDLL）はnull、壊れたファイルはAssemblyFormatErrorを投げる
+export function readAssemblyMetadata(buffer) {
+  try {
+    const image = readPeImage(buffer);
+    if (!image) return null;
+
+    check(buffer, image.cliHeader, 16);
+    const metadataOffset = image.toOffset(buffer.readUInt32LE(image.cliHeader + 8));
+    const streams = readStreams(buffer, metadataOffset);
+    const tableStream = streams['#~'] || streams['#-'];
+    if (!tableStream) throw new AssemblyFormatError('Missing metadata table stream');
+    const tables = readTables(buffer, tableStream);
+
+    // モジュールのみでアセンブリのマニフェストを持たないファイル（.netmodule）
+    const assembly = readRow(buffer, tables, TABLE.Assembly, 1);
+    if (!assembly) return null;
+
+    // アセンブリに付けられた属性（ファイルバージョン・製品バージョン・ターゲットフレームワーク）
+    const attributes = {};
+    for (const attribute of readRows(buffer, tables, TABLE.CustomAttribute)) {
+      if (attribute.parent.table !== TABLE.Assembly) continue;
+      const field = STRING_ATTRIBUTES[getAttributeTypeName(buffer, streams, tables, attribute.type)];
+      if (field) attributes[field] = readFirstStringArgument(readBlob(buffer, streams, attribute.value));
+    }
+
+    const references = readRows(buffer, tables, TABLE.AssemblyRef).map(reference => ({
+      name: readString(buffer, streams, reference.name),
+      version: formatVersion(reference),
+    }));
+
+    return {
+      name: readString(buffer, streams, assembly.name),
+      version: formatVersion(assembly),
+      file_version: attributes.file_version ?? null,
+      informational_version: attributes.informational_version ?? null,
+      target_framework: attributes.target_framework ?? null,
+      references,
+      loader: detectLoader(references),
+    };
+  } catch (error) {
+    if (error instanceof AssemblyFormatError) throw error;
+    // 範囲外の読み取りなど、想定外の構造のファイル
+    if (error instanceof RangeError) throw new AssemblyFormatError(error.message);
+    throw error;
+  }
+}
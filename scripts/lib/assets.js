@@ -0,0 +1,197 @@
+// リリースアセット（.dll/.nupkg）の判定・インストール先推定・ハッシュ管理
+import { INSPECTION_FIELDS } from './inspect.js';
+
+// 依存ライブラリとして扱う既知のファイル名
+export const KNOWN_LIBRARY_PATTERNS = [
+  /^0Harmony/i,
+  /^Lib\.Harmony/i,
+  /^Newtonsoft\.Json/i,
+];
+
+// インストール先として有効な値
+export const INSTALL_TARGETS = ['rml_mods', 'rml_libs', 'MonkeyLoader/Mods'];
+
+// MODとして扱うアセットかどうか
+export function isModAsset(asset) {
+  return asset.name.endsWith('.dll') || asset.name.endsWith('.nupkg');
+}
+
+// URLからファイル名を取得
+export function getFileNameFromUrl(url) {
+  try {
+    return decodeURIComponent(new URL(url).pathname.split('/').pop()) || null;
+  } catch {
+    return null;
+  }
+}
+
+// 比較用にファイル名・リポジトリ名を正規化
+export function normalizeAssetKey(name) {
+  return name.toLowerCase().replace(/\.(dll|nupkg)$/, '').replace(/[^a-z0-9]/g, '');
+}
+
+// アセットのインストール先を推定
+export function inferInstallTarget(assetName, repo, modAssets) {
+  if (assetName.endsWith('.nupkg')) {
+    return 'MonkeyLoader/Mods';
+  }
+  if (KNOWN_LIBRARY_PATTERNS.some(pattern => pattern.test(assetName))) {
+    return 'rml_libs';
+  }
+
+  // 複数のDLLがある場合、リポジトリ名と一致しないものは依存ライブラリとみなす
+  const dllAssets = modAssets.filter(asset => asset.name.endsWith('.dll'));
+  if (dllAssets.length > 1) {
+    const repoKey = normalizeAssetKey(repo);
+    const matchesRepo = name => {
+      const key = normalizeAssetKey(name);
+      return key.length > 0 && (repoKey.includes(key) || key.includes(repoKey));
+    };
+    if (dllAssets.some(asset => matchesRepo(asset.name)) && !matchesRepo(assetName)) {
+      return 'rml_libs';
+    }
+  }
+
+  return 'rml_mods';
+}
+
+// メインとなるアセットを選択（ライブラリ以外を優先）
+export function selectPrimaryAsset(assets) {
+  return assets.find(asset => asset.install_target !== 'rml_libs') || assets[0];
+}
+
+// メインアセットの情報を従来のフィールドに反映
+export function applyPrimaryAsset(release) {
+  const primaryAsset = selectPrimaryAsset(release.assets || []);
+  return {
+    ...release,
+    download_url: primaryAsset?.download_url || null,
+    file_name: primaryAsset?.name || null,
+    file_size: primaryAsset?.size || null,
+    sha256: primaryAsset?.sha256 || null,
+  };
+}
+
+// assetsが無い古い形式のリリースはメインファイルのみをアセットとして扱う
+export function getReleaseAssets(release) {
+  return release.assets || [{
+    name: release.file_name,
+    size: release.file_size,
+    download_url: release.download_url,
+    sha256: release.sha256,
+    install_target: null,
+  }];
+}
+
+// 既存キャッシュからアセット情報を取得（assets導入前の形式にも対応）
+export function findExistingAsset(existingRelease, assetName) {
+  if (!existingRelease) return null;
+  const existingAsset = existingRelease.assets?.find(asset => asset.name === assetName);
+  if (existingAsset) return existingAsset;
+  if (existingRelease.file_name === assetName && existingRelease.sha256) {
+    return { name: assetName, sha256: existingRelease.sha256, size: existingRelease.file_size };
+  }
+  return null;
+}
+
+// 自前で計算したハッシュを取得（マニフェスト由来の未検証ハッシュは除く）
+export function getComputedHash(asset) {
+  if (!asset) return null;
+  if (asset.computed_sha256) return asset.computed_sha256;
+  if (asset.hash_source === 'manifest') {
+    return asset.hash_verified ? asset.sha256 : null;
+  }
+  return asset.sha256 || null;
+}
+
+// マニフェストで宣言されたハッシュを適用し、計算済みハッシュと照合
+export function applyManifestHash(asset, manifestSha256, label) {
+  if (!manifestSha256) return asset;
+
+  const computedHash = getComputedHash(asset);
+  const result = {
+    ...asset,
+    sha256: manifestSha256,
+    hash_source: 'manifest',
+    hash_verified: computedHash ? computedHash === manifestSha256 : null,
+  };
+  delete result.computed_sha256;
+
+  if (computedHash && computedHash !== manifestSha256) {
+    console.warn(`  Hash mismatch for ${label} (${asset.name}): manifest ${manifestSha256}, computed ${computedHash}`);
+    result.computed_sha256 = computedHash;
+  }
+  return result;
+}
+
+// 監査（audit）の結果のフィールド
+const INTEGRITY_FIELDS = ['integrity', 'integrity_checked_at', 'integrity_mismatch'];
+
+// 既存のアセットから監査の結果を取得（再取得したアセットに引き継ぐ）
+export function getIntegrityFields(asset) {
+  return Object.fromEntries(INTEGRITY_FIELDS.filter(field => asset?.[field] !== undefined).map(field => [field, asset[field]]));
+}
+
+// 監査の結果のフィールドを除く
+export function omitIntegrityFields(asset) {
+  return Object.fromEntries(Object.entries(asset).filter(([key]) => !INTEGRITY_FIELDS.includes(key)));
+}
+
+// sha256以外に計算したハッシュ（--digests）のフィールド
+export const DIGEST_FIELDS = ['sha1', 'sha512'];
+
+// ファイルの内容から得た情報（sha256以外のハッシュ・内容の解析結果）のフィールド
+const FILE_DETAIL_FIELDS = [...DIGEST_FIELDS, ...INSPECTION_FIELDS];
+
+// アセット（またはハッシュの計算結果）からファイルの内容から得た情報を取得
+export function getFileDetails(asset) {
+  return Object.fromEntries(FILE_DETAIL_FIELDS.filter(field => asset?.[field] !== undefined).map(field => [field, asset[field]]));
+}
+
+function omitFileDetails(asset) {
+  return Object.fromEntries(Object.entries(asset).filter(([key]) => !FILE_DETAIL_FIELDS.includes(key)));
+}
+
+// アセットに記録されていないハッシュのアルゴリズム
+export function getMissingDigests(asset, digests = []) {
+  return digests.filter(digest => !asset[digest]);
+}
+
+// sha256が一致するファイルから得た情報（ハッシュ・解析結果）をアセットに追加
+export function applyFileDetails(asset, hashInfo) {
+  return { ...asset, ...getFileDetails(hashInfo) };
+}
+
+// 計算したハッシュをアセットに反映（マニフェスト由来のハッシュは照合結果として記録）
+// ハッシュを計算し直した場合は以前の監査の結果を破棄
+export function applyComputedHash(asset, hashInfo, label) {
+  const sized = { ...omitFileDetails(omitIntegrityFields(asset)), size: hashInfo.file_size ?? asset.size, ...getFileDetails(hashInfo) };
+  delete sized.hash_failure;
+  if (asset.hash_source === 'manifest') {
+    const { computed_sha256, hash_source, hash_verified, ...rest } = sized;
+    return applyManifestHash({ ...rest, sha256: hashInfo.sha256 }, asset.sha256, label);
+  }
+  return { ...sized, sha256: hashInfo.sha256 };
+}
+
+// 記録されたハッシュ計算の失敗（ダウンロードURLが変わった場合は無効）
+export function getHashFailure(asset, downloadUrl = asset?.download_url) {
+  const failure = asset?.hash_failure;
+  return failure && failure.download_url === downloadUrl ? failure : null;
+}
+
+// ダウンロードの失敗をアセットに記録（再試行しても変わらない失敗のみ。URLが変わるまで再計算しない）
+export function applyHashFailure(asset, reason) {
+  if (!reason) return asset;
+  return { ...asset, hash_failure: { reason, download_url: asset.download_url } };
+}
+
+// ハッシュ未計算のアセットがあるか（計算に失敗したアセットは除く）
+export function isReleaseHashIncomplete(release) {
+  return getReleaseAssets(release).some(asset => asset.download_url && !asset.sha256 && !getHashFailure(asset));
+}
+
+// ハッシュ未計算のアセットを含むリリースがあるか
+export function hasIncompleteHashes(releases) {
+  return releases.some(isReleaseHashIncomplete);
+}
@@ -0,0 +1,133 @@
+// キャッシュ済みのハッシュの再検証（同じタグのままアセットが差し替えられていないかの監査）
+import fs from 'fs/promises';
+import { applyComputedHash, applyFileDetails, getComputedHash, omitIntegrityFields } from './assets.js';
+import { getModId } from './mod-id.js';
+
+// 1回の監査で確認するアセットの既定の件数
+export const DEFAULT_AUDIT_SAMPLE = 50;
+
+// 監査で照合するハッシュ（自前で計算したハッシュ、無ければキャッシュに記録されたハッシュ）
+function getExpectedHash(asset) {
+  return getComputedHash(asset) || asset.sha256 || null;
+}
+
+// 監査の対象となるアセットを選択
+// 未監査のアセット、前回の監査が古いアセットの順に選び、--allでなければsample件まで（繰り返し実行するとすべてのアセットを順に確認）
+export function selectAuditTargets(mods, { sample = DEFAULT_AUDIT_SAMPLE, all = false } = {}) {
+  const targets = [];
+  for (const mod of mods) {
+    for (const release of mod.releases || []) {
+      (release.assets || []).forEach((asset, assetIndex) => {
+        if (asset.download_url && getExpectedHash(asset)) targets.push({ mod, release, assetIndex });
+      });
+    }
+  }
+
+  const checkedAt = ({ release, assetIndex }) => release.assets[assetIndex].integrity_checked_at || '';
+  targets.sort((a, b) => checkedAt(a).localeCompare(checkedAt(b)));
+  return all ? targets : targets.slice(0, sample);
+}
+
+// ダウンロードしたファイルのハッシュ・サイズを照合してアセットに監査結果を記録
+// 一致しない場合もキャッシュのハッシュは上書きせず、新しいハッシュ・サイズをintegrity_mismatchに記録
+export function applyAuditResult(asset, hashInfo, checkedAt = new Date().toISOString()) {
+  const expected = getExpectedHash(asset);
+  const base = omitIntegrityFields(asset);
+  const sizeMatches = asset.size === null || asset.size === undefined || asset.size === hashInfo.file_size;
+
+  if (hashInfo.sha256 === expected && sizeMatches) {
+    return { ...base, integrity: 'ok', integrity_checked_at: checkedAt };
+  }
+
+  // 以前から一致しない場合は最初に検出した日時を維持
+  const detectedAt = asset.integrity === 'mismatch' && asset.integrity_mismatch?.sha256 === hashInfo.sha256
+    ? asset.integrity_mismatch.detected_at
+    : checkedAt;
+  return {
+    ...base,
+    integrity: 'mismatch',
+    integrity_checked_at: checkedAt,
+    integrity_mismatch: {
+      previous_sha256: expected,
+      sha256: hashInfo.sha256,
+      previous_size: asset.size ?? null,
+      size: hashInfo.file_size,
+      detected_at: detectedAt,
+    },
+  };
+}
+
+// ハッシュを計算済みのアセットを再計算した結果を反映（--hash=all）
+// キャッシュのハッシュと一致しなければ上書きせず、監査と同様にintegrity: mismatchとして記録
+// acceptRecordedを指定すると、監査で記録済みの差し替え後のファイル（integrity_mismatchのsha256）と一致する場合のみ新しいハッシュを採用
+export function applyRecomputedHash(asset, hashInfo, label, { acceptRecorded = false } = {}) {
+  const expected = getComputedHash(asset);
+  if (!expected) return applyComputedHash(asset, hashInfo, label);
+  if (hashInfo.sha256 === expected) {
+    return { ...applyFileDetails(asset, hashInfo), size: hashInfo.file_size ?? asset.size };
+  }
+  if (acceptRecorded && asset.integrity === 'mismatch' && asset.integrity_mismatch?.sha256 === hashInfo.sha256) {
+    console.log(`  Accepting the replaced file of ${label} (${asset.name}): ${expected} -> ${hashInfo.sha256}`);
+    return applyComputedHash(asset, hashInfo, label);
+  }
+  console.warn(`  Downloaded file of ${label} (${asset.name}) does not match the cached hash ${expected}; kept it and recorded the mismatch`);
+  return applyAuditResult(asset, hashInfo);
+}
+
+// 監査の結果からレポートを作成
+// results: [{ mod, release, asset（監査後）, status: 'ok' | 'mismatch' | 'failed' }]
+export function createAuditReport(results, { totalAssets, all = false }) {
+  const toEntry = ({ mod, release, asset }) => ({
+    id: getModId(mod),
+    name: mod.name,
+    version: release.version,
+    file_name: asset.name,
+    download_url: asset.download_url,
+  });
+
+  return {
+    mode: all ? 'all' : 'sample',
+    total_assets: totalAssets,
+    checked: results.length,
+    ok: results.filter(result => result.status === 'ok').length,
+    mismatches: results.filter(result => result.status === 'mismatch').map(result => ({
+      ...toEntry(result),
+      ...result.asset.integrity_mismatch,
+    })),
+    failures: results.filter(result => result.status === 'failed').map(toEntry),
+  };
+}
+
+// レポートをMarkdownのサマリーに変換
+export function formatAuditMarkdown(report) {
+  const lines = [
+    '## Integrity Audit',
+    '',
+    `Checked ${report.checked} of ${report.total_assets} hashed assets (${report.mode}).`,
+    '',
+    `- OK: ${report.ok}`,
+    `- Mismatches: ${report.mismatches.length}`,
+    `- Failed downloads: ${report.failures.length}`,
+  ];
+
+  if (report.mismatches.length > 0) {
+    lines.push('', '### Mismatches', '', '| MOD | Version | File | Cached SHA256 | Downloaded SHA256 | Size |', '|---|---|---|---|---|---|');
+    for (const item of report.mismatches) {
+      lines.push(`| ${item.name} | ${item.version} | \`${item.file_name}\` | \`${item.previous_sha256.slice(0, 12)}\` | \`${item.sha256.slice(0, 12)}\` | ${item.previous_size ?? '?'} → ${item.size} |`);
+    }
+  }
+  if (report.failures.length > 0) {
+    lines.push('', '### Failed downloads', '');
+    for (const item of report.failures) {
+      lines.push(`- **${item.name}** ${item.version} \`${item.file_name}\``);
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+// GitHub Actionsのジョブサマリーにレポートを出力
+export async function writeAuditSummary(report) {
+  if (!process.env.GITHUB_STEP_SUMMARY) return;
+  await fs.appendFile(process.env.GITHUB_STEP_SUMMARY, formatAuditMarkdown(report) + '\n');
+}
@@ -0,0 +1,324 @@
+// キャッシュファイル（mods.json・hash-lookup.json など）の読み書き
+import fs from 'fs/promises';
+import path from 'path';
+import { getReleaseAssets } from './assets.js';
+import { diffMods, formatChangesMarkdown, hasChanges } from './changes.js';
+import { detectResoniteCompat, isPossiblyBroken } from './compat.js';
+import { generateFeeds } from './feeds.js';
+import { assignModIds, getModId } from './mod-id.js';
+import { buildSearchIndex } from './search.js';
+import { generateShards, getShardHash, getShardPath } from './shards.js';
+import { assertValidDocument, createDocument, getPayload } from './schema.js';
+import { applyVersionFields } from './versions.js';
+
+// 出力ディレクトリ内のキャッシュファイルのパスを取得
+export function getCachePaths(outputDir = 'cache') {
+  const dir = path.resolve(process.cwd(), outputDir);
+  return {
+    dir,
+    mods: path.join(dir, 'mods.json'),
+    hashLookup: path.join(dir, 'hash-lookup.json'),
+    manifest: path.join(dir, 'manifest.json'),
+    fetchState: path.join(dir, 'fetch-state.json'),
+    changes: path.join(dir, 'changes.json'),
+    changesSummary: path.join(dir, 'changes.md'),
+    feeds: path.join(dir, 'feeds'),
+    index: path.join(dir, 'index.json'),
+    searchIndex: path.join(dir, 'search-index.json'),
+    modShards: path.join(dir, 'mods'),
+    audit: path.join(dir, 'audit.json'),
+    auditSummary: path.join(dir, 'audit.md'),
+  };
+}
+
+// キャッシュファイルを読み込んでエンベロープを含むデータを返す（ファイルが無ければnull）
+export async function readDocument(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+// 既存のキャッシュを読み込み
+export async function loadExistingCache(paths) {
+  try {
+    const data = await readDocument(paths.mods);
+    if (data) return getPayload('mods', data);
+  } catch (error) {
+    console.warn(`Failed to read ${paths.mods}:`, error.message);
+  }
+  console.log('No existing cache found');
+  return [];
+}
+
+// ハッシュルックアップテーブルを読み込み（以前の形式はハッシュごとに1件のオブジェクト）
+export async function loadHashLookup(paths) {
+  const data = await readDocument(paths.hashLookup);
+  if (!data) return null;
+  return Object.fromEntries(Object.entries(getPayload('hashLookup', data)).map(([hash, entries]) =>
+    [hash, Array.isArray(entries) ? entries : [entries]]
+  ));
+}
+
+// 条件付きリクエストの状態（ETag/Last-Modified）を読み込み
+export async function loadFetchState(paths) {
+  try {
+    const data = getPayload('fetchState', await readDocument(paths.fetchState));
+    return { manifest: data.manifest || null, repositories: data.repositories || {} };
+  } catch (error) {
+    console.log('No fetch state found, all repositories will be fetched');
+    return { manifest: null, repositories: {} };
+  }
+}
+
+// 一時ファイルに書き込んでから置き換え（書き込み途中で中断しても元のファイルは壊れない）
+export async function writeFileAtomic(filePath, content) {
+  await renameTempFiles([await writeTempFile(filePath, content)]);
+}
+
+// 同じディレクトリの一時ファイルに書き込み
+async function writeTempFile(filePath, content) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  try {
+    await fs.writeFile(tempPath, content);
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+  return { filePath, tempPath };
+}
+
+// 一時ファイルを本来のパスに移動（同じファイルシステム内のrenameは置き換えが不可分）
+async function renameTempFiles(tempFiles) {
+  for (const { filePath, tempPath } of tempFiles) {
+    await fs.rename(tempPath, filePath);
+  }
+}
+
+// ドキュメントをエンベロープで包み、検証した書き込む内容を返す
+// データが前回のファイルと同じであれば generated_at・generator は前回の値を維持（ファイルの内容も変わらない）
+// compactを指定したエントリ（検索インデックスなど大きなファイル）は改行・インデント無しで書き込む
+async function renderDocument({ name, filePath, payload, compact = false }, command) {
+  let previous = null;
+  try {
+    previous = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  } catch {
+    // 無い・読み込めない以前のファイルは上書きする
+  }
+  const unchanged = previous?.generated_at &&
+    JSON.stringify(getPayload(name, previous)) === JSON.stringify(payload);
+  const document = createDocument(name, payload, {
+    command,
+    ...(unchanged ? { generatedAt: previous.generated_at, generator: previous.generator } : {}),
+  });
+
+  // 書き込む内容そのもの（undefinedのプロパティを除いたもの）を検証
+  const content = compact ? JSON.stringify(document) : JSON.stringify(document, null, 2);
+  assertValidDocument(name, JSON.parse(content));
+  return content;
+}
+
+// ドキュメントを検証してから保存
+// すべてのドキュメントの検証に成功した場合のみ書き込み、内容が前回のファイルと同じであれば書き込まない
+// すべての一時ファイルの書き込みが終わってから置き換えるため、一部のファイルだけが更新されることはない
+// contentを指定したエントリ（Markdown・フィード・renderDocumentで作成済みの内容など）はそのまま書き込む
+async function writeDocuments(entries, command) {
+  const documents = [];
+  for (const entry of entries) {
+    const content = entry.content !== undefined ? entry.content : await renderDocument(entry, command);
+    const previousContent = await fs.readFile(entry.filePath, 'utf-8').catch(() => null);
+    if (content !== previousContent) documents.push({ filePath: entry.filePath, content });
+  }
+
+  const tempFiles = [];
+  try {
+    for (const { filePath, content } of documents) {
+      tempFiles.push(await writeTempFile(filePath, content));
+    }
+  } catch (error) {
+    await Promise.all(tempFiles.map(({ tempPath }) => fs.rm(tempPath, { force: true })));
+    throw error;
+  }
+  await renameTempFiles(tempFiles);
+}
+
+// 条件付きリクエストの状態を保存（差分が出ないようキーをソート）
+export async function saveFetchState(paths, fetchState, { command = 'update' } = {}) {
+  const repositories = Object.fromEntries(
+    Object.entries(fetchState.repositories).sort(([a], [b]) => a.localeCompare(b))
+  );
+  await writeDocuments([
+    { name: 'fetchState', filePath: paths.fetchState, payload: { manifest: fetchState.manifest, repositories } },
+  ], command);
+}
+
+// 監査（audit）のレポートを保存
+export async function saveAuditReport(paths, report, markdown, { command = 'audit' } = {}) {
+  await writeDocuments([
+    { name: 'audit', filePath: paths.audit, payload: report },
+    { filePath: paths.auditSummary, content: markdown },
+  ], command);
+}
+
+// ハッシュルックアップテーブルを生成（同じハッシュを持つファイルはすべて配列に記録）
+// .nupkgに含まれるDLLもcontained_in（パッケージのファイル名とパッケージ内のパス）付きで登録
+export function generateHashLookup(mods) {
+  const hashLookup = new Map();
+  const add = (sha256, entry) => {
+    if (!hashLookup.has(sha256)) {
+      hashLookup.set(sha256, []);
+    }
+    hashLookup.get(sha256).push(entry);
+  };
+
+  for (const mod of mods) {
+    for (const release of mod.releases || []) {
+      for (const asset of getReleaseAssets(release)) {
+        if (!asset.sha256 || !asset.download_url) continue;
+        const entry = {
+          mod_id: getModId(mod),
+          mod_name: mod.name,
+          mod_source: mod.source_location,
+          version: release.version,
+          file_name: asset.name,
+          file_size: asset.size,
+          published_at: release.published_at || null,
+          download_url: asset.download_url,
+          install_target: asset.install_target,
+        };
+        add(asset.sha256, entry);
+
+        for (const file of asset.package?.files || []) {
+          add(file.sha256, {
+            ...entry,
+            file_name: path.posix.basename(file.path),
+            file_size: file.size,
+            contained_in: { file_name: asset.name, path: file.path },
+          });
+        }
+      }
+    }
+  }
+
+  return Object.fromEntries(hashLookup);
+}
+
+// ハッシュの取得状況を集計（last_hash_updateは前回の値を維持）
+export function getHashMetadata(mod, lastHashUpdate = mod.hash_metadata?.last_hash_update || null) {
+  const releases = mod.releases || [];
+  return {
+    total_releases: releases.length,
+    releases_with_hash: releases.filter(r => r.sha256).length,
+    last_hash_update: lastHashUpdate,
+  };
+}
+
+// ほかのフィールドから求めるフィールドを求め直したMOD情報
+// semverと最新バージョンはタグ名から、対応するゲームビルドはマニフェスト・ファイルの解析結果・変更ログから求める
+export function applyDerivedFields(mod) {
+  const versioned = applyVersionFields(mod);
+  return {
+    ...versioned,
+    releases: versioned.releases.map(release => ({ ...release, resonite_compat: detectResoniteCompat(release) })),
+  };
+}
+
+// 以前の形式のMOD情報に不足しているフィールドを補完（IDの無いMODには重複しないIDを割り当て）
+// 求めるフィールドは正規化の規則が変わった場合も揃うように求め直し、breakingBuildを指定した場合は動作しない可能性を判定
+function normalizeMod(mod, generatedId, breakingBuild) {
+  const derived = applyDerivedFields(mod);
+  const releases = derived.releases.map(release => ({
+    ...release,
+    dependencies: release.dependencies || {},
+    conflicts: release.conflicts || {},
+  }));
+  return {
+    id: generatedId,
+    ...derived,
+    aliases: mod.aliases || [],
+    releases,
+    possibly_broken: breakingBuild ? isPossiblyBroken({ releases }, breakingBuild) : Boolean(mod.possibly_broken),
+    last_fetched: mod.last_fetched || null,
+    fetch_status: mod.fetch_status || 'stale',
+    hash_metadata: getHashMetadata(mod),
+  };
+}
+
+// キャッシュから消えたMOD・カテゴリのファイル（MODごとのファイル・フィード）を削除
+async function removeStaleFiles(dirs, entries) {
+  const current = new Set(entries.map(({ filePath }) => filePath));
+  for (const dir of dirs) {
+    for (const file of await fs.readdir(dir)) {
+      const filePath = path.join(dir, file);
+      if (!current.has(filePath)) await fs.rm(filePath, { force: true });
+    }
+  }
+}
+
+// 前回のキャッシュのMOD情報と生成日時を読み込み（読み込めない場合は空）
+async function loadPreviousMods(paths) {
+  try {
+    const data = await readDocument(paths.mods);
+    if (data) return { mods: getPayload('mods', data), generatedAt: data.generated_at || null };
+  } catch {
+    // 読み込めない以前のファイルはすべて新規として扱う
+  }
+  return { mods: [], generatedAt: null };
+}
+
+// MOD情報とハッシュルックアップテーブルを検証してから保存
+// 前回のキャッシュからMODのデータが変わった場合のみ、差分（changes.json・changes.md）も書き込む
+// breakingBuildは互換性のなくなったゲームの更新のビルド（未指定の場合は各MODのpossibly_brokenを維持）
+export async function writeCache(paths, mods, { command = 'update', breakingBuild = null } = {}) {
+  await fs.mkdir(paths.dir, { recursive: true });
+
+  // 以前のキャッシュから引き継いだMODも現在の形式に揃える
+  const ids = assignModIds(mods);
+  const normalizedMods = mods.map(mod => normalizeMod(mod, ids.get(mod), breakingBuild));
+  const hashLookup = generateHashLookup(normalizedMods);
+
+  const previous = await loadPreviousMods(paths);
+  const changes = diffMods(previous.mods, normalizedMods, { previousGeneratedAt: previous.generatedAt });
+  const changed = hasChanges(changes);
+
+  // MODごとのファイルの内容を先に作成し、インデックスにはファイルのハッシュを記録
+  const { index: summaries, shards } = generateShards(normalizedMods);
+  const shardEntries = [];
+  for (const { id, mod } of shards) {
+    const filePath = path.join(paths.dir, getShardPath(id));
+    shardEntries.push({ filePath, content: await renderDocument({ name: 'mod', filePath, payload: mod }, command) });
+  }
+  const index = summaries.map((summary, i) => ({ ...summary, sha256: getShardHash(shardEntries[i].content) }));
+  const searchIndex = buildSearchIndex(normalizedMods);
+  const feeds = generateFeeds(normalizedMods).map(({ file, content }) => ({ filePath: path.join(paths.dir, file), content }));
+  const feedDirs = ['mods', 'categories'].map(dir => path.join(paths.feeds, dir));
+  await Promise.all([paths.modShards, ...feedDirs].map(dir => fs.mkdir(dir, { recursive: true })));
+
+  await writeDocuments([
+    { name: 'mods', filePath: paths.mods, payload: normalizedMods },
+    { name: 'hashLookup', filePath: paths.hashLookup, payload: hashLookup },
+    ...(changed ? [
+      { name: 'changes', filePath: paths.changes, payload: changes },
+      { filePath: paths.changesSummary, content: formatChangesMarkdown(changes) },
+    ] : []),
+    { name: 'index', filePath: paths.index, payload: index },
+    { name: 'searchIndex', filePath: paths.searchIndex, payload: searchIndex, compact: true },
+    ...shardEntries,
+    ...feeds,
+  ], command);
+  await removeStaleFiles([paths.modShards], shardEntries);
+  await removeStaleFiles(feedDirs, feeds);
+
+  console.log(`\nSaved ${normalizedMods.length} MODs to ${paths.mods}`);
+  console.log(`Saved hash lookup table with ${Object.keys(hashLookup).length} entries to ${paths.hashLookup}`);
+  if (changed) {
+    console.log(`Saved changes since the previous cache to ${paths.changes}`);
+  }
+  console.log(`Saved index of ${index.length} MODs to ${paths.index} and their files to ${paths.modShards}`);
+  console.log(`Saved search index of ${Object.keys(searchIndex.terms).length} terms to ${paths.searchIndex}`);
+  console.log(`Saved ${feeds.length} feed files`);
+
+  return { hashLookup, changes };
+}
@@ -0,0 +1,218 @@
+// 前回のキャッシュとの差分（新規・削除されたMOD、追加・取り下げられたリリース、ハッシュ・メタデータの変更）
+import fs from 'fs/promises';
+import { getReleaseAssets } from './assets.js';
+import { assignModIds, getModId } from './mod-id.js';
+
+// 取得のたびに変わり、MODのデータの変更とはみなさないフィールド（possibly_brokenは設定したビルドによる判定）
+const VOLATILE_FIELDS = ['last_updated', 'last_fetched', 'fetch_status', 'hash_metadata', 'possibly_broken'];
+
+// 差分として記録するMODのメタデータ
+const METADATA_FIELDS = ['name', 'description', 'category', 'source_location', 'author', 'tags', 'flags'];
+
+// キーの順序に依存しないJSON文字列に変換（比較用）
+export function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+// 取得日時などを除いたMODのデータが変わったか
+export function hasModDataChanged(previousMod, nextMod) {
+  if (!previousMod) return true;
+  const omitVolatile = mod => Object.fromEntries(
+    Object.entries(mod).filter(([key]) => !VOLATILE_FIELDS.includes(key))
+  );
+  return stableStringify(omitVolatile(previousMod)) !== stableStringify(omitVolatile(nextMod));
+}
+
+const toModRef = mod => ({ id: getModId(mod), name: mod.name });
+
+// 前回のキャッシュから対応するMODをIDで検索する関数を作成
+// マニフェストIDの無い以前の形式のMODはリポジトリURLでも検索（同じリポジトリに複数のMODがある場合は名前が一致するものを優先）
+function createPreviousIndex(previousMods) {
+  const byId = new Map();
+  const bySource = new Map();
+  // IDの無いMODには書き込み時と同じ規則でIDを割り当て
+  const ids = assignModIds(previousMods);
+  for (const mod of previousMods) {
+    byId.set(mod.id || ids.get(mod), mod);
+    if (!mod.manifest_id) {
+      if (!bySource.has(mod.source_location)) bySource.set(mod.source_location, []);
+      bySource.get(mod.source_location).push(mod);
+    }
+  }
+
+  return (mod, matched) => {
+    const previous = byId.get(getModId(mod));
+    if (previous && !matched.has(previous)) return previous;
+    const candidates = (bySource.get(mod.source_location) || []).filter(candidate => !matched.has(candidate));
+    return candidates.find(candidate => candidate.name === mod.name) || candidates[0] || null;
+  };
+}
+
+// アセットごとのハッシュ（ファイル名 → SHA256）
+function getAssetHashes(release) {
+  return new Map(getReleaseAssets(release).filter(asset => asset.name).map(asset => [asset.name, asset.sha256]));
+}
+
+// 前回と今回のキャッシュを比較して差分を作成
+export function diffMods(previousMods, nextMods, { previousGeneratedAt = null } = {}) {
+  const findPrevious = createPreviousIndex(previousMods);
+  const matched = new Set();
+  const changes = {
+    previous_generated_at: previousGeneratedAt,
+    mods_added: [],
+    mods_removed: [],
+    releases_added: [],
+    releases_removed: [],
+    hashes_changed: [],
+    metadata_changed: [],
+  };
+
+  for (const mod of nextMods) {
+    const previous = findPrevious(mod, matched);
+    if (!previous) {
+      changes.mods_added.push({ ...toModRef(mod), latest_version: mod.latest_version ?? null });
+      continue;
+    }
+    matched.add(previous);
+
+    const ref = toModRef(mod);
+    const previousReleases = new Map((previous.releases || []).map(release => [release.version, release]));
+    const nextVersions = new Set((mod.releases || []).map(release => release.version));
+
+    for (const release of mod.releases || []) {
+      const previousRelease = previousReleases.get(release.version);
+      if (!previousRelease) {
+        changes.releases_added.push({ ...ref, version: release.version, prerelease: Boolean(release.prerelease) });
+        continue;
+      }
+
+      // ハッシュの新規計算は変更とみなさず、既存のハッシュが変わった場合のみ記録
+      const previousHashes = getAssetHashes(previousRelease);
+      for (const [fileName, sha256] of getAssetHashes(release)) {
+        const previousSha256 = previousHashes.get(fileName);
+        if (previousSha256 && sha256 && previousSha256 !== sha256) {
+          changes.hashes_changed.push({
+            ...ref,
+            version: release.version,
+            file_name: fileName,
+            previous_sha256: previousSha256,
+            sha256,
+          });
+        }
+      }
+    }
+
+    for (const version of previousReleases.keys()) {
+      if (!nextVersions.has(version)) {
+        changes.releases_removed.push({ ...ref, version });
+      }
+    }
+
+    const fields = {};
+    for (const field of METADATA_FIELDS) {
+      if (stableStringify(previous[field]) !== stableStringify(mod[field])) {
+        fields[field] = { previous: previous[field] ?? null, current: mod[field] ?? null };
+      }
+    }
+    if (Object.keys(fields).length > 0) {
+      changes.metadata_changed.push({ ...ref, fields });
+    }
+  }
+
+  changes.mods_removed = previousMods.filter(mod => !matched.has(mod)).map(toModRef);
+  return changes;
+}
+
+// 差分の件数
+export function getChangeCounts(changes) {
+  return {
+    mods_added: changes.mods_added.length,
+    mods_removed: changes.mods_removed.length,
+    releases_added: changes.releases_added.length,
+    releases_removed: changes.releases_removed.length,
+    hashes_changed: changes.hashes_changed.length,
+    metadata_changed: changes.metadata_changed.length,
+  };
+}
+
+// 差分があるか
+export function hasChanges(changes) {
+  return Object.values(getChangeCounts(changes)).some(count => count > 0);
+}
+
+const LABELS = {
+  mods_added: 'New MODs',
+  mods_removed: 'Removed MODs',
+  releases_added: 'New releases',
+  releases_removed: 'Yanked releases',
+  hashes_changed: 'Changed hashes',
+  metadata_changed: 'Metadata edits',
+};
+
+// 1つのセクションに表示する最大件数（ジョブサマリーが長くなりすぎないように制限）
+const MAX_MARKDOWN_ITEMS = 50;
+
+// 差分の各項目をMarkdownの行に変換
+const MARKDOWN_FORMATTERS = {
+  mods_added: item => `**${item.name}** (\`${item.id}\`)${item.latest_version ? ` ${item.latest_version}` : ''}`,
+  mods_removed: item => `**${item.name}** (\`${item.id}\`)`,
+  releases_added: item => `**${item.name}** ${item.version}${item.prerelease ? ' (prerelease)' : ''}`,
+  releases_removed: item => `**${item.name}** ${item.version}`,
+  hashes_changed: item =>
+    `**${item.name}** ${item.version} \`${item.file_name}\`: \`${item.previous_sha256.slice(0, 12)}\` → \`${item.sha256.slice(0, 12)}\``,
+  metadata_changed: item => `**${item.name}**: ${Object.keys(item.fields).join(', ')}`,
+};
+
+// 差分をMarkdownのサマリーに変換
+export function formatChangesMarkdown(changes) {
+  const counts = getChangeCounts(changes);
+  const lines = ['## MOD Cache Changes', ''];
+
+  if (changes.previous_generated_at) {
+    lines.push(`Compared with the cache generated at ${changes.previous_generated_at}.`, '');
+  }
+  if (!hasChanges(changes)) {
+    lines.push('No changes.');
+    return lines.join('\n') + '\n';
+  }
+
+  for (const [key, label] of Object.entries(LABELS)) {
+    lines.push(`- ${label}: ${counts[key]}`);
+  }
+
+  for (const [key, label] of Object.entries(LABELS)) {
+    const items = changes[key];
+    if (items.length === 0) continue;
+    lines.push('', `### ${label}`, '');
+    for (const item of items.slice(0, MAX_MARKDOWN_ITEMS)) {
+      lines.push(`- ${MARKDOWN_FORMATTERS[key](item)}`);
+    }
+    if (items.length > MAX_MARKDOWN_ITEMS) {
+      lines.push(`- ... and ${items.length - MAX_MARKDOWN_ITEMS} more`);
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+// 差分の件数を表示
+export function printChanges(changes) {
+  const counts = getChangeCounts(changes);
+  console.log('\nChanges since the previous cache:');
+  for (const [key, label] of Object.entries(LABELS)) {
+    console.log(`  ${label}: ${counts[key]}`);
+  }
+}
+
+// GitHub Actionsのジョブサマリーに差分を出力
+export async function writeChangesSummary(changes) {
+  if (!process.env.GITHUB_STEP_SUMMARY) return;
+  await fs.appendFile(process.env.GITHUB_STEP_SUMMARY, formatChangesMarkdown(changes) + '\n');
+}
@@ -0,0 +1,307 @@
+// MOD情報の収集（マニフェストのMODと追加リポジトリ）
+import { applyDerivedFields, getCachePaths, getHashMetadata, loadExistingCache } from './cache.js';
+import { hasIncompleteHashes } from './assets.js';
+import { hasModDataChanged } from './changes.js';
+import { getDownloadOptions } from './content-store.js';
+import { getRepositoryKey } from './github.js';
+import { fetchModManifest, getManifestEntries, getManifestReleases, mergeManifestReleases } from './manifest.js';
+import { generateModId, getModId } from './mod-id.js';
+import { createRepoFilter } from './options.js';
+import { resolveProvider } from './providers.js';
+import { loadAdditionalRepositories } from './repositories.js';
+import { RateLimitError, runWithConcurrency } from './request-scheduler.js';
+import { getLatestFields } from './versions.js';
+
+// 既存のMOD情報を再取得する理由を取得（再取得が不要ならnull）
+// maxAgeが0の場合は常に再取得（変更の有無は条件付きリクエストで判定）
+// 経過時間は最後に取得できた日時（last_fetchedの無い以前のキャッシュはlast_updated）から判定
+export function getRefreshReason(existingMod, { hashMode = 'missing', maxAge = 0, now = Date.now() } = {}) {
+  if (!existingMod) return 'new';
+  if (hashMode === 'all') return 'forced';
+  if (hashMode !== 'none' && hasIncompleteHashes(existingMod.releases || [])) return 'incomplete hashes';
+  if (!maxAge) return 'always';
+  const fetchedAt = existingMod.last_fetched || existingMod.last_updated;
+  if (!fetchedAt || now - new Date(fetchedAt) > maxAge) return 'age';
+  return null;
+}
+
+// 既存キャッシュをマップに変換（高速検索用）
+// MODはIDで検索し、リポジトリURL（以前のURL・リダイレクト先を含む）でも検索できるようにする
+function indexExistingCache(existingCache) {
+  const byId = new Map();
+  const byRepository = new Map();
+  for (const mod of existingCache) {
+    byId.set(getModId(mod), mod);
+    for (const url of [mod.source_location, ...(mod.aliases || [])]) {
+      const key = getRepositoryKey(url);
+      if (!byRepository.has(key)) byRepository.set(key, []);
+      byRepository.get(key).push(mod);
+    }
+  }
+  return { byId, byRepository };
+}
+
+// 既存キャッシュから対応するMODを検索
+// IDで見つからない場合は、同じ種類（マニフェスト・追加リポジトリ）のMODをリポジトリURLで検索
+// （マニフェストIDの無い以前のキャッシュ・リポジトリを移動した追加リポジトリ用。同じリポジトリの別のMODとは区別する）
+function findExistingMod(index, { id, name, source, source_location }) {
+  const mod = id && index.byId.get(id);
+  if (mod) return mod;
+  const candidates = (index.byRepository.get(getRepositoryKey(source_location)) || [])
+    .filter(candidate => candidate.source === source && (source === 'additional' || !candidate.manifest_id));
+  return candidates.find(candidate => candidate.name === name) || candidates[0] || null;
+}
+
+// 以前のリポジトリURL・リダイレクト先のURLを記録（現在のURLと同じものは除く）
+function getAliases(sourceLocation, existingMod, repository) {
+  const currentKey = getRepositoryKey(sourceLocation);
+  const aliases = new Map();
+  const candidates = [
+    ...(existingMod?.aliases || []),
+    existingMod?.source_location,
+    repository,
+  ];
+  for (const url of candidates.filter(Boolean)) {
+    const key = getRepositoryKey(url);
+    if (key !== currentKey && !aliases.has(key)) aliases.set(key, url);
+  }
+  return [...aliases.values()];
+}
+
+// ハッシュの取得状況を集計（今回ハッシュを計算した場合のみ last_hash_update を更新）
+function getModHashMetadata(releases, existingMod, hashed) {
+  return getHashMetadata(
+    { releases },
+    hashed > 0 ? new Date().toISOString() : existingMod?.hash_metadata?.last_hash_update || null
+  );
+}
+
+// 取得状況に応じた日時・状態のフィールド
+// fetch_status: fresh（今回取得できた）/ stale（今回は取得せず既存のデータを使用）/ error（取得に失敗し既存のデータを使用）
+// possibly_brokenはキャッシュの書き込み時に判定し直すまで前回の値を維持
+function getFetchFields(existingMod, status) {
+  return {
+    possibly_broken: Boolean(existingMod?.possibly_broken),
+    last_updated: existingMod?.last_updated || null,
+    last_fetched: status === 'fresh' ? new Date().toISOString() : existingMod?.last_fetched || null,
+    fetch_status: status,
+  };
+}
+
+// MODのデータが前回から変わった場合のみlast_updatedを更新
+// semver・最新バージョン・対応するゲームビルドは両方とも求め直して比較（キャッシュの形式の違いだけで更新扱いにしない）
+function touchIfChanged(mod, existingMod) {
+  if (mod.last_updated && !hasModDataChanged(existingMod && applyDerivedFields(existingMod), applyDerivedFields(mod))) return mod;
+  return { ...mod, last_updated: new Date().toISOString() };
+}
+
+// 既存のMOD情報を取得せずにそのまま引き継ぐ
+function carryForward(existingMod, status = 'stale') {
+  return { ...existingMod, last_fetched: existingMod.last_fetched || null, fetch_status: status };
+}
+
+// プロバイダー（GitHub・GitLab・Gitea/Forgejo・静的なリリース一覧）からリリース情報を取得
+// 再取得が不要な場合・レート制限で中断した後は既存の情報を使用
+// 条件付きリクエストの状態はMODのIDごとに保持
+async function fetchReleases(id, repository, existingMod, context) {
+  const { client, fetchState, fetchStats, options, download } = context;
+  const existingReleases = existingMod?.releases || [];
+  const useExisting = status => ({ releases: existingReleases, status, hashed: 0, repository: null });
+
+  // 対応していないホストのMODはマニフェストの情報のみで構成するため常に最新
+  const provider = resolveProvider(repository);
+  if (!provider) return useExisting('fresh');
+
+  if (context.rateLimited) {
+    console.log('  Rate limit reached earlier, using cached data');
+    fetchStats.rateLimited++;
+    return useExisting('stale');
+  }
+
+  const reason = getRefreshReason(existingMod, options);
+  if (!reason) {
+    console.log('  Using cached data (within max age, all hashes complete)');
+    fetchStats.skipped++;
+    return useExisting('stale');
+  }
+  if (reason !== 'always' && reason !== 'new') {
+    console.log(`  Updating due to ${reason}`);
+  }
+
+  let result;
+  try {
+    result = await provider.getAllReleases(
+      client,
+      existingReleases,
+      fetchState.repositories,
+      { hashMode: options.hashMode, stateKey: id, download }
+    );
+  } catch (error) {
+    if (!(error instanceof RateLimitError)) throw error;
+    console.error(`API rate limit reached. Remaining MODs will use cached data.`);
+    // 以降のMODはAPIを呼ばずに既存のデータを使用
+    context.rateLimited = true;
+    fetchStats.rateLimited++;
+    return useExisting('error');
+  }
+
+  fetchStats[result.status]++;
+  return {
+    releases: result.releases,
+    status: result.status === 'failed' ? 'error' : 'fresh',
+    hashed: result.hashed,
+    repository: result.repository,
+  };
+}
+
+// マニフェストのMODエントリを処理
+async function processManifestEntry(task, context) {
+  const { id, existingMod, authorName, modKey, modEntry } = task;
+
+  let fetched;
+  try {
+    fetched = await fetchReleases(id, { repository: modEntry.sourceLocation }, existingMod, context);
+  } catch (error) {
+    console.warn(`Failed to process ${modEntry.name}:`, error.message);
+    context.fetchStats.failed++;
+    fetched = { releases: existingMod?.releases || [], status: 'error', hashed: 0, repository: null };
+  }
+
+  // マニフェストのバージョン情報（アーティファクト・依存関係・競合）をマージ
+  // 対応していないホストのMODはマニフェストの情報のみでリリース一覧を構成
+  const releases = mergeManifestReleases(fetched.releases, getManifestReleases(modEntry));
+
+  return touchIfChanged({
+    id,
+    name: modEntry.name,
+    manifest_id: modKey,
+    description: modEntry.description || null,
+    category: modEntry.category || null,
+    source_location: modEntry.sourceLocation,
+    aliases: getAliases(modEntry.sourceLocation, existingMod, fetched.repository),
+    author: authorName,
+    ...getLatestFields(releases),
+    releases: releases,
+    tags: modEntry.tags || null,
+    flags: modEntry.flags || null,
+    ...getFetchFields(existingMod, fetched.status),
+    source: 'manifest',
+    hash_metadata: getModHashMetadata(releases, existingMod, fetched.hashed),
+  }, existingMod);
+}
+
+// 追加リポジトリを処理
+async function processAdditionalRepository(task, context) {
+  const { id, existingMod, repo } = task;
+
+  const provider = resolveProvider(repo);
+  if (!provider) {
+    console.warn(`Unsupported repository${repo.provider ? ` (provider: ${repo.provider})` : ''}: ${repo.repository}`);
+    return existingMod ? carryForward(existingMod, 'error') : null;
+  }
+
+  const { repoInfo } = provider;
+  try {
+    // マニフェスト外のリポジトリは依存関係・競合情報を持たない
+    const fetched = await fetchReleases(id, repo, existingMod, context);
+    const releases = mergeManifestReleases(fetched.releases, []);
+
+    return touchIfChanged({
+      id,
+      name: repo.name || [repoInfo.owner, repoInfo.repo].filter(Boolean).join('/'),
+      description: repo.description || null,
+      category: repo.category || 'Other',
+      source_location: repo.repository,
+      aliases: getAliases(repo.repository, existingMod, fetched.repository),
+      author: repo.author || repoInfo.owner || null,
+      ...getLatestFields(releases),
+      releases: releases,
+      tags: repo.tags || null,
+      flags: repo.flags || null,
+      ...getFetchFields(existingMod, fetched.status),
+      source: 'additional',
+      hash_metadata: getModHashMetadata(releases, existingMod, fetched.hashed),
+    }, existingMod);
+  } catch (error) {
+    console.warn(`Failed to process ${repo.repository}:`, error.message);
+    context.fetchStats.failed++;
+
+    // エラー時は既存データを使用
+    return existingMod ? carryForward(existingMod, 'error') : null;
+  }
+}
+
+// MOD情報を収集
+// fetchStatsにはリポジトリごとの取得結果（unchanged/refreshed/failed/skipped/rateLimited）を集計
+// レート制限で中断した後のMODも含め、取得しなかったMODは既存のキャッシュから引き継ぐ
+// --repoで対象を絞り込んだ場合、対象外のMODは既存のキャッシュをそのまま使用
+export async function collectModInfo({
+  client,
+  options,
+  fetchState,
+  fetchStats,
+  paths = getCachePaths(options.outputDir),
+  manifestUrl,
+  repositoriesPath,
+}) {
+  const { manifest, status: manifestStatus } = await fetchModManifest(fetchState, paths.manifest, manifestUrl);
+  fetchStats.manifest = manifestStatus;
+  const additionalRepos = await loadAdditionalRepositories(repositoriesPath);
+  const existingCache = await loadExistingCache(paths);
+  const existingIndex = indexExistingCache(existingCache);
+
+  // 処理対象（マニフェストのMODと追加リポジトリ）を一覧化し、既存のMODと対応付け
+  // MODのIDはマニフェストのエントリキー、追加リポジトリは設定のid・既存のMODのID・owner.repoの順に決定
+  const tasks = [];
+  for (const { authorName, modKey, modEntry } of getManifestEntries(manifest)) {
+    const task = {
+      type: 'manifest',
+      id: modKey,
+      name: modEntry.name,
+      manifest_id: modKey,
+      source: 'manifest',
+      source_location: modEntry.sourceLocation,
+      authorName,
+      modKey,
+      modEntry,
+    };
+    tasks.push({ ...task, existingMod: findExistingMod(existingIndex, task) });
+  }
+  for (const repo of additionalRepos) {
+    const task = {
+      type: 'additional',
+      id: repo.id,
+      name: repo.name || repo.repository,
+      source: 'additional',
+      source_location: repo.repository,
+      repo,
+    };
+    const existingMod = findExistingMod(existingIndex, task);
+    const id = repo.id || (existingMod && getModId(existingMod)) || generateModId(repo.repository, repo.name);
+    tasks.push({ ...task, id, existingMod });
+  }
+
+  const matchesFilter = createRepoFilter(options.repoPatterns);
+  const targetCount = tasks.filter(matchesFilter).length;
+  const context = { client, options, fetchState, fetchStats, download: getDownloadOptions(options), rateLimited: false };
+  let processedCount = 0;
+
+  console.log(`Processing ${targetCount} MODs with concurrency ${options.concurrency}`);
+
+  // 同時実行数を制限して並列に処理（結果の順序はタスクの順序を維持）
+  const results = await runWithConcurrency(tasks, options.concurrency, async task => {
+    if (!matchesFilter(task)) {
+      return task.existingMod ? carryForward(task.existingMod) : null;
+    }
+
+    processedCount++;
+    console.log(`\n[${processedCount}/${targetCount}] Processing ${task.name}...`);
+
+    return task.type === 'manifest'
+      ? processManifestEntry(task, context)
+      : processAdditionalRepository(task, context);
+  });
+
+  // 置き換え前の安全確認用に、既存のキャッシュと現在掲載されているMODも返す
+  return { mods: results.filter(Boolean), previousMods: existingCache, listed: tasks };
+}
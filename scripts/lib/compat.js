@@ -0,0 +1,173 @@
+// Resoniteのゲームビルド（"2024.7.12.12"）の解析と、リリースが対応するビルドの範囲の推定
+import { getReleaseAssets } from './assets.js';
+import { selectLatestReleases } from './versions.js';
+
+// 文字列中のゲームビルド（年.月.日、または年.月.日.ビルド番号。"V"の接頭辞も可）
+const BUILD_PATTERN = /(?<![\d.])[Vv]?(20\d\d)\.(\d{1,2})\.(\d{1,2})(?:\.(\d+))?(?!\.?\d)/;
+
+// 変更ログでゲームのビルドに言及している箇所（"Resonite Beta 2024.5.29.130"・"Resonite build `2024.7.11.1293`"など）
+const CHANGELOG_PATTERN = new RegExp(`Resonite\\b[^\\n\\d]{0,40}?${BUILD_PATTERN.source}`, 'g');
+
+// ゲームのアセンブリを参照するNuGetパッケージ
+const GAME_PACKAGES = ['resonite.gamelibs'];
+
+// ゲームのアセンブリ（参照しているバージョンがゲームのビルド）
+const GAME_ASSEMBLIES = ['frooxengine'];
+
+// 正規表現の一致からビルドの文字列を作成（月・日が範囲外ならnull）
+function formatBuild([, year, month, day, build]) {
+  if (Number(month) < 1 || Number(month) > 12 || Number(day) < 1 || Number(day) > 31) return null;
+  return [year, month, day, build].filter(part => part !== undefined).map(part => String(Number(part))).join('.');
+}
+
+// 文字列中の最初のゲームビルドを取得（無ければnull）
+function findBuild(text) {
+  const match = String(text ?? '').match(BUILD_PATTERN);
+  return match ? formatBuild(match) : null;
+}
+
+// ゲームビルド（"2024.7.12.12"・"2024.7.12"）または日付（"2024-07-12"）を正規化（解析できなければnull）
+export function parseGameBuild(value) {
+  const text = String(value ?? '').trim();
+  const date = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (date) return formatBuild(date);
+  const match = text.match(new RegExp(`^${BUILD_PATTERN.source}$`));
+  return match ? formatBuild(match) : null;
+}
+
+// ゲームビルドの比較（ビルド番号の無いビルドはその日の最初のビルドとして扱う）
+export function compareGameBuilds(a, b) {
+  const left = a.split('.').map(Number);
+  const right = b.split('.').map(Number);
+  for (let i = 0; i < 4; i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+// ビルドの日付部分（"2024.7.12.12" → "2024.7.12"）
+function getBuildDate(build) {
+  return build.split('.').slice(0, 3).join('.');
+}
+
+// ビルドの範囲を解析（{ min, max, max_exclusive }、ビルドを含まなければnull）
+// NuGetの区間表記（"[2024.7.12, 2025.1.1)"）、比較演算子（">=2024.7.12 <2025.1.1"）、ハイフン（"2024.7.12 - 2025.1.1"）に対応
+// 演算子の無いビルドは下限として扱う（そのビルド向けにビルドされたリリース）
+export function parseBuildRange(text) {
+  if (typeof text !== 'string') return null;
+  const range = { min: null, max: null, max_exclusive: false };
+  const value = text.trim();
+
+  const interval = value.match(/^([[(])([^,\])]*)(?:,([^\])]*))?([\])])$/);
+  const hyphen = value.match(/^(\S+)\s+-\s+(\S+)$/);
+  if (interval) {
+    const [, , lower, upper, close] = interval;
+    range.min = findBuild(lower);
+    // "[2024.7.12]"は指定したビルドのみ
+    range.max = upper === undefined ? range.min : findBuild(upper);
+    range.max_exclusive = Boolean(range.max) && upper !== undefined && close === ')';
+  } else if (hyphen) {
+    range.min = findBuild(hyphen[1]);
+    range.max = findBuild(hyphen[2]);
+  } else {
+    const comparators = new RegExp(`(<=|>=|<|>|=|\\^|~)?\\s*${BUILD_PATTERN.source}`, 'g');
+    for (const match of value.matchAll(comparators)) {
+      const build = formatBuild(match.slice(1));
+      if (!build) continue;
+      if (match[1] === '<' || match[1] === '<=') {
+        range.max = build;
+        range.max_exclusive = match[1] === '<';
+      } else {
+        range.min = build;
+      }
+    }
+  }
+  return range.min || range.max ? range : null;
+}
+
+// 最も新しいビルド
+function newestBuild(builds) {
+  return builds.filter(Boolean).sort(compareGameBuilds).at(-1) || null;
+}
+
+// パッケージが依存するゲームのパッケージのバージョン範囲
+function detectFromPackages(assets) {
+  for (const asset of assets) {
+    for (const dependency of asset.package?.dependencies || []) {
+      if (!GAME_PACKAGES.includes(dependency.id.toLowerCase())) continue;
+      const range = parseBuildRange(dependency.version || '');
+      if (range) return range;
+    }
+  }
+  return null;
+}
+
+// DLL（パッケージ内のDLLを含む）が参照するゲームのアセンブリのバージョン
+function detectFromAssemblies(assets) {
+  const assemblies = assets.flatMap(asset => [asset.assembly, ...(asset.package?.files || []).map(file => file.assembly)]);
+  const builds = assemblies
+    .flatMap(assembly => assembly?.references || [])
+    .filter(reference => GAME_ASSEMBLIES.includes(reference.name.toLowerCase()))
+    .map(reference => parseGameBuild(reference.version));
+  const min = newestBuild(builds);
+  return min ? { min, max: null, max_exclusive: false } : null;
+}
+
+// 変更ログで言及されている最も新しいビルド
+function detectFromChangelog(changelog) {
+  const builds = [...String(changelog ?? '').matchAll(CHANGELOG_PATTERN)].map(match => formatBuild(match));
+  const min = newestBuild(builds);
+  return min ? { min, max: null, max_exclusive: false } : null;
+}
+
+// リリースが対応するゲームビルドの範囲を推定（{ min, max, max_exclusive, source }、不明ならnull）
+// マニフェストの指定（マージ時に設定済み）→ パッケージの依存関係 → アセンブリの参照 → 変更ログの順に使用
+export function detectResoniteCompat(release) {
+  if (release.resonite_compat?.source === 'manifest') return release.resonite_compat;
+  const assets = getReleaseAssets(release);
+  const detectors = [
+    ['package', () => detectFromPackages(assets)],
+    ['assembly', () => detectFromAssemblies(assets)],
+    ['changelog', () => detectFromChangelog(release.changelog)],
+  ];
+  for (const [source, detect] of detectors) {
+    const range = detect();
+    if (range) return { ...range, source };
+  }
+  return null;
+}
+
+// ビルドが範囲の上限以下か
+function isBelowMax(build, compat) {
+  if (!compat.max) return true;
+  const diff = compareGameBuilds(build, compat.max);
+  return compat.max_exclusive ? diff < 0 : diff <= 0;
+}
+
+// 最新リリースが指定したビルド（互換性のなくなったゲームの更新）より古く、動作しない可能性があるか
+// 対応するビルドが分かればその範囲で、分からなければ公開日とビルドの日付で判定
+export function isPossiblyBroken(mod, breakingBuild) {
+  const { latest, prerelease } = selectLatestReleases(mod.releases);
+  const release = latest || prerelease;
+  if (!release) return false;
+
+  const compat = release.resonite_compat;
+  if (compat?.max) return !isBelowMax(breakingBuild, compat);
+  if (compat?.min) return compareGameBuilds(compat.min, breakingBuild) < 0;
+  if (!release.published_at) return false;
+  const published = new Date(release.published_at).toISOString().slice(0, 10);
+  return compareGameBuilds(parseGameBuild(published), getBuildDate(breakingBuild)) < 0;
+}
+
+// 指定したビルドで動作することが分かっているリリースか
+// 範囲に含まれ、上限が不明な場合はその間に互換性のなくなったゲームの更新（breakingBuild）が無いこと
+export function isCompatibleWith(release, build, { breakingBuild = null } = {}) {
+  const compat = release.resonite_compat;
+  if (release.draft || !compat?.min) return false;
+  if (compareGameBuilds(compat.min, build) > 0 || !isBelowMax(build, compat)) return false;
+  if (breakingBuild && !compat.max && compareGameBuilds(compat.min, breakingBuild) < 0 && compareGameBuilds(build, breakingBuild) >= 0) {
+    return false;
+  }
+  return true;
+}
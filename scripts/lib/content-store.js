@@ -0,0 +1,79 @@
+// ダウンロードしたファイルをSHA256ハッシュで保存するストア（再ダウンロードせずにハッシュを計算し直すため）
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { hashFileDigests, isSha256 } from './hash.js';
+
+// ストアを作成（ファイルは <dir>/sha256/<先頭2文字>/<ハッシュ> に保存）
+export function createContentStore(dir) {
+  const tmpDir = path.join(dir, 'tmp');
+  const getPath = sha256 => path.join(dir, 'sha256', sha256.slice(0, 2), sha256);
+
+  return {
+    dir,
+    getPath,
+
+    // ハッシュが一致するファイルが保存されているか
+    async has(sha256) {
+      if (!isSha256(sha256)) return false;
+      return fs.access(getPath(sha256)).then(() => true, () => false);
+    },
+
+    // 保存済みのファイルのハッシュ・サイズを計算（保存されていない・壊れている場合はnull）
+    // inspect(filePath)を指定すると保存済みのファイルを解析し、返されたフィールドを結果に追加
+    async hash(sha256, algorithms = ['sha256'], inspect = null) {
+      if (!await this.has(sha256)) return null;
+      const result = await hashFileDigests(getPath(sha256), algorithms);
+      if (result.sha256 !== sha256) {
+        console.warn(`  Stored file ${getPath(sha256)} is corrupted, removing it`);
+        await fs.rm(getPath(sha256), { force: true });
+        return null;
+      }
+      if (inspect) Object.assign(result, await inspect(getPath(sha256)));
+      return result;
+    },
+
+    // ダウンロード中のファイルを一時ファイルに書き込み、完了後にハッシュの位置へ移動
+    async createWriter() {
+      await fs.mkdir(tmpDir, { recursive: true });
+      const tmpPath = path.join(tmpDir, `${process.pid}-${crypto.randomUUID()}`);
+      let handle = await fs.open(tmpPath, 'w');
+
+      const close = async () => {
+        await handle?.close();
+        handle = null;
+      };
+
+      return {
+        async write(chunk) {
+          await handle.write(chunk);
+        },
+        // 最初からダウンロードし直す場合に書き込んだ内容を破棄
+        async reset() {
+          await close();
+          handle = await fs.open(tmpPath, 'w');
+        },
+        // 保存したファイルのパスを返す
+        async commit(sha256) {
+          await close();
+          const target = getPath(sha256);
+          await fs.mkdir(path.dirname(target), { recursive: true });
+          await fs.rename(tmpPath, target);
+          return target;
+        },
+        async abort() {
+          await close();
+          await fs.rm(tmpPath, { force: true });
+        },
+      };
+    },
+  };
+}
+
+// CLIのオプションからダウンロード時のオプション（計算するハッシュ・保存先のストア）を作成
+export function getDownloadOptions(options) {
+  return {
+    algorithms: ['sha256', ...(options.digests || [])],
+    store: options.store ? createContentStore(options.store) : null,
+  };
+}
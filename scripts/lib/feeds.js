@@ -0,0 +1,231 @@
+// 新しいリリースのフィード（Atom・RSS・JSON Feed）の生成
+import { assignModIds, getModId, toSlug } from './mod-id.js';
+
+// フィードのURLの既定値（公開しているmainブランチのcache/、MOD_CACHE_BASE_URLで変更可能）
+export const DEFAULT_FEED_BASE_URL = 'https://raw.githubusercontent.com/resonite-love/resonite-mod-cache/main/cache';
+
+// フィードのURLの基準（実行したリポジトリ・ブランチによって出力が変わらないよう固定）
+export function getFeedBaseUrl(env = process.env) {
+  return env.MOD_CACHE_BASE_URL ? env.MOD_CACHE_BASE_URL.replace(/\/+$/, '') : DEFAULT_FEED_BASE_URL;
+}
+
+// フィードに含める最大件数
+const MAX_ITEMS = 50;
+const MAX_MOD_ITEMS = 20;
+
+const FORMATS = {
+  atom: { extension: 'atom', render: renderAtom },
+  rss: { extension: 'rss', render: renderRss },
+  json: { extension: 'json', render: renderJsonFeed },
+};
+
+// カテゴリのフィードのファイル名
+export function getCategoryFeedSlug(category) {
+  return toSlug(String(category || 'Uncategorized').toLowerCase());
+}
+
+// フィードの項目に変換（公開日時の無いリリース・ドラフトは含めない）
+function getFeedItems(mods) {
+  const items = [];
+  for (const mod of mods) {
+    for (const release of mod.releases || []) {
+      if (release.draft || !release.published_at) continue;
+      items.push({
+        id: `urn:resonite-mod-cache:release:${getModId(mod)}:${release.version}`,
+        title: `${mod.name} ${release.version}`,
+        url: release.release_url || mod.source_location,
+        published_at: release.published_at,
+        changelog: release.changelog || null,
+        summary: mod.description || null,
+        author: mod.author || null,
+        categories: [mod.category, ...(mod.tags || [])].filter(Boolean),
+        prerelease: Boolean(release.prerelease),
+        mod,
+        release,
+      });
+    }
+  }
+  // 新しい順（同時刻はIDの順で並べて出力を安定させる）
+  return items.sort((a, b) =>
+    new Date(b.published_at) - new Date(a.published_at) || a.id.localeCompare(b.id)
+  );
+}
+
+// フィードの更新日時（最新の項目の公開日時、項目が無ければMODの更新日時）
+function getFeedUpdated(items, mods) {
+  if (items.length > 0) return new Date(items[0].published_at).toISOString();
+  const dates = mods.map(mod => mod.last_updated).filter(Boolean).sort();
+  return new Date(dates.at(-1) || 0).toISOString();
+}
+
+// XML 1.0で使用できない制御文字（タブ・改行以外）は除去してからエスケープ
+const escapeXml = value => String(value)
+  .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+function renderAtom(feed, url) {
+  const lines = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(feed.id)}</id>`,
+    `  <title>${escapeXml(feed.title)}</title>`,
+    `  <subtitle>${escapeXml(feed.description)}</subtitle>`,
+    `  <link rel="self" href="${escapeXml(url)}"/>`,
+    `  <link rel="alternate" href="${escapeXml(feed.homeUrl)}"/>`,
+    `  <updated>${feed.updated}</updated>`,
+  ];
+  for (const item of feed.items) {
+    lines.push(
+      '  <entry>',
+      `    <id>${escapeXml(item.id)}</id>`,
+      `    <title>${escapeXml(item.title)}</title>`,
+      `    <link rel="alternate" href="${escapeXml(item.url)}"/>`,
+      `    <published>${new Date(item.published_at).toISOString()}</published>`,
+      `    <updated>${new Date(item.published_at).toISOString()}</updated>`,
+    );
+    if (item.author) lines.push(`    <author><name>${escapeXml(item.author)}</name></author>`);
+    for (const category of item.categories) lines.push(`    <category term="${escapeXml(category)}"/>`);
+    if (item.summary) lines.push(`    <summary>${escapeXml(item.summary)}</summary>`);
+    if (item.changelog) lines.push(`    <content type="text">${escapeXml(item.changelog)}</content>`);
+    lines.push('  </entry>');
+  }
+  lines.push('</feed>');
+  return lines.join('\n') + '\n';
+}
+
+function renderRss(feed, url) {
+  const lines = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '  <channel>',
+    `    <title>${escapeXml(feed.title)}</title>`,
+    `    <link>${escapeXml(feed.homeUrl)}</link>`,
+    `    <description>${escapeXml(feed.description)}</description>`,
+    `    <atom:link rel="self" type="application/rss+xml" href="${escapeXml(url)}"/>`,
+    `    <lastBuildDate>${new Date(feed.updated).toUTCString()}</lastBuildDate>`,
+  ];
+  for (const item of feed.items) {
+    lines.push(
+      '    <item>',
+      `      <guid isPermaLink="false">${escapeXml(item.id)}</guid>`,
+      `      <title>${escapeXml(item.title)}</title>`,
+      `      <link>${escapeXml(item.url)}</link>`,
+      `      <pubDate>${new Date(item.published_at).toUTCString()}</pubDate>`,
+    );
+    for (const category of item.categories) lines.push(`      <category>${escapeXml(category)}</category>`);
+    const description = item.changelog || item.summary;
+    if (description) lines.push(`      <description>${escapeXml(description)}</description>`);
+    lines.push('    </item>');
+  }
+  lines.push('  </channel>', '</rss>');
+  return lines.join('\n') + '\n';
+}
+
+function renderJsonFeed(feed, url) {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    description: feed.description,
+    home_page_url: feed.homeUrl,
+    feed_url: url,
+    items: feed.items.map(item => ({
+      id: item.id,
+      url: item.url,
+      title: item.title,
+      content_text: item.changelog || item.summary || '',
+      ...(item.summary ? { summary: item.summary } : {}),
+      date_published: new Date(item.published_at).toISOString(),
+      ...(item.author ? { authors: [{ name: item.author }] } : {}),
+      tags: item.categories,
+      // MODクライアント向けの拡張（JSON Feedでは"_"で始まるキーで拡張できる）
+      _resonite_mod: {
+        mod_id: getModId(item.mod),
+        mod_name: item.mod.name,
+        manifest_id: item.mod.manifest_id || null,
+        source_location: item.mod.source_location,
+        version: item.release.version,
+        prerelease: item.prerelease,
+        download_url: item.release.download_url || null,
+        sha256: item.release.sha256 || null,
+      },
+    })),
+  }, null, 2) + '\n';
+}
+
+// 1つのフィードを各形式のファイルに変換
+function renderFeed(feed, baseUrl) {
+  return Object.values(FORMATS).map(({ extension, render }) => {
+    const file = `${feed.path}.${extension}`;
+    return { file, content: render(feed, `${baseUrl}/${file}`) };
+  });
+}
+
+// すべてのフィードを生成してファイル（出力ディレクトリからの相対パスと内容）の一覧を返す
+// 全体・カテゴリ別・MOD別のフィードは正式リリースのみ、プレリリースは全体の別のフィードに出力
+export function generateFeeds(mods, { baseUrl = getFeedBaseUrl() } = {}) {
+  const feeds = [];
+  const homeUrl = `${baseUrl}/mods.json`;
+  const allItems = getFeedItems(mods);
+  const stableItems = allItems.filter(item => !item.prerelease);
+
+  feeds.push({
+    path: 'feed',
+    id: 'urn:resonite-mod-cache:feed',
+    title: 'Resonite MOD releases',
+    description: 'New releases of Resonite MODs',
+    homeUrl,
+    items: stableItems.slice(0, MAX_ITEMS),
+    updated: getFeedUpdated(stableItems, mods),
+  });
+
+  const prereleaseItems = allItems.filter(item => item.prerelease);
+  feeds.push({
+    path: 'feed-prerelease',
+    id: 'urn:resonite-mod-cache:feed:prerelease',
+    title: 'Resonite MOD prereleases',
+    description: 'New prereleases of Resonite MODs',
+    homeUrl,
+    items: prereleaseItems.slice(0, MAX_ITEMS),
+    updated: getFeedUpdated(prereleaseItems, mods),
+  });
+
+  const categories = new Map();
+  for (const mod of mods) {
+    const slug = getCategoryFeedSlug(mod.category);
+    if (!categories.has(slug)) categories.set(slug, { name: mod.category || 'Uncategorized', mods: [] });
+    categories.get(slug).mods.push(mod);
+  }
+  for (const [slug, category] of [...categories].sort(([a], [b]) => a.localeCompare(b))) {
+    const items = stableItems.filter(item => category.mods.includes(item.mod));
+    feeds.push({
+      path: `feeds/categories/${slug}`,
+      id: `urn:resonite-mod-cache:feed:category:${slug}`,
+      title: `Resonite MOD releases: ${category.name}`,
+      description: `New releases of Resonite MODs in the ${category.name} category`,
+      homeUrl,
+      items: items.slice(0, MAX_ITEMS),
+      updated: getFeedUpdated(items, category.mods),
+    });
+  }
+
+  const ids = assignModIds(mods);
+  for (const mod of mods) {
+    const slug = ids.get(mod);
+    const items = stableItems.filter(item => item.mod === mod);
+    feeds.push({
+      path: `feeds/mods/${slug}`,
+      id: `urn:resonite-mod-cache:feed:mod:${getModId(mod)}`,
+      title: `${mod.name} releases`,
+      description: mod.description || `New releases of ${mod.name}`,
+      homeUrl: mod.source_location,
+      items: items.slice(0, MAX_MOD_ITEMS),
+      updated: getFeedUpdated(items, [mod]),
+    });
+  }
+
+  return feeds.flatMap(feed => renderFeed(feed, baseUrl));
+}
@@ -0,0 +1,84 @@
+// Gitea・Forgejo（Codeberg・セルフホスト）のリポジトリのリリース情報の取得
+import { fetchJson, getConditionalState } from './http.js';
+import { collectReleases } from './releases.js';
+
+// 1ページあたりの件数（Giteaの既定の上限は50）
+const PAGE_SIZE = 50;
+
+// GITEA_TOKENを送るインスタンス（セルフホストのインスタンスには送らない）
+const TOKEN_ORIGINS = ['https://codeberg.org', 'https://gitea.com'];
+
+// Gitea・ForgejoのリポジトリURLからインスタンスのURLとowner/repoを抽出
+export function parseGiteaUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+  const [owner, repo] = parsed.pathname.split('/').filter(Boolean);
+  if (!owner || !repo) return null;
+  return { baseUrl: parsed.origin, owner, repo: repo.replace(/\.git$/i, '') };
+}
+
+// Gitea・Forgejoのリリースを共通形式に変換
+function toRelease(release) {
+  return {
+    version: release.tag_name,
+    release_url: release.html_url,
+    published_at: release.published_at || release.created_at || null,
+    prerelease: release.prerelease,
+    draft: release.draft,
+    changelog: release.body,
+    assets: (release.assets || []).map(asset => ({
+      name: asset.name,
+      size: asset.size ?? null,
+      download_url: asset.browser_download_url,
+      content_type: null,
+    })),
+  };
+}
+
+// リポジトリからすべてのリリース情報を取得（ハッシュ情報付き）
+// 非公開リポジトリ・レート制限の緩和にはGITEA_TOKENを使用（codeberg.org・gitea.comのみ）
+export async function getAllReleases(client, repoInfo, existingReleases = [], fetchState = {}, {
+  hashMode = 'missing',
+  stateKey = `${repoInfo.owner}/${repoInfo.repo}`.toLowerCase(),
+  token = TOKEN_ORIGINS.includes(repoInfo.baseUrl) ? process.env.GITEA_TOKEN : null,
+  download = {},
+} = {}) {
+  const { scheduler } = client;
+  const endpoint = `${repoInfo.baseUrl}/api/v1/repos/${encodeURIComponent(repoInfo.owner)}/${encodeURIComponent(repoInfo.repo)}/releases`;
+  const authHeaders = token ? { authorization: `token ${token}` } : {};
+
+  // 最初のページを条件付きで取得し、件数が上限に満たないページまで続けて取得
+  const fetchList = async headers => {
+    const first = await fetchJson(`${endpoint}?limit=${PAGE_SIZE}&page=1`, { scheduler, headers: { ...authHeaders, ...headers } });
+    if (first.status === 304) return null;
+
+    let releases = first.data;
+    let last = first.data;
+    for (let page = 2; last.length >= PAGE_SIZE; page++) {
+      last = (await fetchJson(`${endpoint}?limit=${PAGE_SIZE}&page=${page}`, { scheduler, headers: authHeaders })).data;
+      releases = releases.concat(last);
+    }
+
+    return {
+      releases: releases.map(toRelease),
+      conditionalState: getConditionalState(first.headers),
+      repository: null,
+    };
+  };
+
+  return collectReleases({
+    label: `${repoInfo.baseUrl}/${repoInfo.owner}/${repoInfo.repo}`,
+    repo: repoInfo.repo,
+    scheduler,
+    existingReleases,
+    fetchState,
+    hashMode,
+    stateKey,
+    fetchList,
+    download,
+  });
+}
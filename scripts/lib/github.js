@@ -0,0 +1,115 @@
+// GitHubリポジトリのリリース情報の取得
+import { Octokit } from '@octokit/rest';
+import { getConditionalState } from './http.js';
+import { collectReleases } from './releases.js';
+import { createRequestScheduler, useSchedulerForOctokit } from './request-scheduler.js';
+
+// GitHubリポジトリURLからowner/repo形式を抽出
+export function parseGitHubUrl(url) {
+  const match = String(url || '').match(/github\.com\/([^\/]+)\/([^\/]+)/);
+  if (!match) return null;
+  return { owner: match[1], repo: match[2] };
+}
+
+// リポジトリURLを比較用のキー（小文字のowner/repo）に変換（GitHub以外はURLをそのまま使用）
+export function getRepositoryKey(url) {
+  const repoInfo = parseGitHubUrl(url);
+  if (!repoInfo) return String(url || '').toLowerCase();
+  return `${repoInfo.owner}/${repoInfo.repo.replace(/\.git$/i, '')}`.toLowerCase();
+}
+
+// リリースページのURL・リダイレクト後のURLから現在のリポジトリを取得（リネーム・移管の検出用）
+// リネームされたリポジトリのAPIは /repositories/<数値ID> にリダイレクトされるため、リリースページのURLを優先
+function getCanonicalRepository(response, releases) {
+  const fromRelease = releases.map(release => parseGitHubUrl(release.html_url)).find(Boolean);
+  if (fromRelease) return fromRelease;
+  const match = String(response.url || '').match(/\/repos\/([^/]+)\/([^/?]+)\//);
+  return match ? { owner: match[1], repo: match[2] } : null;
+}
+
+// APIリクエストとダウンロードは共通のスケジューラーで同時実行数・レート制限を管理
+export function createGitHubClient({ concurrency = 4, token = process.env.GITHUB_TOKEN, baseUrl, logger } = {}) {
+  const scheduler = createRequestScheduler({ concurrency, logger });
+  const octokit = useSchedulerForOctokit(new Octokit({ auth: token, baseUrl }), scheduler);
+  return { octokit, scheduler };
+}
+
+// リポジトリからすべてのリリース情報を取得（ハッシュ情報付き）
+// 取得できた場合はリネーム・移管後の現在のリポジトリのURL（repository）も返す
+export async function getAllReleases(client, owner, repo, existingReleases = [], fetchState = {}, {
+  hashMode = 'missing',
+  stateKey = `${owner}/${repo}`.toLowerCase(),
+  download = {},
+} = {}) {
+  const { octokit, scheduler } = client;
+
+  // 最初のページを条件付きで取得し、残りのページはページネーションで取得
+  const fetchList = async headers => {
+    let response;
+    try {
+      response = await octokit.rest.repos.listReleases({ owner, repo, per_page: 100, headers });
+    } catch (error) {
+      if (error.status === 304) return null;
+      throw error;
+    }
+
+    let releases = response.data;
+    if (/rel="next"/.test(response.headers.link || '')) {
+      const remaining = await octokit.paginate(octokit.rest.repos.listReleases, {
+        owner,
+        repo,
+        per_page: 100,
+        page: 2,
+      });
+      releases = releases.concat(remaining);
+    }
+
+    const canonical = getCanonicalRepository(response, releases);
+    return {
+      releases: releases.map(release => ({
+        version: release.tag_name,
+        release_url: release.html_url,
+        published_at: release.published_at,
+        prerelease: release.prerelease,
+        draft: release.draft,
+        changelog: release.body,
+        assets: release.assets.map(asset => ({
+          name: asset.name,
+          size: asset.size,
+          download_url: asset.browser_download_url,
+          content_type: asset.content_type,
+        })),
+      })),
+      conditionalState: getConditionalState(response.headers),
+      repository: canonical && `https://github.com/${canonical.owner}/${canonical.repo}`,
+    };
+  };
+
+  // ハッシュに対応するアーティファクト証明（sigstoreのバンドル）の一覧を取得（無ければ空）
+  const fetchAttestations = async sha256 => {
+    try {
+      const response = await octokit.request('GET /repos/{owner}/{repo}/attestations/{subject_digest}', {
+        owner,
+        repo,
+        subject_digest: `sha256:${sha256}`,
+      });
+      return (response.data.attestations || []).map(attestation => attestation.bundle);
+    } catch (error) {
+      if (error.status === 404) return [];
+      throw error;
+    }
+  };
+
+  return collectReleases({
+    label: `${owner}/${repo}`,
+    repo,
+    scheduler,
+    existingReleases,
+    fetchState,
+    hashMode,
+    stateKey,
+    fetchList,
+    download,
+    fetchAttestations,
+  });
+}
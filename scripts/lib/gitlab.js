@@ -0,0 +1,91 @@
+// GitLab（gitlab.com・セルフホスト）のプロジェクトのリリース情報の取得
+import { fetchJson, getConditionalState } from './http.js';
+import { collectReleases } from './releases.js';
+import { hasPrereleaseIdentifier } from './versions.js';
+
+// GITLAB_TOKENを送るインスタンス（セルフホストのインスタンスには送らない）
+const TOKEN_ORIGINS = ['https://gitlab.com'];
+
+// GitLabのプロジェクトURLからインスタンスのURLとプロジェクトのパス（グループ/サブグループ/プロジェクト）を抽出
+export function parseGitLabUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+  // "/-/releases" などのプロジェクト内のページ・末尾の".git"は除く
+  const projectPath = parsed.pathname.split('/-/')[0].replace(/\.git$/i, '').replace(/^\/+|\/+$/g, '');
+  const segments = projectPath.split('/').filter(Boolean);
+  if (segments.length < 2) return null;
+  return {
+    baseUrl: parsed.origin,
+    owner: segments.slice(0, -1).join('/'),
+    repo: segments.at(-1),
+    path: segments.join('/'),
+  };
+}
+
+// GitLabのリリースを共通形式に変換
+// GitLabにはプレリリース・ドラフトが無いため、公開予定のリリースとタグ名にプレリリース部分（alpha・beta・rc・pre）のあるリリースをプレリリースとして扱う
+function toRelease(release, repoInfo) {
+  return {
+    version: release.tag_name,
+    release_url: release._links?.self || `${repoInfo.baseUrl}/${repoInfo.path}/-/releases/${encodeURIComponent(release.tag_name)}`,
+    published_at: release.released_at || release.created_at || null,
+    prerelease: Boolean(release.upcoming_release) || hasPrereleaseIdentifier(release.tag_name),
+    draft: false,
+    changelog: release.description,
+    assets: (release.assets?.links || []).map(link => ({
+      name: link.name,
+      size: null,
+      download_url: link.direct_asset_url || link.url,
+      content_type: null,
+    })),
+  };
+}
+
+// プロジェクトからすべてのリリース情報を取得（ハッシュ情報付き）
+// 非公開プロジェクト・レート制限の緩和にはGITLAB_TOKENを使用（gitlab.comのみ）
+export async function getAllReleases(client, repoInfo, existingReleases = [], fetchState = {}, {
+  hashMode = 'missing',
+  stateKey = repoInfo.path.toLowerCase(),
+  token = TOKEN_ORIGINS.includes(repoInfo.baseUrl) ? process.env.GITLAB_TOKEN : null,
+  download = {},
+} = {}) {
+  const { scheduler } = client;
+  const endpoint = `${repoInfo.baseUrl}/api/v4/projects/${encodeURIComponent(repoInfo.path)}/releases`;
+  const authHeaders = token ? { 'private-token': token } : {};
+
+  // 最初のページを条件付きで取得し、残りのページはx-next-pageヘッダーに従って取得
+  const fetchList = async headers => {
+    const first = await fetchJson(`${endpoint}?per_page=100&page=1`, { scheduler, headers: { ...authHeaders, ...headers } });
+    if (first.status === 304) return null;
+
+    let releases = first.data;
+    let nextPage = first.headers.get('x-next-page');
+    while (nextPage) {
+      const page = await fetchJson(`${endpoint}?per_page=100&page=${nextPage}`, { scheduler, headers: authHeaders });
+      releases = releases.concat(page.data);
+      nextPage = page.headers.get('x-next-page');
+    }
+
+    return {
+      releases: releases.map(release => toRelease(release, repoInfo)),
+      conditionalState: getConditionalState(first.headers),
+      repository: null,
+    };
+  };
+
+  return collectReleases({
+    label: `${repoInfo.baseUrl}/${repoInfo.path}`,
+    repo: repoInfo.repo,
+    scheduler,
+    existingReleases,
+    fetchState,
+    hashMode,
+    stateKey,
+    fetchList,
+    download,
+  });
+}
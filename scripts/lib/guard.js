@@ -0,0 +1,51 @@
+// キャッシュを置き換える前の安全確認（MOD数・リリース数の急減、既知のMODの消失）
+
+// 既定で許容する減少率（%）
+export const DEFAULT_MAX_DROP_PERCENT = 10;
+
+// MODを識別するキー（MODのID、IDの無い以前の形式はマニフェストのIDまたはリポジトリURL）
+function getModKeys(mod) {
+  return [
+    mod.id && `id:${mod.id}`,
+    mod.manifest_id && `manifest:${mod.manifest_id}`,
+    mod.source_location && `source:${mod.source_location}`,
+  ].filter(Boolean);
+}
+
+// いずれかのキーが一致するMODがあるか（IDの無い以前の形式のMODはリポジトリURLで比較）
+function createMatcher(mods) {
+  const keys = new Set(mods.flatMap(getModKeys));
+  return mod => keys.has(getModKeys(mod)[0]);
+}
+
+const countReleases = mods => mods.reduce((sum, mod) => sum + (mod.releases?.length || 0), 0);
+
+// 件数が許容範囲を超えて減少したか
+function checkDrop(label, previous, next, maxDropPercent, problems) {
+  if (previous === 0 || next >= previous) return;
+  const dropPercent = ((previous - next) / previous) * 100;
+  if (dropPercent > maxDropPercent) {
+    problems.push(`${label} dropped from ${previous} to ${next} (-${dropPercent.toFixed(1)}%, limit ${maxDropPercent}%)`);
+  }
+}
+
+// 新しいキャッシュで既存のキャッシュを置き換えてよいかを確認し、問題点の一覧を返す
+// listedにはマニフェスト・追加リポジトリに現在掲載されているMOD（id・name・manifest_id・source_location）を渡す
+export function checkCacheReplacement(previousMods, nextMods, { listed = [], maxDropPercent = DEFAULT_MAX_DROP_PERCENT } = {}) {
+  const problems = [];
+
+  checkDrop('MOD count', previousMods.length, nextMods.length, maxDropPercent, problems);
+  checkDrop('Release count', countReleases(previousMods), countReleases(nextMods), maxDropPercent, problems);
+
+  // マニフェストから削除されていないのに消えたMOD
+  const isInNext = createMatcher(nextMods);
+  const isListed = createMatcher(listed);
+  const disappeared = previousMods.filter(mod => !isInNext(mod) && isListed(mod));
+  if (disappeared.length > 0) {
+    const names = disappeared.slice(0, 10).map(mod => mod.name).join(', ');
+    const more = disappeared.length > 10 ? ` and ${disappeared.length - 10} more` : '';
+    problems.push(`${disappeared.length} MODs still listed in the manifest or repositories.json disappeared: ${names}${more}`);
+  }
+
+  return problems;
+}
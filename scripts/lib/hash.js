@@ -0,0 +1,225 @@
+// ファイルのダウンロードとハッシュ（SHA256・要求に応じてSHA1/SHA512）の計算
+import fetch from 'node-fetch';
+import { createReadStream } from 'fs';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { createHttpError } from './request-scheduler.js';
+
+// ハッシュ計算の対象とするファイルサイズの上限
+export const MAX_DOWNLOAD_SIZE = 50 * 1024 * 1024; // 50MB制限
+
+// 計算できるハッシュのアルゴリズム（sha256は常に計算）
+export const HASH_ALGORITHMS = ['sha256', 'sha1', 'sha512'];
+
+// ダウンロードが途中で切れた場合に再開・再試行する回数
+export const MAX_RESUMES = 3;
+
+// sha256を含む重複のないアルゴリズムの一覧
+function normalizeAlgorithms(algorithms) {
+  return ['sha256', ...algorithms.filter(algorithm => algorithm !== 'sha256')]
+    .filter((algorithm, index, list) => list.indexOf(algorithm) === index);
+}
+
+// 複数のアルゴリズムのハッシュを同時に計算するオブジェクトを作成
+function createDigests(algorithms) {
+  const hashes = normalizeAlgorithms(algorithms).map(algorithm => [algorithm, crypto.createHash(algorithm)]);
+  let size = 0;
+  return {
+    update(chunk) {
+      for (const [, hash] of hashes) hash.update(chunk);
+      size += chunk.length;
+    },
+    get size() {
+      return size;
+    },
+    // { sha256, sha1?, sha512?, file_size }
+    digest() {
+      return { ...Object.fromEntries(hashes.map(([algorithm, hash]) => [algorithm, hash.digest('hex')])), file_size: size };
+    },
+  };
+}
+
+// ストリームを読み込みながらハッシュを計算
+export async function hashStream(stream, algorithms = ['sha256']) {
+  const digests = createDigests(algorithms);
+  for await (const chunk of stream) {
+    digests.update(chunk);
+  }
+  return digests.digest();
+}
+
+// ローカルファイルのハッシュ・サイズを計算（ファイル全体をメモリに読み込まない）
+export async function hashFileDigests(filePath, algorithms = ['sha256']) {
+  return hashStream(createReadStream(filePath), algorithms);
+}
+
+// ローカルファイルのSHA256ハッシュを計算
+export async function hashFile(filePath) {
+  return (await hashFileDigests(filePath)).sha256;
+}
+
+// Content-Rangeヘッダー（bytes 100-199/200）の開始位置
+function getRangeStart(response) {
+  const match = (response.headers.get('content-range') || '').match(/^bytes (\d+)-/);
+  return match ? Number(match[1]) : null;
+}
+
+// ダウンロードが上限サイズを超えた
+class FileTooLargeError extends Error {
+  constructor(size) {
+    super(`File too large (${(size/1024/1024).toFixed(1)}MB), skipping hash calculation`);
+    this.name = 'FileTooLargeError';
+  }
+}
+
+// ストアを指定せずにファイルを解析する場合の書き込み先の一時ファイル（ストアのwriterと同じ形式）
+async function createTempWriter() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mod-cache-download-'));
+  const filePath = path.join(dir, 'download');
+  let handle = await fs.open(filePath, 'w');
+
+  const close = async () => {
+    await handle?.close();
+    handle = null;
+  };
+
+  return {
+    async write(chunk) {
+      await handle.write(chunk);
+    },
+    async reset() {
+      await close();
+      handle = await fs.open(filePath, 'w');
+    },
+    async commit() {
+      await close();
+      return filePath;
+    },
+    async abort() {
+      await close();
+      await fs.rm(dir, { recursive: true, force: true });
+    },
+  };
+}
+
+// ファイルをダウンロードしながらハッシュを計算（途中で切れた場合はRangeリクエストで続きから再開）
+async function streamDownload(url, { scheduler, maxSize, algorithms, writer, maxResumes }) {
+  const request = async headers => {
+    const res = await fetch(url, { headers });
+    if (res.status === 429 || res.status >= 500) {
+      throw createHttpError(res);
+    }
+    return res;
+  };
+
+  let digests = createDigests(algorithms);
+  let expectedSize = null;
+  let validator = null;
+  let resumes = 0;
+
+  while (true) {
+    // 受信済みのデータがあれば続きから要求（ファイルが変わっていれば全体が返る）
+    const headers = {};
+    if (digests.size > 0) {
+      headers.range = `bytes=${digests.size}-`;
+      if (validator) headers['if-range'] = validator;
+    }
+    const response = scheduler ? await scheduler.schedule(() => request(headers)) : await request(headers);
+
+    if (!response.ok) {
+      throw createHttpError(response);
+    }
+
+    const resumed = digests.size > 0 && response.status === 206 && getRangeStart(response) === digests.size;
+    if (!resumed) {
+      // 最初から受信（続きから再開できなかった場合は受信済みのデータを破棄）
+      if (digests.size > 0) {
+        console.warn(`  Server did not resume the download, restarting from the beginning`);
+        digests = createDigests(algorithms);
+        await writer?.reset();
+      }
+      const contentLength = parseInt(response.headers.get('content-length') || '0');
+      if (contentLength > maxSize) {
+        response.body.destroy();
+        throw new FileTooLargeError(contentLength);
+      }
+      expectedSize = contentLength || null;
+      validator = response.headers.get('etag') || response.headers.get('last-modified');
+    }
+
+    try {
+      for await (const chunk of response.body) {
+        // Content-Lengthが無い場合も受信しながら上限を確認
+        if (digests.size + chunk.length > maxSize) {
+          throw new FileTooLargeError(digests.size + chunk.length);
+        }
+        digests.update(chunk);
+        await writer?.write(chunk);
+      }
+      if (expectedSize !== null && digests.size < expectedSize) {
+        throw new Error(`Connection closed after ${digests.size} of ${expectedSize} bytes`);
+      }
+      return digests.digest();
+    } catch (error) {
+      if (error instanceof FileTooLargeError) {
+        response.body.destroy();
+        throw error;
+      }
+      if (resumes >= maxResumes) throw error;
+      resumes++;
+      console.warn(`  Download interrupted after ${digests.size} bytes (${error.message}), retrying (${resumes}/${maxResumes})`);
+    }
+  }
+}
+
+// ファイルをダウンロードしてハッシュを計算（レスポンスはストリームで処理し、全体をメモリに読み込まない）
+// schedulerを指定するとレート制限・一時的な障害はスケジューラーで待機・再試行
+// algorithmsにsha1・sha512を指定するとsha256と同時に計算し、storeを指定するとダウンロードしたファイルを保存
+// inspect(filePath)を指定するとダウンロード後に保存したファイル（storeが無ければ一時ファイル）を解析し、返されたフィールドを結果に追加
+// onError(error)を指定すると失敗した場合にエラーを渡す（失敗した場合の戻り値はnull）
+export async function downloadAndHash(url, {
+  scheduler = null,
+  maxSize = MAX_DOWNLOAD_SIZE,
+  algorithms = ['sha256'],
+  store = null,
+  maxResumes = MAX_RESUMES,
+  inspect = null,
+  onError = null,
+} = {}) {
+  const writer = store ? await store.createWriter() : inspect ? await createTempWriter() : null;
+  try {
+    console.log(`  Downloading and hashing: ${url}`);
+    const result = await streamDownload(url, { scheduler, maxSize, algorithms, writer, maxResumes });
+    const filePath = await writer?.commit(result.sha256);
+    if (inspect) Object.assign(result, await inspect(filePath));
+
+    console.log(`  Hash: ${result.sha256} (${(result.file_size/1024).toFixed(1)}KB)`);
+    return result;
+  } catch (error) {
+    if (error instanceof FileTooLargeError) {
+      console.warn(`  ${error.message}`);
+    } else {
+      console.warn(`  Failed to download/hash ${url}:`, error.message);
+    }
+    onError?.(error);
+    return null;
+  } finally {
+    // 失敗したダウンロード・解析用の一時ファイルを削除（ストアに保存したファイルはcommitで移動済み）
+    await writer?.abort();
+  }
+}
+
+// 再試行しても結果の変わらないダウンロードの失敗の理由（not_found: 404・410、too_large: サイズの上限超過）
+// 一時的な失敗（ネットワークエラー・5xxなど）はnull
+export function getHashFailureReason(error) {
+  if (error instanceof FileTooLargeError) return 'too_large';
+  if (error?.status === 404 || error?.status === 410) return 'not_found';
+  return null;
+}
+
+// SHA256ハッシュ形式（16進数64文字）の文字列か
+export function isSha256(value) {
+  return typeof value === 'string' && /^[0-9a-f]{64}$/.test(value);
+}
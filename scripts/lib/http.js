@@ -0,0 +1,66 @@
+// 条件付きリクエスト（ETag / Last-Modified）・JSON APIの取得の補助関数
+import fetch from 'node-fetch';
+import { createHttpError } from './request-scheduler.js';
+
+// 条件付きリクエスト用のヘッダーを生成
+export function getConditionalHeaders(state) {
+  const headers = {};
+  if (state?.etag) headers['if-none-match'] = state.etag;
+  if (state?.last_modified) headers['if-modified-since'] = state.last_modified;
+  return headers;
+}
+
+// レスポンスヘッダーから条件付きリクエスト用の状態を取得
+export function getConditionalState(headers) {
+  const etag = typeof headers.get === 'function' ? headers.get('etag') : headers.etag;
+  const lastModified = typeof headers.get === 'function' ? headers.get('last-modified') : headers['last-modified'];
+  if (!etag && !lastModified) return null;
+  return {
+    etag: etag || null,
+    last_modified: lastModified || null,
+  };
+}
+
+// JSON APIを取得（schedulerを指定するとレート制限・一時的な障害はスケジューラーで待機・再試行）
+// 304（変更なし）の場合はdataをnullとして返す
+export async function fetchJson(url, { scheduler = null, headers = {} } = {}) {
+  const request = async () => {
+    const res = await fetch(url, { headers: { accept: 'application/json', ...headers } });
+    if (res.status === 429 || res.status >= 500) {
+      throw createHttpError(res);
+    }
+    return res;
+  };
+  const response = scheduler ? await scheduler.schedule(request) : await request();
+
+  if (response.status === 304) {
+    return { status: 304, data: null, headers: response.headers };
+  }
+  if (!response.ok) {
+    throw createHttpError(response);
+  }
+  return { status: response.status, data: await response.json(), headers: response.headers };
+}
+
+// テキストファイル（チェックサム・署名など）を取得（maxSizeを超える場合はエラー）
+export async function fetchText(url, { scheduler = null, maxSize = 1024 * 1024 } = {}) {
+  const request = async () => {
+    const res = await fetch(url);
+    if (res.status === 429 || res.status >= 500) {
+      throw createHttpError(res);
+    }
+    return res;
+  };
+  const response = scheduler ? await scheduler.schedule(request) : await request();
+
+  if (!response.ok) {
+    throw createHttpError(response);
+  }
+  if (parseInt(response.headers.get('content-length') || '0') > maxSize) {
+    response.body.destroy();
+    throw new Error(`File too large: ${url}`);
+  }
+  const text = await response.text();
+  if (text.length > maxSize) throw new Error(`File too large: ${url}`);
+  return text;
+}
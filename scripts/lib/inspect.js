@@ -0,0 +1,86 @@
+// ダウンロードしたアセットの内容の解析（.dllはアセンブリのメタデータ、.nupkgはパッケージのメタデータと含まれるDLL）
+import fs from 'fs/promises';
+import { readAssemblyMetadata } from './assembly.js';
+import { readPackageMetadata } from './nupkg.js';
+import { selectLatestReleases } from './versions.js';
+
+// ファイルの種類ごとの解析（解析結果を記録するアセットのフィールドと解析する関数）
+const INSPECTORS = [
+  { extension: '.dll', field: 'assembly', label: 'assembly metadata', read: readAssemblyMetadata },
+  { extension: '.nupkg', field: 'package', label: 'package metadata', read: readPackageMetadata },
+];
+
+// カタログに無くても問題の無い参照アセンブリ（.NET・ゲーム本体・ゲームに同梱のライブラリ・MODローダー）
+const PLATFORM_ASSEMBLIES = [
+  /^(mscorlib|netstandard|System|Microsoft|Mono|WindowsBase|PresentationCore)(\.|$)/i,
+  /^(FrooxEngine|Elements|ProtoFlux|SkyFrost|Renderite|Awwdio|Unity|UnityEngine|Newtonsoft\.Json)(\.|$)/i,
+  /^(ResoniteModLoader|MonkeyLoader|BepInEx|0Harmony|HarmonyX?)(\.|$)/i,
+];
+
+// アセットに記録する解析結果のフィールド（未解析のアセットにはフィールドが無く、解析できなかった場合はnull）
+export const INSPECTION_FIELDS = INSPECTORS.map(inspector => inspector.field);
+
+function findInspector(assetName) {
+  const name = (assetName || '').toLowerCase();
+  return INSPECTORS.find(inspector => name.endsWith(inspector.extension)) || null;
+}
+
+// アセットのファイル名から解析する関数を取得（解析しない種類のファイルはnull）
+// 関数はダウンロード済みのファイルのパスから { <フィールド>: 解析結果 } を返す（解析できない・壊れたファイルはnull）
+export function getInspector(assetName) {
+  const inspector = findInspector(assetName);
+  if (!inspector) return null;
+  return async filePath => {
+    try {
+      return { [inspector.field]: inspector.read(await fs.readFile(filePath)) };
+    } catch (error) {
+      console.warn(`  Could not read ${inspector.label} of ${assetName}: ${error.message}`);
+      return { [inspector.field]: null };
+    }
+  };
+}
+
+// 解析が必要なアセット（解析できる種類で、まだ解析していないもの）か
+export function needsInspection(asset) {
+  const inspector = findInspector(asset.name);
+  return Boolean(inspector) && asset[inspector.field] === undefined;
+}
+
+// アセットの解析結果に含まれるアセンブリ（.dllのアセット、.nupkgの中のDLL）
+function getAssetAssemblies(asset) {
+  return [asset.assembly, ...(asset.package?.files || []).map(file => file.assembly)].filter(Boolean);
+}
+
+// カタログ（すべてのMODのアセット）に含まれるアセンブリ名（小文字、解析していないDLLはファイル名から）
+function getCatalogueAssemblies(mods) {
+  const names = new Set();
+  for (const mod of mods) {
+    for (const release of mod.releases || []) {
+      for (const asset of release.assets || []) {
+        if (asset.name?.toLowerCase().endsWith('.dll')) names.add(asset.name.slice(0, -4).toLowerCase());
+        for (const assembly of getAssetAssemblies(asset)) names.add(assembly.name.toLowerCase());
+      }
+    }
+  }
+  return names;
+}
+
+// 各MODの最新リリースのアセンブリの参照のうち、カタログにも.NET・ゲーム本体・MODローダーにも無いもの
+// [{ mod, version, asset, references: [アセンブリ名] }]（解析していないアセットは対象外）
+export function findUnknownReferences(mods) {
+  const catalogue = getCatalogueAssemblies(mods);
+  const results = [];
+  for (const mod of mods) {
+    const { latest, prerelease } = selectLatestReleases(mod.releases);
+    const release = latest || prerelease;
+    for (const asset of release?.assets || []) {
+      const references = getAssetAssemblies(asset)
+        .flatMap(assembly => assembly.references.map(reference => reference.name))
+        .filter(name => !catalogue.has(name.toLowerCase()) && !PLATFORM_ASSEMBLIES.some(pattern => pattern.test(name)));
+      if (references.length > 0) {
+        results.push({ mod: mod.name, version: release.version, asset: asset.name, references: [...new Set(references)] });
+      }
+    }
+  }
+  return results;
+}
@@ -0,0 +1,207 @@
+// ResoniteのMODマニフェストの取得と、マニフェストのバージョン情報のマージ
+import fetch from 'node-fetch';
+import fs from 'fs/promises';
+import path from 'path';
+import { INSTALL_TARGETS, applyManifestHash, applyPrimaryAsset, getFileNameFromUrl } from './assets.js';
+import { writeFileAtomic } from './cache.js';
+import { parseBuildRange } from './compat.js';
+import { isSha256 } from './hash.js';
+import { getConditionalHeaders, getConditionalState } from './http.js';
+import { hasPrereleaseIdentifier, parseVersionTag } from './versions.js';
+
+export const MANIFEST_URL = 'https://raw.githubusercontent.com/resonite-modding-group/resonite-mod-manifest/main/manifest.json';
+
+// バージョン比較用に先頭の"v"を除去
+export function normalizeVersionKey(version) {
+  return String(version).trim().replace(/^v/i, '');
+}
+
+// マニフェストのインストール先を正規化（例: "/rml_libs" → "rml_libs"、未知のインストール先はnull）
+function normalizeInstallLocation(location, label) {
+  if (!location) return 'rml_mods';
+  const target = location.replace(/^\/+|\/+$/g, '');
+  if (INSTALL_TARGETS.includes(target)) return target;
+
+  console.warn(`  Unknown installLocation for ${label}: ${location}`);
+  return null;
+}
+
+// マニフェストのハッシュを正規化（SHA-256の16進表記でない値は破棄）
+function normalizeManifestHash(sha256, label) {
+  if (!sha256) return null;
+  const hash = String(sha256).toLowerCase();
+  if (isSha256(hash)) return hash;
+
+  console.warn(`  Invalid sha256 for ${label}: ${sha256}`);
+  return null;
+}
+
+// マニフェストの依存関係・競合情報を { MOD ID: バージョン範囲 } 形式に変換
+function normalizeManifestReferences(references) {
+  const result = {};
+  for (const [id, info] of Object.entries(references || {})) {
+    result[id] = info?.version || '*';
+  }
+  return result;
+}
+
+// マニフェストのMODエントリを一覧化
+export function getManifestEntries(manifest) {
+  const entries = [];
+  for (const [authorKey, authorEntry] of Object.entries(manifest.objects || {})) {
+    // 作者名を取得
+    const authorName = Object.keys(authorEntry.author || {})[0] || authorKey;
+
+    for (const [modKey, modEntry] of Object.entries(authorEntry.entries || {})) {
+      entries.push({ authorName, modKey, modEntry });
+    }
+  }
+  return entries;
+}
+
+// マニフェストで指定された対応するゲームビルドの範囲（resoniteVersionCompatibility）
+function getManifestCompat(value) {
+  const range = parseBuildRange(value);
+  return range ? { ...range, source: 'manifest' } : null;
+}
+
+// マニフェストのバージョン情報をリリース形式に変換
+export function getManifestReleases(modEntry) {
+  return Object.entries(modEntry.versions || {}).map(([version, versionEntry]) => ({
+    version,
+    release_url: versionEntry.releaseUrl || null,
+    changelog: versionEntry.changelog || null,
+    assets: (versionEntry.artifacts || []).map(artifact => {
+      const name = artifact.filename || getFileNameFromUrl(artifact.url);
+      const label = `${version} (${name})`;
+      return {
+        name,
+        size: null,
+        download_url: artifact.url,
+        content_type: null,
+        sha256: normalizeManifestHash(artifact.sha256, label),
+        install_target: normalizeInstallLocation(artifact.installLocation, label),
+      };
+    }),
+    dependencies: normalizeManifestReferences(versionEntry.dependencies),
+    conflicts: normalizeManifestReferences(versionEntry.conflicts),
+    resonite_compat: getManifestCompat(versionEntry.resoniteVersionCompatibility),
+  }));
+}
+
+// GitHubのリリース情報にマニフェストのバージョン情報をマージ
+export function mergeManifestReleases(releases, manifestReleases) {
+  const merged = releases.map(release => ({
+    ...release,
+    semver: parseVersionTag(release.version, release.published_at),
+    dependencies: release.dependencies || {},
+    conflicts: release.conflicts || {},
+  }));
+
+  for (const manifestRelease of manifestReleases) {
+    const versionKey = normalizeVersionKey(manifestRelease.version);
+    const index = merged.findIndex(release => normalizeVersionKey(release.version) === versionKey);
+    const label = manifestRelease.version;
+
+    if (index === -1) {
+      // GitHubに存在しないバージョンはマニフェストの情報のみで追加
+      merged.push(applyPrimaryAsset({
+        version: manifestRelease.version,
+        semver: parseVersionTag(manifestRelease.version),
+        release_url: manifestRelease.release_url,
+        published_at: null,
+        prerelease: hasPrereleaseIdentifier(manifestRelease.version),
+        draft: false,
+        changelog: manifestRelease.changelog,
+        assets: manifestRelease.assets.map(asset =>
+          applyManifestHash({ ...asset, sha256: null }, asset.sha256, label)
+        ),
+        dependencies: manifestRelease.dependencies,
+        conflicts: manifestRelease.conflicts,
+        resonite_compat: manifestRelease.resonite_compat,
+        // リポジトリのリリースが無いため来歴は確認しない
+        provenance: null,
+      }));
+      continue;
+    }
+
+    const release = merged[index];
+    const assets = [...(release.assets || [])];
+
+    for (const artifact of manifestRelease.assets) {
+      const assetIndex = assets.findIndex(asset =>
+        asset.download_url === artifact.download_url || asset.name === artifact.name
+      );
+
+      if (assetIndex === -1) {
+        assets.push(applyManifestHash({ ...artifact, sha256: null }, artifact.sha256, label));
+      } else {
+        // インストール先はマニフェストの指定を優先
+        assets[assetIndex] = applyManifestHash(
+          { ...assets[assetIndex], install_target: artifact.install_target },
+          artifact.sha256,
+          label
+        );
+      }
+    }
+
+    merged[index] = applyPrimaryAsset({
+      ...release,
+      release_url: release.release_url || manifestRelease.release_url,
+      changelog: release.changelog || manifestRelease.changelog,
+      assets,
+      dependencies: manifestRelease.dependencies,
+      conflicts: manifestRelease.conflicts,
+      resonite_compat: manifestRelease.resonite_compat,
+    });
+  }
+
+  // 公開日時で新しい順にソート（公開日時が不明なものは末尾）
+  merged.sort((a, b) => new Date(b.published_at || 0) - new Date(a.published_at || 0));
+
+  return merged;
+}
+
+// ResoniteのMODマニフェストを取得（変更がなければ前回保存したマニフェストを使用）
+export async function fetchModManifest(fetchState, manifestPath, manifestUrl = MANIFEST_URL) {
+  let cachedManifest = null;
+  try {
+    cachedManifest = JSON.parse(await fs.readFile(manifestPath, 'utf-8'));
+  } catch {
+    // 保存済みのマニフェストが無い場合は通常のリクエストを行う
+  }
+
+  const headers = cachedManifest ? getConditionalHeaders(fetchState.manifest) : {};
+  const response = await fetch(manifestUrl, { headers });
+
+  if (response.status === 304 && cachedManifest) {
+    console.log('Manifest not modified since last run, using cached manifest');
+    return { manifest: cachedManifest, status: 'unchanged' };
+  }
+  if (!response.ok) {
+    throw new Error(`Failed to fetch manifest: HTTP ${response.status} ${response.statusText}`);
+  }
+
+  const manifest = await response.json();
+  fetchState.manifest = getConditionalState(response.headers);
+  await fs.mkdir(path.dirname(manifestPath), { recursive: true });
+  await writeFileAtomic(manifestPath, JSON.stringify(manifest, null, 2));
+  return { manifest, status: 'refreshed' };
+}
+
+// 最新のマニフェストを取得（取得できなければ保存済みのマニフェストを使用し、どちらも無ければnull）
+// updateの条件付きリクエストの状態・保存済みのマニフェストは変更しない
+export async function loadManifest(manifestPath, manifestUrl = MANIFEST_URL) {
+  try {
+    const response = await fetch(manifestUrl);
+    if (!response.ok) throw new Error(`HTTP ${response.status} ${response.statusText}`);
+    return await response.json();
+  } catch (error) {
+    console.warn(`Failed to fetch manifest (${error.message}), using the saved manifest`);
+  }
+  try {
+    return JSON.parse(await fs.readFile(manifestPath, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
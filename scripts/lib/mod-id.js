@@ -0,0 +1,32 @@
+// MODの識別子（マニフェストのエントリキー、または追加リポジトリのowner.repo）
+import { parseRepositoryUrl } from './providers.js';
+
+// ファイル名に使える文字列に変換
+export function toSlug(value) {
+  return String(value).trim().replace(/[^A-Za-z0-9._-]+/g, '-').replace(/^-+|-+$/g, '') || 'unknown';
+}
+
+// 追加リポジトリのMODの識別子を生成（owner.repo）
+export function generateModId(sourceLocation, name) {
+  const repoInfo = parseRepositoryUrl(sourceLocation);
+  return toSlug(repoInfo ? `${repoInfo.owner}.${repoInfo.repo}` : name);
+}
+
+// MODの識別子（idの無い以前のキャッシュはマニフェストのIDまたはリポジトリから生成）
+export function getModId(mod) {
+  return mod.id || mod.manifest_id || generateModId(mod.source_location, mod.name);
+}
+
+// すべてのMODにファイル名として重複しない識別子を割り当て（同じ識別子になるMODは名前を付加して区別）
+export function assignModIds(mods) {
+  const ids = new Map();
+  const used = new Set();
+  for (const mod of mods) {
+    const baseId = toSlug(getModId(mod));
+    let id = used.has(baseId) ? `${baseId}.${toSlug(mod.name)}` : baseId;
+    for (let suffix = 2; used.has(id); suffix++) id = `${baseId}.${suffix}`;
+    used.add(id);
+    ids.set(mod, id);
+  }
+  return ids;
+}
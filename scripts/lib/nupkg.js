@@ -0,0 +1,114 @@
+// NuGetパッケージ（.nupkg）の解析（.nuspecのメタデータと、パッケージ内のDLLのハッシュ・アセンブリのメタデータ）
+import crypto from 'crypto';
+import { XMLParser } from 'fast-xml-parser';
+import { readAssemblyMetadata } from './assembly.js';
+import { MAX_DOWNLOAD_SIZE } from './hash.js';
+import { extractZipEntry, readZipEntries } from './zip.js';
+
+// パッケージとして読み取れないファイル
+export class PackageFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PackageFormatError';
+  }
+}
+
+// 値は文字列のまま読み取る（"1.0"などのバージョンを数値にしない）
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  removeNSPrefix: true,
+  parseTagValue: false,
+  parseAttributeValue: false,
+  trimValues: true,
+  isArray: name => name === 'group' || name === 'dependency',
+});
+
+// 要素の文字列（属性を持つ要素は#text）
+function getText(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'object') return getText(value['#text']);
+  const text = String(value).trim();
+  return text || null;
+}
+
+// 依存関係（targetFrameworkごとのgroup、または直下のdependency）
+function readDependencies(dependencies) {
+  if (!dependencies || typeof dependencies !== 'object') return [];
+  const toDependency = targetFramework => dependency => ({
+    id: dependency.id,
+    version: dependency.version || null,
+    target_framework: targetFramework,
+  });
+
+  return [
+    ...(dependencies.dependency || []).map(toDependency(null)),
+    ...(dependencies.group || []).flatMap(group => (group.dependency || []).map(toDependency(group.targetFramework || null))),
+  ].filter(dependency => dependency.id);
+}
+
+// .nuspecのXMLからパッケージのメタデータを読み取る
+export function parseNuspec(xml) {
+  let document;
+  try {
+    document = parser.parse(xml.replace(/^\uFEFF/, ''));
+  } catch (error) {
+    throw new PackageFormatError(`Invalid nuspec: ${error.message}`);
+  }
+  const metadata = document?.package?.metadata;
+  if (!metadata || typeof metadata !== 'object') {
+    throw new PackageFormatError('Invalid nuspec: missing package metadata');
+  }
+
+  const authors = getText(metadata.authors);
+  return {
+    id: getText(metadata.id),
+    version: getText(metadata.version),
+    authors: authors ? authors.split(',').map(author => author.trim()).filter(Boolean) : [],
+    description: getText(metadata.description),
+    dependencies: readDependencies(metadata.dependencies),
+  };
+}
+
+// パッケージ内のDLLのハッシュ・サイズ・アセンブリのメタデータ
+function inspectContainedDll(zip, entry) {
+  const content = extractZipEntry(zip, entry, { maxSize: MAX_DOWNLOAD_SIZE });
+  let assembly;
+  try {
+    assembly = readAssemblyMetadata(content);
+  } catch {
+    assembly = null;
+  }
+  return {
+    path: entry.name,
+    sha256: crypto.createHash('sha256').update(content).digest('hex'),
+    size: content.length,
+    assembly,
+  };
+}
+
+// .nupkgのバイト列からパッケージのメタデータとパッケージ内のDLLを読み取る
+export function readPackageMetadata(buffer) {
+  let entries;
+  try {
+    entries = readZipEntries(buffer);
+  } catch (error) {
+    throw new PackageFormatError(error.message);
+  }
+
+  // .nuspecはパッケージのルートに1つだけ置かれる
+  const nuspec = entries.find(entry => !entry.name.includes('/') && entry.name.toLowerCase().endsWith('.nuspec'));
+  if (!nuspec) throw new PackageFormatError('No .nuspec found in the package');
+
+  try {
+    return {
+      ...parseNuspec(extractZipEntry(buffer, nuspec, { maxSize: MAX_DOWNLOAD_SIZE }).toString('utf8')),
+      files: entries
+        .filter(entry => entry.name.toLowerCase().endsWith('.dll'))
+        .map(entry => inspectContainedDll(buffer, entry)),
+    };
+  } catch (error) {
+    if (error instanceof PackageFormatError) throw error;
+    throw new PackageFormatError(error.message);
+  }
+}
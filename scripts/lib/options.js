@@ -0,0 +1,151 @@
+// CLIの共通オプションの解析
+import { parseArgs } from 'util';
+import { parseRepositoryUrl } from './providers.js';
+import { DEFAULT_AUDIT_SAMPLE } from './audit.js';
+import { parseGameBuild } from './compat.js';
+import { DEFAULT_MAX_DROP_PERCENT } from './guard.js';
+import { HASH_ALGORITHMS } from './hash.js';
+
+export const HASH_MODES = ['none', 'missing', 'all'];
+
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// 期間指定（"7d"・"12h"・"30m"・秒数）をミリ秒に変換
+export function parseDuration(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)([smhd]?)$/);
+  if (!match) {
+    throw new Error(`Invalid duration: ${value} (expected e.g. 7d, 12h, 30m or seconds)`);
+  }
+  return Number(match[1]) * DURATION_UNITS[match[2] || 's'];
+}
+
+// --digestsの値（"sha1,sha512"）を解析してsha256以外に計算するハッシュの一覧を返す
+export function parseDigests(value) {
+  if (!value) return [];
+  const digests = value.split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+  const invalid = digests.filter(item => !HASH_ALGORITHMS.includes(item));
+  if (invalid.length > 0) {
+    throw new Error(`Invalid --digests: ${invalid.join(', ')} (expected ${HASH_ALGORITHMS.join(', ')})`);
+  }
+  return [...new Set(digests.filter(item => item !== 'sha256'))];
+}
+
+// --breaking-buildの値（"2024.7.12.12"・"2024-07-12"）を解析（未指定ならnull）
+export function parseBreakingBuild(value) {
+  if (!value) return null;
+  const build = parseGameBuild(value);
+  if (!build) {
+    throw new Error(`Invalid --breaking-build: ${value} (expected a Resonite build such as 2024.7.12.12 or a date such as 2024-07-12)`);
+  }
+  return build;
+}
+
+// --portの値を解析（未指定の場合は8080）
+function parsePort(value) {
+  const port = Number(value ?? 8080);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid --port: ${value} (expected a port number between 0 and 65535)`);
+  }
+  return port;
+}
+
+// 同時実行数を解析（未指定・不正な値の場合は既定値）
+function parseConcurrency(value) {
+  const concurrency = parseInt(value || '4', 10);
+  return Number.isFinite(concurrency) && concurrency > 0 ? concurrency : 4;
+}
+
+// コマンドライン引数を解析
+export function parseCliArgs(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      hash: { type: 'string' },
+      'force-hash': { type: 'boolean', default: false },
+      'max-age': { type: 'string' },
+      concurrency: { type: 'string' },
+      'output-dir': { type: 'string', default: 'cache' },
+      repo: { type: 'string', multiple: true },
+      'max-drop': { type: 'string' },
+      'allow-removals': { type: 'boolean', default: false },
+      json: { type: 'boolean', default: false },
+      probe: { type: 'boolean', default: false },
+      annotations: { type: 'boolean', default: false },
+      sample: { type: 'string' },
+      all: { type: 'boolean', default: false },
+      digests: { type: 'string' },
+      store: { type: 'string' },
+      'breaking-build': { type: 'string' },
+      port: { type: 'string' },
+      host: { type: 'string' },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+
+  const hashMode = values['force-hash'] ? 'all' : (values.hash || 'missing');
+  if (!HASH_MODES.includes(hashMode)) {
+    throw new Error(`Invalid --hash mode: ${hashMode} (expected ${HASH_MODES.join(', ')})`);
+  }
+
+  const maxDropPercent = Number(values['max-drop'] ?? DEFAULT_MAX_DROP_PERCENT);
+  if (!Number.isFinite(maxDropPercent) || maxDropPercent < 0 || maxDropPercent > 100) {
+    throw new Error(`Invalid --max-drop: ${values['max-drop']} (expected a percentage between 0 and 100)`);
+  }
+
+  const sample = Number(values.sample ?? DEFAULT_AUDIT_SAMPLE);
+  if (!Number.isInteger(sample) || sample < 1) {
+    throw new Error(`Invalid --sample: ${values.sample} (expected a positive number of assets)`);
+  }
+
+  const [command = null, ...args] = positionals;
+  return {
+    command,
+    args,
+    options: {
+      hashMode,
+      maxAge: values['max-age'] ? parseDuration(values['max-age']) : 0,
+      concurrency: parseConcurrency(values.concurrency ?? process.env.MOD_CACHE_CONCURRENCY),
+      outputDir: values['output-dir'],
+      repoPatterns: values.repo || [],
+      maxDropPercent,
+      allowRemovals: values['allow-removals'],
+      json: values.json,
+      probe: values.probe,
+      annotations: values.annotations,
+      sample,
+      all: values.all,
+      digests: parseDigests(values.digests),
+      store: values.store ?? process.env.MOD_CACHE_STORE ?? null,
+      breakingBuild: parseBreakingBuild(values['breaking-build'] ?? process.env.MOD_CACHE_BREAKING_BUILD),
+      port: parsePort(values.port ?? process.env.MOD_CACHE_PORT),
+      host: values.host ?? process.env.MOD_CACHE_HOST ?? '127.0.0.1',
+      help: values.help,
+    },
+  };
+}
+
+// "*"を含むパターンを正規表現に変換
+function patternToRegExp(pattern) {
+  const escaped = pattern.toLowerCase().replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`);
+}
+
+// --repoで指定したパターンに一致するMODかを判定する関数を作成
+// パターンはowner/repo・MOD名・MODのID・マニフェストIDのいずれかと比較（"*"で前方一致などが可能）
+export function createRepoFilter(patterns) {
+  if (!patterns || patterns.length === 0) return () => true;
+  const regexps = patterns.map(patternToRegExp);
+
+  return ({ id, name, manifest_id, source_location }) => {
+    const repoInfo = parseRepositoryUrl(source_location);
+    const candidates = [
+      id,
+      name,
+      manifest_id,
+      source_location,
+      repoInfo && `${repoInfo.owner}/${repoInfo.repo}`,
+    ].filter(Boolean).map(value => value.toLowerCase());
+    return regexps.some(regexp => candidates.some(candidate => regexp.test(candidate)));
+  };
+}
@@ -0,0 +1,247 @@
+// リリースの署名・チェックサム・来歴（provenance）の検出と、計算したハッシュとの照合
+// 署名そのものの検証には公開鍵・sigstoreの信頼ルートが必要なため、オフラインで確認できる署名対象のハッシュのみを照合
+import path from 'path';
+import { isDeepStrictEqual } from 'util';
+import { fetchText } from './http.js';
+import { isRateLimitError } from './request-scheduler.js';
+
+// 来歴のファイルの種類とファイル名のパターン（上から順に判定）
+// signature: 分離署名（PGP・minisign）、sigstore: sigstoreのバンドル・in-totoの証明、checksums: チェックサムの一覧
+const PROVENANCE_FILE_TYPES = [
+  { type: 'signature', pattern: /\.(sig|asc|minisig)$/i },
+  { type: 'sigstore', pattern: /\.(sigstore|sigstore\.json|bundle|intoto\.jsonl)$/i },
+  { type: 'checksums', pattern: /(^|[._-])(sha256sums?|checksums?)(\.txt)?$|\.sha256(sum)?$/i },
+];
+
+// 対象のファイル名を拡張子から判定できる来歴のファイルの拡張子（"Mod.dll.sig"は"Mod.dll"の署名）
+const TARGET_SUFFIX = /\.(sig|asc|minisig|sigstore|sigstore\.json|bundle|sha256|sha256sum)$/i;
+
+// GitHubのアーティファクト証明（attestation）を確認するリリースの公開日時（機能の公開以降のみ）
+export const ATTESTATIONS_SINCE = '2024-05-02T00:00:00Z';
+
+// in-totoの証明のペイロードの形式
+const IN_TOTO_PAYLOAD_TYPE = 'application/vnd.in-toto+json';
+
+// 来歴のファイルの対象のファイル名（チェックサムの一覧など複数のファイルが対象のものはnull）
+function getTargetName(fileName) {
+  return TARGET_SUFFIX.test(fileName) ? fileName.replace(TARGET_SUFFIX, '') : null;
+}
+
+// リリースのアセットから来歴のファイルを検出
+// [{ name, type, download_url }]
+export function findProvenanceFiles(assets) {
+  const files = [];
+  for (const asset of assets) {
+    const match = PROVENANCE_FILE_TYPES.find(({ pattern }) => pattern.test(asset.name));
+    if (match && asset.download_url) {
+      files.push({ name: asset.name, type: match.type, download_url: asset.download_url });
+    }
+  }
+  return files;
+}
+
+// チェックサムの一覧を解析してファイル名とSHA256ハッシュの対応を返す
+// GNU形式（"<hash>  <name>"・"<hash> *<name>"）・BSD形式（"SHA256 (<name>) = <hash>"）・ハッシュのみ（"Mod.dll.sha256"）に対応
+export function parseChecksums(text, fileName) {
+  const checksums = new Map();
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) continue;
+
+    const bsd = line.match(/^SHA256\s*\((.+)\)\s*=\s*([0-9a-f]{64})$/i);
+    const gnu = line.match(/^([0-9a-f]{64})\s+\*?(.+)$/i);
+    const bare = line.match(/^([0-9a-f]{64})$/i);
+    if (bsd) {
+      checksums.set(path.posix.basename(bsd[1].trim()), bsd[2].toLowerCase());
+    } else if (gnu) {
+      checksums.set(path.posix.basename(gnu[2].trim()), gnu[1].toLowerCase());
+    } else if (bare && getTargetName(fileName)) {
+      checksums.set(getTargetName(fileName), bare[1].toLowerCase());
+    }
+  }
+  return checksums;
+}
+
+// DSSEエンベロープからin-totoの証明（statement）を取り出す
+function decodeStatement(envelope) {
+  if (envelope?.payloadType !== IN_TOTO_PAYLOAD_TYPE || typeof envelope.payload !== 'string') return null;
+  try {
+    return JSON.parse(Buffer.from(envelope.payload, 'base64').toString('utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+// in-totoの証明の対象（subject）のファイル名とSHA256ハッシュ
+function getStatementSubjects(statement) {
+  return (statement?.subject || [])
+    .filter(subject => typeof subject.digest?.sha256 === 'string')
+    .map(subject => ({ name: subject.name ? path.posix.basename(subject.name) : null, sha256: subject.digest.sha256.toLowerCase() }));
+}
+
+// SLSAの来歴の証明からビルドしたワークフロー（"<repository>/<path>@<ref>"）を取得
+function getBuildWorkflow(statement) {
+  const workflow = statement?.predicate?.buildDefinition?.externalParameters?.workflow;
+  if (!workflow?.path) return null;
+  return `${workflow.repository ? `${workflow.repository}/` : ''}${workflow.path}${workflow.ref ? `@${workflow.ref}` : ''}`;
+}
+
+// sigstoreのバンドル・in-totoの証明（.intoto.jsonlは1行に1つのDSSEエンベロープ）から署名対象のファイル名とハッシュを取得
+// [{ name, sha256, predicate_type, workflow }]（ハッシュのみに署名したバンドルの対象はファイル名から判定）
+export function readSignedSubjects(text, fileName) {
+  let documents;
+  try {
+    documents = [JSON.parse(text)];
+  } catch {
+    documents = text.split(/\r?\n/).filter(line => line.trim()).flatMap(line => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        return [];
+      }
+    });
+  }
+
+  const subjects = [];
+  for (const document of documents) {
+    const digest = document.messageSignature?.messageDigest;
+    if (digest?.algorithm === 'SHA2_256' && digest.digest) {
+      subjects.push({
+        name: getTargetName(fileName),
+        sha256: Buffer.from(digest.digest, 'base64').toString('hex'),
+        predicate_type: null,
+        workflow: null,
+      });
+      continue;
+    }
+    const statement = decodeStatement(document.dsseEnvelope || document);
+    for (const subject of getStatementSubjects(statement)) {
+      subjects.push({ ...subject, predicate_type: statement.predicateType || null, workflow: getBuildWorkflow(statement) });
+    }
+  }
+  return subjects;
+}
+
+// 来歴のファイルを取得して照合結果の一覧を返す（取得できなければunavailable）
+async function checkProvenanceFile(file, assets, scheduler) {
+  const targetName = getTargetName(file.name);
+  if (file.type === 'signature') {
+    // 分離署名は公開鍵が無ければ検証できないため、存在のみ記録
+    return [{ asset: targetName, type: file.type, file: file.name, result: 'unverified' }];
+  }
+
+  let text;
+  try {
+    text = await fetchText(file.download_url, { scheduler });
+  } catch (error) {
+    if (isRateLimitError(error)) throw error;
+    console.warn(`  Failed to download ${file.name}: ${error.message}`);
+    return [{ asset: targetName, type: file.type, file: file.name, result: 'unavailable' }];
+  }
+
+  if (file.type === 'checksums') {
+    const checksums = parseChecksums(text, file.name);
+    return assets.filter(asset => asset.sha256 && checksums.has(asset.name)).map(asset => {
+      const published = checksums.get(asset.name);
+      return published === asset.sha256
+        ? { asset: asset.name, type: file.type, file: file.name, result: 'match' }
+        : { asset: asset.name, type: file.type, file: file.name, result: 'mismatch', published_sha256: published };
+    });
+  }
+
+  const subjects = readSignedSubjects(text, file.name);
+  return assets.filter(asset => asset.sha256).flatMap(asset => {
+    const sameName = subjects.filter(subject => subject.name === asset.name);
+    const matched = subjects.find(subject => subject.sha256 === asset.sha256);
+    if (matched) {
+      return [{ asset: asset.name, type: file.type, file: file.name, result: 'match', ...getStatementDetails(matched) }];
+    }
+    if (sameName.length > 0) {
+      return [{ asset: asset.name, type: file.type, file: file.name, result: 'mismatch', published_sha256: sameName[0].sha256 }];
+    }
+    return [];
+  });
+}
+
+// 証明の種類とビルドしたワークフロー（分かる場合のみ）
+function getStatementDetails({ predicate_type, workflow }) {
+  return {
+    ...(predicate_type ? { predicate_type } : {}),
+    ...(workflow ? { workflow } : {}),
+  };
+}
+
+// GitHubのアーティファクト証明を確認（ハッシュで検索するため、見つかった証明の対象のハッシュは一致する）
+async function checkAttestations(asset, fetchAttestations) {
+  let bundles;
+  try {
+    bundles = await fetchAttestations(asset.sha256);
+  } catch (error) {
+    if (isRateLimitError(error)) throw error;
+    console.warn(`  Failed to get attestations for ${asset.name}: ${error.message}`);
+    return [{ asset: asset.name, type: 'attestation', file: null, result: 'unavailable' }];
+  }
+
+  return bundles.flatMap(bundle => {
+    const statement = decodeStatement(bundle?.dsseEnvelope);
+    if (!getStatementSubjects(statement).some(subject => subject.sha256 === asset.sha256)) return [];
+    return [{
+      asset: asset.name,
+      type: 'attestation',
+      file: null,
+      result: 'match',
+      ...getStatementDetails({ predicate_type: statement.predicateType || null, workflow: getBuildWorkflow(statement) }),
+    }];
+  });
+}
+
+// 照合結果から来歴の状態を判定
+// mismatch: 公開されたハッシュと計算したハッシュが一致しない、hash_match: ハッシュを計算したすべてのアセットが一致
+// （署名そのものは検証しないため、正しく署名されたことは意味しない）、unverified: 来歴のファイルはあるが確認できない、none: 来歴の情報が無い
+function getProvenanceStatus(checks, files, assets) {
+  if (checks.some(check => check.result === 'mismatch')) return 'mismatch';
+  const hashedAssets = assets.filter(asset => asset.sha256);
+  const allMatched = hashedAssets.length > 0 && hashedAssets.every(asset =>
+    checks.some(check => check.asset === asset.name && check.result === 'match')
+  );
+  if (allMatched) return 'hash_match';
+  return files.length > 0 || checks.length > 0 ? 'unverified' : 'none';
+}
+
+// リリースの来歴を確認
+// assetsはハッシュを計算したリリースのアセット、filesはfindProvenanceFilesで検出した来歴のファイル
+// fetchAttestations(sha256)を指定するとGitHubのアーティファクト証明（バンドルの一覧）も確認
+// previous（前回の結果）と照合結果が同じ場合は前回の結果（checked_atを含む）をそのまま返す
+export async function checkProvenance(assets, files, { scheduler = null, fetchAttestations = null, previous = null } = {}) {
+  const checks = [];
+  for (const file of files) {
+    checks.push(...await checkProvenanceFile(file, assets, scheduler));
+  }
+  if (fetchAttestations) {
+    for (const asset of assets.filter(asset => asset.sha256)) {
+      checks.push(...await checkAttestations(asset, fetchAttestations));
+    }
+  }
+
+  for (const check of checks.filter(check => check.result === 'mismatch')) {
+    console.warn(`  ${check.file} lists ${check.published_sha256} for ${check.asset}, which does not match the computed hash`);
+  }
+
+  const status = getProvenanceStatus(checks, files, assets);
+  if (previous && isDeepStrictEqual({ status, files, checks }, { status: previous.status, files: previous.files, checks: previous.checks })) {
+    return previous;
+  }
+  return { status, checked_at: new Date().toISOString(), files, checks };
+}
+
+// 前回確認した来歴を引き継げるか（来歴のファイルが同じで、ハッシュを計算し直したアセット・取得できなかったファイルが無い）
+export function canReuseProvenance(provenance, files, rehashed) {
+  if (!provenance || rehashed || provenance.checks.some(check => check.result === 'unavailable')) return false;
+  const key = list => JSON.stringify(list.map(file => [file.name, file.download_url]));
+  return key(provenance.files || []) === key(files);
+}
+
+// 来歴を確認していないリリースがあるか（マニフェストのみのリリースはnull）
+export function hasUncheckedProvenance(releases) {
+  return releases.some(release => release.provenance === undefined);
+}
@@ -0,0 +1,71 @@
+// リリース情報の取得元（プロバイダー）の判定と、プロバイダーごとのリリース情報の取得
+import * as gitea from './gitea.js';
+import * as github from './github.js';
+import * as gitlab from './gitlab.js';
+import * as staticReleases from './static-releases.js';
+
+// プロバイダーごとのURLの解析とリリース情報の取得（すべて同じ形式のリリース情報を返す）
+const PROVIDERS = {
+  github: {
+    parse: url => github.parseGitHubUrl(url),
+    getAllReleases: (client, repoInfo, ...args) => github.getAllReleases(client, repoInfo.owner, repoInfo.repo, ...args),
+  },
+  gitlab: {
+    parse: url => gitlab.parseGitLabUrl(url),
+    getAllReleases: gitlab.getAllReleases,
+  },
+  gitea: {
+    parse: url => gitea.parseGiteaUrl(url),
+    getAllReleases: gitea.getAllReleases,
+  },
+  static: {
+    parse: (url, config) => staticReleases.parseStaticUrl(url, config.releases),
+    getAllReleases: staticReleases.getAllReleases,
+  },
+};
+
+// ForgejoはGiteaと同じAPIを使用
+const PROVIDER_ALIASES = { forgejo: 'gitea' };
+
+// repositories.jsonのproviderに指定できる値
+export const PROVIDER_NAMES = [...Object.keys(PROVIDERS), ...Object.keys(PROVIDER_ALIASES)];
+
+// providerを省略した場合にホスト名から判定する既知のホスティングサービス
+const KNOWN_HOSTS = {
+  'github.com': 'github',
+  'gitlab.com': 'gitlab',
+  'codeberg.org': 'gitea',
+  'gitea.com': 'gitea',
+};
+
+// URLのホスト名からプロバイダーを判定（既知のホスト以外はnull）
+function detectProvider(url) {
+  try {
+    return KNOWN_HOSTS[new URL(url).hostname.toLowerCase().replace(/^www\./, '')] || null;
+  } catch {
+    return null;
+  }
+}
+
+// リポジトリのプロバイダーと解析結果を取得（対応していないURL・プロバイダーはnull）
+// configはrepositories.jsonのエントリ（repository・provider・静的なリリース一覧のreleases）
+export function resolveProvider(config) {
+  const requested = config.provider ? String(config.provider).toLowerCase() : detectProvider(config.repository);
+  const name = PROVIDER_ALIASES[requested] || requested;
+  const provider = name && PROVIDERS[name];
+  if (!provider) return null;
+
+  const repoInfo = provider.parse(config.repository, config);
+  if (!repoInfo) return null;
+
+  return {
+    name,
+    repoInfo,
+    getAllReleases: (client, ...args) => provider.getAllReleases(client, repoInfo, ...args),
+  };
+}
+
+// 既知のホスティングサービスのリポジトリURLからowner/repoを抽出（MODのIDの生成・--repoの照合用）
+export function parseRepositoryUrl(url) {
+  return resolveProvider({ repository: url })?.repoInfo || null;
+}
@@ -0,0 +1,203 @@
+// 各プロバイダー共通のリリース情報の取得処理（条件付きリクエスト・ハッシュ計算・リリース形式への変換）
+import {
+  applyComputedHash,
+  applyHashFailure,
+  findExistingAsset,
+  getComputedHash,
+  getFileDetails,
+  getHashFailure,
+  getIntegrityFields,
+  hasIncompleteHashes,
+  inferInstallTarget,
+  isModAsset,
+  selectPrimaryAsset,
+} from './assets.js';
+import { applyRecomputedHash } from './audit.js';
+import { downloadAndHash, getHashFailureReason } from './hash.js';
+import { getInspector } from './inspect.js';
+import { getConditionalHeaders } from './http.js';
+import { ATTESTATIONS_SINCE, canReuseProvenance, checkProvenance, findProvenanceFiles, hasUncheckedProvenance } from './provenance.js';
+import { RateLimitError, isRateLimitError } from './request-scheduler.js';
+import { parseVersionTag } from './versions.js';
+
+// プロバイダーのリリース情報（共通形式）をキャッシュのリリース形式に変換
+// 共通形式: { version, release_url, published_at, prerelease, draft, changelog, assets: [{ name, size, download_url, content_type }] }
+// downloadは downloadAndHash に渡すオプション（計算するハッシュ・保存先のストア）
+// fetchAttestations(sha256)はアーティファクト証明を取得する関数（対応するプロバイダーのみ）
+async function buildReleaseData(releases, existingReleases, { hashMode, scheduler, repo, download, fetchAttestations }) {
+  const releaseData = [];
+  let hashed = 0;
+
+  for (const release of releases) {
+    // .dllファイルと.nupkgファイルをすべて収集
+    const modAssets = release.assets.filter(isModAsset);
+
+    if (modAssets.length === 0) {
+      console.log(`  No DLL or NUPKG found in release ${release.version}`);
+      continue;
+    }
+
+    // 既存のリリース情報をチェック
+    const existingRelease = existingReleases.find(r => r.version === release.version);
+
+    const assets = [];
+    let rehashed = false;
+    for (const asset of modAssets) {
+      const existingAsset = findExistingAsset(existingRelease, asset.name);
+      const previousHash = getComputedHash(existingAsset);
+      const cachedHash = hashMode === 'all' ? null : previousHash;
+      // 同じURLで前回失敗したアセットは再計算しない（--hash=allでは再試行）
+      const previousFailure = hashMode === 'all' ? null : getHashFailure(existingAsset, asset.download_url);
+      let entry = {
+        name: asset.name,
+        size: asset.size ?? null,
+        download_url: asset.download_url,
+        content_type: asset.content_type || null,
+        sha256: null,
+        install_target: inferInstallTarget(asset.name, repo, modAssets),
+      };
+
+      // 既存のハッシュ情報・ファイルの解析結果・監査の結果を使用（再計算に失敗した場合も維持）
+      if (previousHash) {
+        entry = {
+          ...entry,
+          sha256: previousHash,
+          size: existingAsset.size || entry.size,
+          ...getFileDetails(existingAsset),
+          ...getIntegrityFields(existingAsset),
+        };
+      }
+
+      if (cachedHash) {
+        console.log(`  Using cached hash for ${release.version} (${asset.name}): ${cachedHash}`);
+      } else if (previousFailure) {
+        console.log(`  Skipping hash for ${release.version} (${asset.name}): previous download failed (${previousFailure.reason})`);
+        entry = { ...entry, hash_failure: previousFailure };
+      } else if (asset.download_url && hashMode !== 'none') {
+        // 計算済みのハッシュが存在しない場合（--hash=allではすべて）計算
+        console.log(`  Calculating hash for ${release.version} (${asset.name})...`);
+        let failureReason = null;
+        const hashInfo = await downloadAndHash(asset.download_url, {
+          ...download,
+          scheduler,
+          inspect: getInspector(asset.name),
+          onError: error => { failureReason = getHashFailureReason(error); },
+        });
+        if (!hashInfo && !previousHash) {
+          entry = applyHashFailure(entry, failureReason);
+        }
+        if (hashInfo) {
+          // 計算済みのハッシュは上書きせず、一致しなければ監査と同様に記録
+          entry = previousHash
+            ? applyRecomputedHash(entry, hashInfo, release.version)
+            : applyComputedHash(entry, hashInfo, release.version);
+          hashed++;
+          if (entry.sha256 !== previousHash) rehashed = true;
+        }
+      }
+
+      assets.push(entry);
+    }
+
+    // 従来のフィールドにはメインのアセットを設定
+    const primaryAsset = selectPrimaryAsset(assets);
+
+    // 署名・チェックサムのファイルとアーティファクト証明を計算したハッシュと照合（ハッシュを計算しない場合は前回の結果を維持）
+    const provenanceFiles = findProvenanceFiles(release.assets);
+    let provenance = existingRelease?.provenance;
+    if (hashMode !== 'none' && !canReuseProvenance(provenance, provenanceFiles, rehashed)) {
+      const canAttest = fetchAttestations && release.published_at && release.published_at >= ATTESTATIONS_SINCE;
+      provenance = await checkProvenance(assets, provenanceFiles, {
+        scheduler,
+        fetchAttestations: canAttest ? fetchAttestations : null,
+        previous: provenance,
+      });
+    }
+
+    releaseData.push({
+      version: release.version,
+      semver: parseVersionTag(release.version, release.published_at),
+      download_url: primaryAsset.download_url,
+      release_url: release.release_url || null,
+      published_at: release.published_at || null,
+      prerelease: Boolean(release.prerelease),
+      draft: Boolean(release.draft),
+      changelog: release.changelog || null,
+      file_name: primaryAsset.name,
+      file_size: primaryAsset.size,
+      sha256: primaryAsset.sha256,
+      assets: assets,
+      ...(provenance !== undefined ? { provenance } : {}),
+    });
+  }
+
+  // 公開日時で新しい順にソート（公開日時が不明なものは末尾）
+  releaseData.sort((a, b) => new Date(b.published_at || 0) - new Date(a.published_at || 0));
+
+  return { releases: releaseData, hashed };
+}
+
+// リリース一覧を取得してハッシュ情報付きのリリース情報を返す（各プロバイダーの getAllReleases の共通処理）
+// fetchList(headers) はリリース一覧（共通形式）を取得し、変更がなければ（304）nullを返す
+// fetchStateにはstateKey（MODのID）ごとのETag/Last-Modifiedを保持し、変更がなければ取得をスキップ
+// hashModeは none（計算しない）/ missing（未計算のみ）/ all（すべて再計算）
+export async function collectReleases({
+  label,
+  repo,
+  scheduler,
+  existingReleases = [],
+  fetchState = {},
+  hashMode = 'missing',
+  stateKey,
+  fetchList,
+  download = {},
+  fetchAttestations = null,
+}) {
+  try {
+    console.log(`Fetching releases for ${label}...`);
+
+    // 既存データ（ハッシュ・来歴の確認結果）が揃っている場合のみ条件付きリクエストを使用
+    const canUseConditional = existingReleases.length > 0 && hashMode !== 'all' &&
+      (hashMode === 'none' || (!hasIncompleteHashes(existingReleases) && !hasUncheckedProvenance(existingReleases)));
+    const headers = canUseConditional ? getConditionalHeaders(fetchState[stateKey]) : {};
+
+    let list;
+    try {
+      list = await fetchList(headers);
+    } catch (error) {
+      // 待機上限を超えるレート制限は呼び出し元で以降の取得を止めるため再送出
+      if (error instanceof RateLimitError) throw error;
+      if (isRateLimitError(error)) {
+        console.error(`Rate limit reached for ${label}. Using existing data if available.`);
+        return { releases: existingReleases, status: 'failed', hashed: 0, repository: null };
+      }
+      throw error;
+    }
+
+    if (!list) {
+      console.log(`  Not modified since last run, using cached releases`);
+      return { releases: existingReleases, status: 'unchanged', hashed: 0, repository: null };
+    }
+
+    const { releases, hashed } = await buildReleaseData(list.releases, existingReleases, {
+      hashMode,
+      scheduler,
+      repo,
+      download,
+      fetchAttestations,
+    });
+
+    // 取得が完了した場合のみETag/Last-Modifiedを更新
+    if (list.conditionalState) {
+      fetchState[stateKey] = list.conditionalState;
+    } else {
+      delete fetchState[stateKey];
+    }
+
+    return { releases, status: 'refreshed', hashed, repository: list.repository || null };
+  } catch (error) {
+    if (error instanceof RateLimitError) throw error;
+    console.warn(`Failed to get releases for ${label}:`, error.message);
+    return { releases: existingReleases || [], status: 'failed', hashed: 0, repository: null };
+  }
+}
@@ -0,0 +1,267 @@
+// repositories.json（追加リポジトリの設定）の読み込みと検証
+import fs from 'fs/promises';
+import path from 'path';
+import { getRepositoryKey } from './github.js';
+import { getManifestEntries } from './manifest.js';
+import { resolveProvider } from './providers.js';
+import { getSchemaErrors } from './schema.js';
+
+// タグの数・長さの目安（超えた場合は警告）
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 32;
+
+// バージョン番号のようなタグ（例: "v0.1.0"）
+const VERSION_LIKE_TAG = /^v?\d+(\.\d+)+/i;
+
+// パスにowner/repoのみを持つべきプロバイダー
+const OWNER_REPO_PROVIDERS = ['github', 'gitea'];
+
+// スキーマエラーの位置（/repositories/<番号>/<フィールド>）からエントリの番号とフィールドを取得
+function parseErrorPath(pointer) {
+  const match = pointer.match(/^\/repositories\/(\d+)(?:\/([^/]+))?/);
+  if (!match) return { index: null, field: null };
+  return { index: Number(match[1]), field: match[2] || null };
+}
+
+// repositories.jsonのスキーマに適合しないエントリの番号
+function getInvalidEntries(config) {
+  return new Set(getSchemaErrors('repositories', config)
+    .map(error => parseErrorPath(error.path).index)
+    .filter(index => index !== null));
+}
+
+// 追加リポジトリ設定を読み込み（無効化されたエントリ・スキーマに適合しないエントリは除く）
+export async function loadAdditionalRepositories(configPath = path.join(process.cwd(), 'repositories.json')) {
+  try {
+    const data = await fs.readFile(configPath, 'utf-8');
+    const config = JSON.parse(data);
+    const invalid = getInvalidEntries(config);
+    return config.repositories.filter((repo, index) => {
+      if (invalid.has(index)) {
+        console.warn(`Skipping invalid entry in repositories.json: ${repo?.repository || `#${index}`} (run validate-repositories for details)`);
+        return false;
+      }
+      return repo.enabled !== false;
+    });
+  } catch (error) {
+    console.warn('No additional repositories config found or error reading it:', error.message);
+    return [];
+  }
+}
+
+// JSONテキストから各エントリ（repositories配列の要素）の開始行を取得（PRのアノテーション用）
+export function getEntryLines(text) {
+  const lines = [];
+  const stack = [];
+  let line = 1;
+  let lastKey = null;
+  let inString = false;
+  let stringStart = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '\n') line++;
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') {
+        inString = false;
+        // 文字列の直後が":"ならオブジェクトのキー
+        if (/^\s*:/.test(text.slice(i + 1, i + 20))) lastKey = JSON.parse(text.slice(stringStart, i + 1));
+      }
+      continue;
+    }
+    if (char === '"') {
+      inString = true;
+      stringStart = i;
+    } else if (char === '{' || char === '[') {
+      if (char === '{' && stack.length === 2 && stack[1] === 'repositories') lines.push(line);
+      stack.push(stack.length === 1 ? lastKey : char);
+    } else if (char === '}' || char === ']') {
+      stack.pop();
+    }
+  }
+  return lines;
+}
+
+// マニフェストに掲載されたMODのカテゴリ・リポジトリ・名前・ID
+function indexManifest(manifest) {
+  const categories = new Set();
+  const repositories = new Map();
+  const names = new Map();
+  const ids = new Set();
+  for (const { modKey, modEntry } of getManifestEntries(manifest)) {
+    if (modEntry.category) categories.add(modEntry.category);
+    if (modEntry.sourceLocation) repositories.set(getRepositoryKey(modEntry.sourceLocation), modKey);
+    if (modEntry.name) names.set(modEntry.name.toLowerCase(), modKey);
+    ids.add(modKey);
+  }
+  return { categories, repositories, names, ids };
+}
+
+// リポジトリURLが対応しているプロバイダーのリポジトリを指しているかを確認
+function checkRepositoryUrl(entry, report) {
+  if (typeof entry.repository !== 'string') return null;
+
+  const provider = resolveProvider(entry);
+  if (!provider) {
+    report('error', 'repository', entry.provider
+      ? `${entry.repository} is not a valid ${entry.provider} repository URL`
+      : `${entry.repository} is not on a known host (github.com, gitlab.com, codeberg.org, gitea.com); set provider for other hosts`);
+    return null;
+  }
+
+  const url = new URL(entry.repository);
+  if (url.protocol !== 'https:') {
+    report('warning', 'repository', `${entry.repository} should use https`);
+  }
+  if (url.search || url.hash) {
+    report('error', 'repository', `${entry.repository} must not contain a query or fragment`);
+  }
+  const segments = url.pathname.replace(/\.git$/i, '').split('/').filter(Boolean);
+  if (OWNER_REPO_PROVIDERS.includes(provider.name) && segments.length !== 2) {
+    report('error', 'repository', `${entry.repository} must be the repository URL (https://host/owner/repo), not a page inside it`);
+  }
+  if (provider.name === 'gitlab' && url.pathname.includes('/-/')) {
+    report('error', 'repository', `${entry.repository} must be the project URL, not a page inside it`);
+  }
+
+  if (provider.name === 'static') {
+    if (!entry.releases) report('error', 'releases', 'the static provider requires releases');
+    (entry.releases || []).forEach((release, releaseIndex) => {
+      if (Boolean(release.url) === Boolean(release.assets)) {
+        report('error', 'releases', `release ${release.version || `#${releaseIndex}`} must have either url or assets`);
+      }
+    });
+  } else if (entry.releases) {
+    report('error', 'releases', `releases is only used by the static provider (detected provider: ${provider.name})`);
+  }
+  return provider;
+}
+
+// タグの妥当性を確認（バージョン番号・重複は誤り、多すぎる・長すぎるタグは警告）
+function checkTags(tags, report) {
+  if (!Array.isArray(tags)) return;
+  const seen = new Set();
+  for (const tag of tags.filter(tag => typeof tag === 'string')) {
+    if (VERSION_LIKE_TAG.test(tag)) {
+      report('error', 'tags', `tag "${tag}" looks like a version; tags are search keywords (versions come from releases)`);
+    }
+    if (seen.has(tag.toLowerCase())) {
+      report('error', 'tags', `duplicate tag "${tag}"`);
+    }
+    if (tag.length > MAX_TAG_LENGTH) {
+      report('warning', 'tags', `tag "${tag}" is longer than ${MAX_TAG_LENGTH} characters`);
+    }
+    seen.add(tag.toLowerCase());
+  }
+  if (tags.length > MAX_TAGS) {
+    report('warning', 'tags', `${tags.length} tags (at most ${MAX_TAGS} recommended)`);
+  }
+}
+
+// リリースを取得して、.dll・.nupkgのアセットを持つリリースがあるかを確認
+async function probeReleases(provider, client, report) {
+  const result = await provider.getAllReleases(client, [], {}, { hashMode: 'none', stateKey: 'probe' });
+  if (result.status === 'failed') {
+    report('error', 'repository', 'could not fetch releases from the repository');
+  } else if (result.releases.filter(release => !release.draft).length === 0) {
+    report('error', 'repository', 'no published release has a .dll or .nupkg asset');
+  }
+}
+
+// repositories.jsonを検証して問題の一覧を返す
+// manifestを指定するとカテゴリ・マニフェストとの重複も確認し、probeとclientを指定すると有効なエントリのリリースを取得して確認
+// 問題は { level: 'error' | 'warning', index, field, name, message }（indexはエントリの番号、ファイル全体の問題はnull）
+export async function validateRepositories(config, { manifest = null, probe = false, client = null } = {}) {
+  const issues = [];
+  const entries = Array.isArray(config?.repositories) ? config.repositories : [];
+  const reportFor = (index, name) => (level, field, message) => issues.push({ level, index, field, name, message });
+
+  for (const error of getSchemaErrors('repositories', config)) {
+    const { index, field } = parseErrorPath(error.path);
+    const name = index !== null ? entries[index]?.name ?? null : null;
+    reportFor(index, name)('error', field, `${error.path} ${error.message}`);
+  }
+
+  const manifestIndex = manifest ? indexManifest(manifest) : null;
+  if (!manifestIndex) {
+    reportFor(null, null)('warning', null, 'manifest not available; categories and duplicates with the manifest were not checked');
+  }
+
+  const seenRepositories = new Map();
+  const seenIds = new Map();
+  const seenNames = new Map();
+
+  for (const [index, entry] of entries.entries()) {
+    if (!entry || typeof entry !== 'object') continue;
+    const report = reportFor(index, entry.name ?? null);
+    const provider = checkRepositoryUrl(entry, report);
+
+    // 同じリポジトリ・ID・名前のエントリ
+    const duplicates = [
+      ['repository', seenRepositories, typeof entry.repository === 'string' ? getRepositoryKey(entry.repository) : null],
+      ['id', seenIds, entry.id],
+      ['name', seenNames, typeof entry.name === 'string' ? entry.name.toLowerCase() : null],
+    ];
+    for (const [field, seen, key] of duplicates) {
+      if (!key) continue;
+      if (seen.has(key)) {
+        report('error', field, `duplicate ${field} (same as entry #${seen.get(key)})`);
+      } else {
+        seen.set(key, index);
+      }
+    }
+
+    if (manifestIndex) {
+      const manifestId = typeof entry.repository === 'string' && manifestIndex.repositories.get(getRepositoryKey(entry.repository));
+      if (manifestId) {
+        report('error', 'repository', `already listed in the manifest as ${manifestId}`);
+      }
+      if (entry.id && manifestIndex.ids.has(entry.id)) {
+        report('error', 'id', `id ${entry.id} is used by a MOD in the manifest`);
+      }
+      const sameName = typeof entry.name === 'string' && manifestIndex.names.get(entry.name.toLowerCase());
+      if (sameName && sameName !== manifestId) {
+        report('warning', 'name', `a MOD in the manifest (${sameName}) has the same name`);
+      }
+      if (typeof entry.category === 'string' && !manifestIndex.categories.has(entry.category)) {
+        report('error', 'category', `category "${entry.category}" is not used in the manifest (allowed: ${[...manifestIndex.categories].sort().join(', ')})`);
+      }
+    }
+
+    checkTags(entry.tags, report);
+
+    if (probe && client && provider && entry.enabled !== false) {
+      await probeReleases(provider, client, report);
+    }
+  }
+
+  return issues;
+}
+
+// GitHub Actionsのワークフローコマンドで使えるように値をエスケープ
+function escapeData(value) {
+  return String(value).replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+}
+
+function escapeProperty(value) {
+  return escapeData(value).replace(/:/g, '%3A').replace(/,/g, '%2C');
+}
+
+// 問題の見出し（エントリの番号・名前・フィールド）
+export function getIssueLabel(issue) {
+  if (issue.index === null) return 'repositories.json';
+  const entry = `repositories[${issue.index}]${issue.name ? ` (${issue.name})` : ''}`;
+  return issue.field ? `${entry} ${issue.field}` : entry;
+}
+
+// 問題をGitHub Actionsのアノテーション（PRの差分に表示されるエラー・警告）に変換
+export function formatAnnotations(issues, { file = 'repositories.json', lines = [] } = {}) {
+  return issues.map(issue => {
+    const properties = [`file=${escapeProperty(file)}`];
+    const line = issue.index !== null ? lines[issue.index] : null;
+    if (line) properties.push(`line=${line}`);
+    properties.push(`title=${escapeProperty(getIssueLabel(issue))}`);
+    return `::${issue.level} ${properties.join(',')}::${escapeData(issue.message)}`;
+  });
+}
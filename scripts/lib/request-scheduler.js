@@ -0,0 +1,256 @@
+// GitHub APIリクエストの同時実行数・レート制限・再試行を管理するスケジューラー
+
+// 一時的な障害として再試行するネットワークエラーコード
+const TRANSIENT_ERROR_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ENOTFOUND',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT',
+]);
+
+// レート制限の待機時間が上限を超えた場合のエラー
+export class RateLimitError extends Error {
+  constructor(message, resetAt = null) {
+    super(message);
+    this.name = 'RateLimitError';
+    this.resetAt = resetAt;
+  }
+}
+
+// Headersオブジェクト・プレーンオブジェクトの両方からヘッダー値を取得
+function getHeader(headers, name) {
+  if (!headers) return null;
+  if (typeof headers.get === 'function') return headers.get(name);
+  return headers[name] ?? headers[name.toLowerCase()] ?? null;
+}
+
+// エラーまたはレスポンスのステータスとヘッダーを取得
+function getStatusAndHeaders(errorOrResponse) {
+  return {
+    status: errorOrResponse?.status,
+    // OctokitのHTTPエラーはerror.response.headersのみを参照（error.headersは非推奨）
+    headers: errorOrResponse?.name === 'HttpError'
+      ? errorOrResponse.response?.headers || null
+      : errorOrResponse?.response?.headers || errorOrResponse?.headers || null,
+  };
+}
+
+// retry-afterヘッダー（秒数またはHTTP日付）をミリ秒に変換
+function parseRetryAfter(value, now) {
+  if (value === null || value === undefined || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// レート制限による待機時間（ミリ秒）を取得（レート制限でなければnull）
+export function getRateLimitDelay(errorOrResponse, now = Date.now(), defaultDelay = 60 * 1000) {
+  const { status, headers } = getStatusAndHeaders(errorOrResponse);
+  if (status !== 403 && status !== 429) return null;
+
+  const retryAfter = parseRetryAfter(getHeader(headers, 'retry-after'), now);
+  if (retryAfter !== null) return retryAfter;
+
+  // プライマリレート制限: リセット時刻まで待機（時計のずれを考慮して1秒余分に待つ）
+  const remaining = getHeader(headers, 'x-ratelimit-remaining');
+  const reset = Number(getHeader(headers, 'x-ratelimit-reset'));
+  if (remaining === '0' && Number.isFinite(reset) && reset > 0) {
+    return Math.max(0, reset * 1000 - now) + 1000;
+  }
+
+  // 429、またはセカンダリレート制限（ヘッダーなし）の場合は既定の時間だけ待機
+  const message = String(errorOrResponse?.message || '').toLowerCase();
+  if (status === 429 || message.includes('rate limit')) {
+    return defaultDelay;
+  }
+  return null;
+}
+
+// APIレート制限によるエラーか
+export function isRateLimitError(error) {
+  return error instanceof RateLimitError || getRateLimitDelay(error) !== null;
+}
+
+// 再試行で回復する可能性のあるエラーか（5xx・ネットワークエラー）
+export function isTransientError(error) {
+  const status = error?.status;
+  if (typeof status === 'number' && status >= 500 && status < 600) return true;
+  // OctokitのHTTPエラーはステータスのみで判定（error.codeは非推奨のため参照しない）
+  if (error?.name === 'HttpError') return false;
+  const code = error?.code || error?.errno || error?.cause?.code;
+  if (code && TRANSIENT_ERROR_CODES.has(code)) return true;
+  return error?.name === 'FetchError' && error?.type === 'system';
+}
+
+// fetchのレスポンスから再試行判定用のエラーを生成
+export function createHttpError(response) {
+  const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+  error.status = response.status;
+  error.response = { headers: response.headers };
+  return error;
+}
+
+// 既定の待機関数
+function defaultSleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// リクエストスケジューラーを作成
+export function createRequestScheduler(options = {}) {
+  const {
+    concurrency = 4,
+    maxRetries = 3,
+    maxRateLimitRetries = 5,
+    baseDelay = 1000,
+    maxDelay = 30 * 1000,
+    maxRateLimitWait = 60 * 60 * 1000,
+    defaultRateLimitDelay = 60 * 1000,
+    sleep = defaultSleep,
+    now = Date.now,
+    logger = console,
+  } = options;
+
+  const waiting = [];
+  let active = 0;
+  let pausedUntil = 0;
+  const stats = { requests: 0, retries: 0, rateLimitPauses: 0 };
+
+  // 実行枠を確保（空きがなければ解放されるまで待機）
+  const acquire = () => {
+    if (active < concurrency) {
+      active++;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => waiting.push(resolve));
+  };
+
+  // 実行枠を解放（待機中のタスクがあればそのまま引き渡す）
+  const release = () => {
+    const next = waiting.shift();
+    if (next) {
+      next();
+    } else {
+      active--;
+    }
+  };
+
+  // すべてのタスクを指定時間停止
+  const pause = (ms, reason) => {
+    const until = now() + ms;
+    if (until <= pausedUntil) return;
+    pausedUntil = until;
+    stats.rateLimitPauses++;
+    logger.warn(`  Rate limited (${reason}), pausing requests for ${Math.ceil(ms / 1000)}s`);
+  };
+
+  // 停止中であれば再開時刻まで待機
+  const waitForResume = async () => {
+    while (pausedUntil > now()) {
+      await sleep(pausedUntil - now());
+    }
+  };
+
+  // 成功したレスポンスの残りリクエスト数を確認し、使い切っていれば事前に停止
+  const inspectResponse = (response) => {
+    const headers = response?.headers;
+    if (!headers || getHeader(headers, 'x-ratelimit-remaining') !== '0') return;
+    const reset = Number(getHeader(headers, 'x-ratelimit-reset'));
+    if (Number.isFinite(reset) && reset > 0) {
+      pause(Math.max(0, reset * 1000 - now()) + 1000, 'quota exhausted');
+    }
+  };
+
+  // タスクを実行（レート制限時は停止して再開、一時的な障害は指数バックオフで再試行）
+  const schedule = async (task) => {
+    let attempt = 0;
+    let rateLimitRetries = 0;
+
+    while (true) {
+      // 待機上限を超える停止中は、リクエストを送らずに失敗させる
+      if (pausedUntil - now() > maxRateLimitWait) {
+        throw new RateLimitError(`Rate limit not lifted until ${new Date(pausedUntil).toISOString()}`, pausedUntil);
+      }
+
+      await acquire();
+      let result;
+      let error = null;
+      try {
+        await waitForResume();
+        stats.requests++;
+        result = await task();
+      } catch (caught) {
+        error = caught;
+      } finally {
+        release();
+      }
+
+      if (!error) {
+        inspectResponse(result);
+        return result;
+      }
+
+      const rateLimitDelay = getRateLimitDelay(error, now(), defaultRateLimitDelay);
+      if (rateLimitDelay !== null) {
+        rateLimitRetries++;
+        if (rateLimitDelay > maxRateLimitWait || rateLimitRetries > maxRateLimitRetries) {
+          pausedUntil = Math.max(pausedUntil, now() + rateLimitDelay);
+          throw new RateLimitError(
+            `Rate limit not lifted (retry in ${Math.ceil(rateLimitDelay / 1000)}s): ${error.message}`,
+            now() + rateLimitDelay
+          );
+        }
+        pause(rateLimitDelay, `HTTP ${error.status}`);
+        continue;
+      }
+
+      if (isTransientError(error) && attempt < maxRetries) {
+        // ジッター付きの指数バックオフ
+        const delay = Math.min(maxDelay, baseDelay * 2 ** attempt) * (0.5 + Math.random() / 2);
+        attempt++;
+        stats.retries++;
+        logger.warn(`  Transient error (${error.status || error.code || error.message}), retrying in ${Math.ceil(delay / 1000)}s (${attempt}/${maxRetries})`);
+        await sleep(delay);
+        continue;
+      }
+
+      throw error;
+    }
+  };
+
+  return {
+    schedule,
+    pause,
+    stats,
+    get pausedUntil() {
+      return pausedUntil;
+    },
+  };
+}
+
+// Octokitのすべてのリクエストをスケジューラー経由で実行
+export function useSchedulerForOctokit(octokit, scheduler) {
+  octokit.hook.wrap('request', (request, options) => scheduler.schedule(() => request(options)));
+  return octokit;
+}
+
+// 配列の各要素を指定した同時実行数で処理（結果は入力と同じ順序）
+export async function runWithConcurrency(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runWorker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+  return results;
+}
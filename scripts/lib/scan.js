@@ -0,0 +1,155 @@
+// Resoniteのインストール先のMODファイルの検出（ハッシュで既知のMOD・バージョンを特定し、古いバージョンを判定）
+import fs from 'fs/promises';
+import path from 'path';
+import { INSTALL_TARGETS, getReleaseAssets, isModAsset } from './assets.js';
+import { readAssemblyMetadata } from './assembly.js';
+import { generateHashLookup } from './cache.js';
+import { hashFile } from './hash.js';
+import { getModId } from './mod-id.js';
+import { readPackageMetadata } from './nupkg.js';
+import { applyVersionFields, compareReleases, isPrerelease, selectLatestReleases } from './versions.js';
+
+// アセンブリ名が一致するアセットを検索（ハッシュが未知のファイル・キャッシュに無いバージョンのMODの特定用）
+export function findAssemblyMatches(mods, assemblyName) {
+  const name = assemblyName.toLowerCase();
+  const matches = [];
+  for (const mod of mods) {
+    for (const release of mod.releases || []) {
+      for (const asset of getReleaseAssets(release)) {
+        // .nupkgのアセットはパッケージ内のDLLのアセンブリ名と比較
+        const candidates = [
+          { file_name: asset.name, assembly: asset.assembly },
+          ...(asset.package?.files || []).map(file => ({ file_name: `${asset.name}/${file.path}`, assembly: file.assembly })),
+        ];
+        for (const { file_name, assembly } of candidates) {
+          if (assembly?.name?.toLowerCase() !== name) continue;
+          matches.push({
+            mod_id: getModId(mod),
+            mod_name: mod.name,
+            version: release.version,
+            file_name,
+            assembly_version: assembly.version,
+            loader: assembly.loader,
+          });
+        }
+      }
+    }
+  }
+  return matches;
+}
+
+// ファイルのアセンブリ名の一覧（.nupkgはパッケージ内のDLL、読み取れなければ空）
+async function readAssemblyNames(filePath) {
+  try {
+    const content = await fs.readFile(filePath);
+    if (filePath.toLowerCase().endsWith('.nupkg')) {
+      return readPackageMetadata(content).files.map(file => file.assembly?.name).filter(Boolean);
+    }
+    const name = readAssemblyMetadata(content)?.name;
+    return name ? [name] : [];
+  } catch {
+    return [];
+  }
+}
+
+// 検査するディレクトリ内の.dll・.nupkgの一覧（[{ path, install_target }]）
+// Resoniteのインストール先を指定した場合はインストール先ごとのディレクトリ（rml_mods・rml_libs・MonkeyLoader/Mods）を検査し、
+// どれも無ければ指定したディレクトリ自体を検査
+export async function findScanTargets(dir) {
+  const listFiles = async subdir => {
+    const entries = await fs.readdir(path.join(dir, subdir), { withFileTypes: true }).catch(() => null);
+    if (!entries) return null;
+    return entries
+      .filter(entry => entry.isFile() && isModAsset({ name: entry.name.toLowerCase() }))
+      .map(entry => path.posix.join(subdir, entry.name))
+      .sort();
+  };
+
+  const targets = [];
+  let found = false;
+  for (const installTarget of INSTALL_TARGETS) {
+    const files = await listFiles(installTarget);
+    if (!files) continue;
+    found = true;
+    targets.push(...files.map(file => ({ path: file, install_target: installTarget })));
+  }
+  if (found) return targets;
+
+  const files = await listFiles('.');
+  if (!files) throw new Error(`Directory not found: ${dir}`);
+  return files.map(file => ({ path: file, install_target: null }));
+}
+
+// 一致したファイルのうち、インストール先が同じものを優先して1件選択
+function selectMatch(matches, installTarget) {
+  return matches.find(match => match.install_target === installTarget) || matches[0];
+}
+
+// インストールされたリリースより新しいリリース（プレリリースをインストールしている場合は新しいプレリリースも対象）
+function findNewerRelease(mod, installed) {
+  const { latest, prerelease } = selectLatestReleases(mod.releases);
+  const target = isPrerelease(installed) && prerelease ? prerelease : latest;
+  if (!target || target.version === installed.version || compareReleases(target, installed) >= 0) return null;
+  return target;
+}
+
+// 新しいリリースのうち、同じ名前のファイルのダウンロードURL（無ければリリースのメインのファイル）
+function getDownloadUrl(release, fileName) {
+  const asset = getReleaseAssets(release).find(asset => asset.name?.toLowerCase() === fileName.toLowerCase());
+  return asset?.download_url || release.download_url || null;
+}
+
+// ファイルを検査してMOD・バージョンを特定
+// status: known（既知のMODの最新バージョン）/ outdated（新しいリリースがある）/ unknown（ハッシュが一致しない）
+async function scanFile(dir, target, { mods, modsById, hashLookup }) {
+  const filePath = path.join(dir, target.path);
+  const sha256 = await hashFile(filePath);
+  const matches = hashLookup[sha256] || [];
+  const result = { path: target.path, sha256, status: 'unknown' };
+
+  if (matches.length === 0) {
+    // ハッシュが見つからないファイルはアセンブリ名で候補を検索
+    const assemblyNames = await readAssemblyNames(filePath);
+    return {
+      ...result,
+      assembly_names: assemblyNames,
+      assembly_matches: assemblyNames.flatMap(name => findAssemblyMatches(mods, name)),
+    };
+  }
+
+  const match = selectMatch(matches, target.install_target);
+  const mod = modsById.get(match.mod_id);
+  const installed = mod?.releases.find(release => release.version === match.version);
+  const newer = installed ? findNewerRelease(mod, installed) : null;
+  const fileName = match.contained_in?.file_name || match.file_name;
+  return {
+    ...result,
+    status: newer ? 'outdated' : 'known',
+    mod_id: match.mod_id,
+    mod_name: match.mod_name,
+    version: match.version,
+    file_name: fileName,
+    latest_version: newer?.version || match.version,
+    latest_download_url: newer ? getDownloadUrl(newer, fileName) : match.download_url,
+    matches,
+  };
+}
+
+// ディレクトリ内のMODファイルを検査
+// { directory, files: [...], summary: { known, outdated, unknown } }
+export async function scanDirectory(dir, cachedMods) {
+  const mods = cachedMods.map(applyVersionFields);
+  const context = {
+    mods,
+    modsById: new Map(mods.map(mod => [getModId(mod), mod])),
+    hashLookup: generateHashLookup(mods),
+  };
+
+  const files = [];
+  for (const target of await findScanTargets(dir)) {
+    files.push(await scanFile(dir, target, context));
+  }
+  const summary = { known: 0, outdated: 0, unknown: 0 };
+  for (const file of files) summary[file.status]++;
+  return { directory: path.resolve(dir), files, summary };
+}
@@ -0,0 +1,115 @@
+// キャッシュファイルの形式（schema_version付きのエンベロープ）とJSON Schemaによる検証
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import { readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// キャッシュ形式のバージョン（互換性の無い変更を行った場合に更新）
+export const SCHEMA_VERSION = 1;
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+export const SCHEMA_DIR = path.join(ROOT_DIR, 'schemas');
+
+// 各ファイルのスキーマとデータを格納するキー
+export const CACHE_DOCUMENTS = {
+  mods: { schema: 'mods.schema.json', payloadKey: 'mods' },
+  hashLookup: { schema: 'hash-lookup.schema.json', payloadKey: 'hashes' },
+  fetchState: { schema: 'fetch-state.schema.json', payloadKey: null },
+  changes: { schema: 'changes.schema.json', payloadKey: 'changes' },
+  index: { schema: 'index.schema.json', payloadKey: 'mods' },
+  mod: { schema: 'mod.schema.json', payloadKey: 'mod' },
+  audit: { schema: 'audit.schema.json', payloadKey: 'audit' },
+  searchIndex: { schema: 'search-index.schema.json', payloadKey: null },
+};
+
+// キャッシュ以外の設定ファイルのスキーマ（エンベロープは持たない）
+export const CONFIG_DOCUMENTS = {
+  repositories: { schema: 'repositories.schema.json' },
+};
+
+// スキーマに適合しないデータを書き込もうとした場合のエラー
+export class CacheValidationError extends Error {
+  constructor(document, errors) {
+    super(`Invalid ${document}: ${errors.slice(0, 5).join('; ')}${errors.length > 5 ? ` (and ${errors.length - 5} more)` : ''}`);
+    this.name = 'CacheValidationError';
+    this.document = document;
+    this.errors = errors;
+  }
+}
+
+const packageInfo = JSON.parse(readFileSync(path.join(ROOT_DIR, 'package.json'), 'utf-8'));
+
+// 書き込みを行ったツールの情報
+export function getGenerator(command) {
+  return { name: packageInfo.name, version: packageInfo.version, command };
+}
+
+let validators = null;
+
+// スキーマを読み込んで検証関数を作成（初回のみ）
+function getValidators() {
+  if (validators) return validators;
+
+  const readSchema = file => JSON.parse(readFileSync(path.join(SCHEMA_DIR, file), 'utf-8'));
+  const ajv = new Ajv({ allErrors: true, strict: true });
+  addFormats(ajv);
+  ajv.addSchema(readSchema('common.schema.json'));
+
+  validators = {};
+  for (const [name, { schema }] of Object.entries({ ...CACHE_DOCUMENTS, ...CONFIG_DOCUMENTS })) {
+    validators[name] = ajv.compile(readSchema(schema));
+  }
+  return validators;
+}
+
+// ドキュメントを検証してエラーの位置（JSON Pointer）とメッセージの一覧を返す（問題が無ければ空配列）
+export function getSchemaErrors(name, document) {
+  const validate = getValidators()[name];
+  if (validate(document)) return [];
+  return validate.errors.map(error => ({ path: error.instancePath || '/', message: error.message }));
+}
+
+// ドキュメントを検証してエラーメッセージの一覧を返す（問題が無ければ空配列）
+export function validateDocument(name, document) {
+  return getSchemaErrors(name, document).map(error => `${error.path} ${error.message}`);
+}
+
+// ドキュメントを検証し、問題があればCacheValidationErrorを投げる
+export function assertValidDocument(name, document) {
+  const errors = validateDocument(name, document);
+  if (errors.length > 0) {
+    throw new CacheValidationError(name, errors);
+  }
+  return document;
+}
+
+// データをschema_version付きのエンベロープで包む
+export function createDocument(name, payload, { command, generatedAt = new Date().toISOString(), generator = getGenerator(command) }) {
+  const { payloadKey } = CACHE_DOCUMENTS[name];
+  return {
+    schema_version: SCHEMA_VERSION,
+    generated_at: generatedAt,
+    generator,
+    ...(payloadKey ? { [payloadKey]: payload } : payload),
+  };
+}
+
+// エンベロープの無い以前の形式のファイルか
+export function isLegacyDocument(data) {
+  return Array.isArray(data) || data?.schema_version === undefined;
+}
+
+// エンベロープからデータを取り出す（以前の形式のファイルはそのまま返す）
+export function getPayload(name, data) {
+  const { payloadKey } = CACHE_DOCUMENTS[name];
+  if (isLegacyDocument(data)) return data;
+  if (data.schema_version > SCHEMA_VERSION) {
+    throw new Error(`Unsupported schema_version ${data.schema_version} (supported: ${SCHEMA_VERSION})`);
+  }
+  if (!payloadKey) {
+    const { schema_version, generated_at, generator, ...payload } = data;
+    return payload;
+  }
+  return data[payloadKey];
+}
@@ -0,0 +1,252 @@
+// MODの全文検索（転置インデックスの作成と検索）
+// ブラウザ・ゲーム内のブラウザでもそのまま使えるよう、ほかのモジュールやパッケージに依存しない
+
+// インデックスに含めるフィールドと検索スコアの重み（termsの値のビットの順序）
+export const SEARCH_FIELDS = [
+  { name: 'name', weight: 10 },
+  { name: 'id', weight: 6 },
+  { name: 'tags', weight: 5 },
+  { name: 'author', weight: 4 },
+  { name: 'category', weight: 3 },
+  { name: 'description', weight: 2 },
+  { name: 'changelog', weight: 1 },
+];
+
+// 変更ログをインデックスに含める最近のリリースの数
+const CHANGELOG_RELEASES = 3;
+
+// 一致の種類ごとのスコアの係数
+const EXACT_MATCH = 1;
+const PREFIX_MATCH = 0.6;
+const FUZZY_MATCH = 0.4;
+
+// 名前が検索語と一致・前方一致するMODに加えるスコア
+const NAME_MATCH_BONUS = 20;
+const NAME_PREFIX_BONUS = 8;
+
+// インデックスに含めない英語の語（説明・変更ログに頻出し検索に役立たない）
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it', 'of', 'on', 'or',
+  'that', 'the', 'this', 'to', 'was', 'with',
+]);
+
+// 日本語・中国語の文字（単語の区切りが無いため2文字ずつの組（bi-gram）で索引）
+const CJK_CHAR = '[\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}ー々〆]';
+const WORD_PATTERN = new RegExp(`${CJK_CHAR}+|(?:(?!${CJK_CHAR})[\\p{L}\\p{N}])+`, 'gu');
+const CJK_PATTERN = new RegExp(`^${CJK_CHAR}`, 'u');
+const URL_PATTERN = /\bhttps?:\/\/\S+/g;
+
+const isCjk = term => CJK_PATTERN.test(term);
+
+// CJKの文字列を2文字ずつの組に分割（1文字の場合はそのまま）
+function toBigrams(run) {
+  const chars = [...run];
+  if (chars.length === 1) return chars;
+  return chars.slice(1).map((char, index) => chars[index] + char);
+}
+
+// "ResoniteModLoader"・"UI_Tweaks"などの語を構成する語に分割
+function splitCompoundWord(word) {
+  return word
+    .split(/(?<=[a-z0-9])(?=[A-Z])|(?<=[A-Z])(?=[A-Z][a-z])|(?<=\p{L})(?=\p{N})|(?<=\p{N})(?=\p{L})/u)
+    .map(part => part.toLowerCase());
+}
+
+// テキストを検索語に分割（NFKC正規化・小文字化し、英数字は単語ごと、CJKは2文字ずつ）
+export function tokenize(text) {
+  const terms = [];
+  for (const [word] of String(text ?? '').normalize('NFKC').replace(URL_PATTERN, ' ').matchAll(WORD_PATTERN)) {
+    if (isCjk(word)) {
+      terms.push(...toBigrams(word));
+    } else {
+      terms.push(word.toLowerCase());
+    }
+  }
+  return terms;
+}
+
+// インデックスに登録する語か（1文字の英数字とストップワードは除く）
+function isIndexTerm(term) {
+  return isCjk(term) || (term.length >= 2 && !STOP_WORDS.has(term));
+}
+
+// インデックスに登録する語（複合語は構成する語も登録）
+function getIndexTerms(text) {
+  const terms = new Set();
+  for (const [word] of String(text ?? '').normalize('NFKC').replace(URL_PATTERN, ' ').matchAll(WORD_PATTERN)) {
+    const candidates = isCjk(word) ? toBigrams(word) : [word.toLowerCase(), ...splitCompoundWord(word)];
+    for (const term of candidates) {
+      if (isIndexTerm(term)) terms.add(term);
+    }
+  }
+  return terms;
+}
+
+// 最近のリリース（公開日時の新しい順）の変更ログ
+function getRecentChangelogs(mod) {
+  return [...(mod.releases || [])]
+    .filter(release => release.changelog && !release.draft)
+    .sort((a, b) => (b.published_at || '').localeCompare(a.published_at || ''))
+    .slice(0, CHANGELOG_RELEASES)
+    .map(release => release.changelog);
+}
+
+// フィールドごとの索引対象のテキスト
+function getFieldTexts(mod) {
+  return {
+    name: [mod.name],
+    id: [mod.id],
+    tags: mod.tags || [],
+    author: [mod.author],
+    category: [mod.category],
+    description: [mod.description],
+    changelog: getRecentChangelogs(mod),
+  };
+}
+
+// 検索インデックスを作成（modsの各要素はidを持つこと）
+// { fields: [...], documents: [{ id, name, author, category, latest_version }], terms: { 語: [文書番号, フィールドのビット, ...] } }
+export function buildSearchIndex(mods) {
+  const postings = new Map();
+  const documents = mods.map((mod, docIndex) => {
+    const texts = getFieldTexts(mod);
+    const masks = new Map();
+    SEARCH_FIELDS.forEach(({ name }, fieldIndex) => {
+      for (const text of texts[name]) {
+        for (const term of getIndexTerms(text)) {
+          masks.set(term, (masks.get(term) || 0) | (1 << fieldIndex));
+        }
+      }
+    });
+    for (const [term, mask] of masks) {
+      if (!postings.has(term)) postings.set(term, []);
+      postings.get(term).push(docIndex, mask);
+    }
+    return {
+      id: mod.id,
+      name: mod.name,
+      author: mod.author ?? null,
+      category: mod.category ?? null,
+      latest_version: mod.latest_version ?? null,
+    };
+  });
+
+  // 差分が出ないよう語をソート
+  const terms = Object.fromEntries([...postings].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)));
+  return { fields: SEARCH_FIELDS.map(({ name }) => name), documents, terms };
+}
+
+// インデックスのソート済みの語の一覧（前方一致の検索用、インデックスごとに1回だけ作成）
+const sortedTermsCache = new WeakMap();
+function getSortedTerms(index) {
+  if (!sortedTermsCache.has(index)) {
+    sortedTermsCache.set(index, Object.keys(index.terms).sort((a, b) => (a < b ? -1 : a > b ? 1 : 0)));
+  }
+  return sortedTermsCache.get(index);
+}
+
+// 編集距離（隣接する文字の入れ替えも1回として数える）。maxを超えた時点で打ち切り
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous2 = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previous2[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous2 = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// 検索語に一致するインデックスの語と一致の係数（完全一致・前方一致・あいまい一致）
+function matchTerms(index, token) {
+  const matches = new Map();
+  if (index.terms[token]) matches.set(token, EXACT_MATCH);
+
+  // 前方一致（英数字は2文字以上）
+  if (isCjk(token) || token.length >= 2) {
+    const sorted = getSortedTerms(index);
+    let low = 0;
+    let high = sorted.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (sorted[mid] < token) low = mid + 1;
+      else high = mid;
+    }
+    for (let i = low; i < sorted.length && sorted[i].startsWith(token); i++) {
+      if (sorted[i] === token) continue;
+      matches.set(sorted[i], PREFIX_MATCH * (0.5 + 0.5 * token.length / sorted[i].length));
+    }
+  }
+
+  // あいまい一致（英数字の4文字以上。8文字以上は2文字までの違いを許容）
+  if (!isCjk(token) && token.length >= 4) {
+    const maxEdits = token.length >= 8 ? 2 : 1;
+    for (const term of getSortedTerms(index)) {
+      if (matches.has(term) || isCjk(term)) continue;
+      const distance = editDistance(token, term, maxEdits);
+      if (distance <= maxEdits) matches.set(term, FUZZY_MATCH / distance);
+    }
+  }
+  return matches;
+}
+
+// フィールドのビットに対応する重みの合計
+function getFieldWeight(index, mask) {
+  let weight = 0;
+  index.fields.forEach((name, fieldIndex) => {
+    if (mask & (1 << fieldIndex)) weight += SEARCH_FIELDS.find(field => field.name === name)?.weight || 1;
+  });
+  return weight;
+}
+
+// 検索（すべての検索語に一致するMODをスコアの高い順に返す）
+// 検索語ごとに、一致した語の係数・フィールドの重み・語の珍しさ（IDF）の積が最大のものをスコアに加算
+export function searchIndex(index, query, { limit = 20 } = {}) {
+  // インデックスに無い語（ストップワードなど）は検索語から除く
+  const tokens = [...new Set(tokenize(query).filter(isIndexTerm))];
+  if (tokens.length === 0) return [];
+
+  const docCount = index.documents.length;
+  let scores = null;
+  for (const token of tokens) {
+    const tokenScores = new Map();
+    for (const [term, factor] of matchTerms(index, token)) {
+      const postings = index.terms[term];
+      const idf = Math.log(1 + docCount / (postings.length / 2));
+      for (let i = 0; i < postings.length; i += 2) {
+        const score = factor * getFieldWeight(index, postings[i + 1]) * idf;
+        tokenScores.set(postings[i], Math.max(tokenScores.get(postings[i]) || 0, score));
+      }
+    }
+
+    // すべての検索語に一致するMODのみ残す
+    const next = new Map();
+    for (const [docIndex, score] of tokenScores) {
+      if (scores === null || scores.has(docIndex)) next.set(docIndex, (scores?.get(docIndex) || 0) + score);
+    }
+    scores = next;
+    if (scores.size === 0) return [];
+  }
+
+  // 名前そのものを検索した場合は上位に表示
+  const normalizedQuery = tokens.join(' ');
+  const results = [...scores].map(([docIndex, score]) => {
+    const document = index.documents[docIndex];
+    const name = tokenize(document.name).filter(isIndexTerm).join(' ');
+    const bonus = name === normalizedQuery ? NAME_MATCH_BONUS : name.startsWith(normalizedQuery) ? NAME_PREFIX_BONUS : 0;
+    return { ...document, score: Math.round((score + bonus) * 1000) / 1000 };
+  });
+  results.sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
+  return results.slice(0, limit);
+}
@@ -0,0 +1,204 @@
+// キャッシュファイル（mods.json）を配信するローカルHTTP API（ネットワーク・GitHubトークン不要で、ランチャーへの組み込み用）
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import http from 'http';
+import zlib from 'zlib';
+import { generateHashLookup, getCachePaths, readDocument } from './cache.js';
+import { isSha256 } from './hash.js';
+import { normalizeVersionKey } from './manifest.js';
+import { assignModIds } from './mod-id.js';
+import { getPayload } from './schema.js';
+import { buildSearchIndex, searchIndex } from './search.js';
+import { generateShards } from './shards.js';
+
+// これより小さいレスポンスは圧縮しない
+const MIN_GZIP_SIZE = 1024;
+
+// すべてのオリジンからの取得を許可（ブラウザ上のツールからも利用可能）
+const CORS_HEADERS = {
+  'access-control-allow-origin': '*',
+  'access-control-allow-methods': 'GET, HEAD, OPTIONS',
+  'access-control-allow-headers': 'If-None-Match',
+  'access-control-expose-headers': 'ETag',
+  'access-control-max-age': '86400',
+};
+
+// 検索で絞り込めるパラメータ
+const SEARCH_FILTERS = ['category', 'tag', 'author'];
+
+// ステータスコード付きのエラー（JSONのエラーレスポンスとして返す）
+class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+  }
+}
+
+// mods.jsonを読み込み、IDでの検索用のデータを作成（以前の形式のキャッシュのMODにもIDを割り当て）
+async function loadApiData(paths) {
+  const data = await readDocument(paths.mods);
+  const cachedMods = data ? getPayload('mods', data) : [];
+  const ids = assignModIds(cachedMods);
+  const mods = cachedMods.map(mod => ({ ...mod, id: ids.get(mod) }));
+
+  // 一覧にはインデックス（index.json）と同じ項目を返す（MODごとのファイルのpath・sha256はAPIでは使わない）
+  const summaries = generateShards(mods).index.map(({ path, ...summary }) => summary);
+  return {
+    mods,
+    summaries,
+    byId: new Map(mods.map((mod, index) => [mod.id.toLowerCase(), { mod, summary: summaries[index] }])),
+    hashLookup: generateHashLookup(mods),
+    searchIndex: buildSearchIndex(mods),
+  };
+}
+
+// mods.jsonが更新された場合のみ読み込み直す関数を作成（読み込みに失敗した場合は次のリクエストで読み込み直す）
+function createDataLoader(paths) {
+  let loaded = null;
+  let loadedMtime = null;
+  return async () => {
+    const stat = await fs.stat(paths.mods).catch(() => null);
+    const mtime = stat?.mtimeMs ?? null;
+    if (!loaded || mtime !== loadedMtime) {
+      const loading = loadApiData(paths);
+      loading.catch(() => {
+        if (loaded === loading) loaded = null;
+      });
+      loaded = loading;
+      loadedMtime = mtime;
+    }
+    return loaded;
+  };
+}
+
+// IDでMODを検索（大文字・小文字は区別しない）
+function findMod(data, id) {
+  const entry = data.byId.get(id.toLowerCase());
+  if (!entry) throw new ApiError(404, `MOD not found: ${id}`);
+  return entry;
+}
+
+// バージョンでリリースを検索（"v1.0.0"と"1.0.0"は同じバージョンとして扱う）
+function findRelease(mod, version) {
+  const release = (mod.releases || []).find(release => release.version === version) ||
+    (mod.releases || []).find(release => normalizeVersionKey(release.version) === normalizeVersionKey(version));
+  if (!release) throw new ApiError(404, `Release not found: ${mod.id} ${version}`);
+  return release;
+}
+
+// 大文字・小文字を区別せずに一致するか
+const equalsIgnoreCase = (value, expected) => typeof value === 'string' && value.toLowerCase() === expected.toLowerCase();
+
+// 検索条件（q: 全文検索、category・tag・author: 完全一致）に一致するMODの一覧
+// qを指定した場合はスコアの高い順、それ以外は一覧と同じ順
+function searchMods(data, params) {
+  const q = params.get('q')?.trim();
+  const filters = Object.fromEntries(SEARCH_FILTERS.map(name => [name, params.get(name)?.trim()]).filter(([, value]) => value));
+
+  const mods = q
+    ? searchIndex(data.searchIndex, q, { limit: Infinity }).map(result => data.byId.get(result.id.toLowerCase()).mod)
+    : data.mods;
+  return mods.filter(mod => {
+    if (filters.category && !equalsIgnoreCase(mod.category, filters.category)) return false;
+    if (filters.author && !equalsIgnoreCase(mod.author, filters.author)) return false;
+    if (filters.tag && !(mod.tags || []).some(tag => equalsIgnoreCase(tag, filters.tag))) return false;
+    return true;
+  }).map(mod => data.byId.get(mod.id.toLowerCase()).summary);
+}
+
+// パスに対応するレスポンスの内容を取得
+async function route(pathname, params, loadData) {
+  const segments = pathname.split('/').filter(Boolean).map(segment => decodeURIComponent(segment));
+  const data = await loadData();
+
+  if (segments[0] === 'mods') {
+    if (segments.length === 1) return data.summaries;
+    if (segments.length === 2) return findMod(data, segments[1]).mod;
+    if (segments.length === 4 && segments[2] === 'releases') {
+      return findRelease(findMod(data, segments[1]).mod, segments[3]);
+    }
+  }
+  if (segments[0] === 'lookup' && segments[1] === 'sha256' && segments.length === 3) {
+    const sha256 = segments[2].toLowerCase();
+    if (!isSha256(sha256)) throw new ApiError(400, `Invalid SHA256 hash: ${segments[2]}`);
+    const matches = data.hashLookup[sha256];
+    if (!matches) throw new ApiError(404, `Hash not found: ${sha256}`);
+    return { sha256, matches };
+  }
+  if (segments[0] === 'search' && segments.length === 1) {
+    return searchMods(data, params);
+  }
+  throw new ApiError(404, `Not found: ${pathname}`);
+}
+
+// JSONを返す（ETagが一致すれば304、クライアントが対応していればgzipで圧縮）
+function sendJson(req, res, status, body) {
+  const json = Buffer.from(JSON.stringify(body));
+  // 圧縮の有無で内容が変わるため弱いETagを使用
+  const etag = `W/"${crypto.createHash('sha256').update(json).digest('hex').slice(0, 32)}"`;
+  const headers = {
+    ...CORS_HEADERS,
+    'content-type': 'application/json; charset=utf-8',
+    'cache-control': 'no-cache',
+    vary: 'Accept-Encoding',
+    etag,
+  };
+
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (status === 200 && ifNoneMatch && ifNoneMatch.split(',').map(value => value.trim()).includes(etag)) {
+    res.writeHead(304, headers);
+    res.end();
+    return;
+  }
+
+  let content = json;
+  if (json.length >= MIN_GZIP_SIZE && /\bgzip\b/.test(req.headers['accept-encoding'] || '')) {
+    content = zlib.gzipSync(json);
+    headers['content-encoding'] = 'gzip';
+  }
+  headers['content-length'] = content.length;
+  res.writeHead(status, headers);
+  res.end(req.method === 'HEAD' ? undefined : content);
+}
+
+// リクエストを処理
+async function handleRequest(req, res, loadData) {
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS);
+    res.end();
+    return;
+  }
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.writeHead(405, { ...CORS_HEADERS, allow: 'GET, HEAD, OPTIONS' });
+    res.end();
+    return;
+  }
+
+  const url = new URL(req.url, 'http://localhost');
+  try {
+    sendJson(req, res, 200, await route(url.pathname, url.searchParams, loadData));
+  } catch (error) {
+    if (error instanceof ApiError) {
+      sendJson(req, res, error.status, { error: error.message });
+    } else if (error instanceof URIError) {
+      sendJson(req, res, 400, { error: `Invalid path: ${url.pathname}` });
+    } else {
+      console.error('API error:', error);
+      sendJson(req, res, 500, { error: 'Internal server error' });
+    }
+  }
+}
+
+// APIサーバーを作成（listenは呼び出し側で行う）
+// outputDirのmods.jsonを読み込み、ファイルが更新された場合は次のリクエストで読み込み直す
+export function createApiServer({ outputDir = 'cache' } = {}) {
+  const loadData = createDataLoader(getCachePaths(outputDir));
+  return http.createServer((req, res) => {
+    handleRequest(req, res, loadData).catch(error => {
+      console.error('API error:', error);
+      if (!res.headersSent) res.writeHead(500);
+      res.end();
+    });
+  });
+}
@@ -0,0 +1,46 @@
+// MOD一覧のインデックス（index.json）とMODごとのファイル（mods/<id>.json）の生成
+import crypto from 'crypto';
+import { assignModIds } from './mod-id.js';
+
+// 取得のたびに変わるためMODごとのファイルに含めないフィールド（mods.jsonのみに記録）
+const FETCH_FIELDS = ['last_fetched', 'fetch_status'];
+
+// MODごとのファイルのハッシュ（書き込む内容そのもののSHA256、index.jsonのsha256）
+export function getShardHash(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// MODごとのファイルの出力ディレクトリからの相対パス
+export function getShardPath(id) {
+  return `mods/${id}.json`;
+}
+
+// インデックスとMODごとのファイルの内容を作成
+// インデックスのsha256は書き込むファイルの内容から求めるため、ここでは含めない
+export function generateShards(mods) {
+  const index = [];
+  const shards = [];
+  const ids = assignModIds(mods);
+
+  for (const mod of mods) {
+    const id = ids.get(mod);
+    index.push({
+      id,
+      name: mod.name,
+      description: mod.description ?? null,
+      author: mod.author ?? null,
+      category: mod.category ?? null,
+      tags: mod.tags ?? null,
+      source_location: mod.source_location,
+      latest_version: mod.latest_version ?? null,
+      latest_prerelease_version: mod.latest_prerelease_version ?? null,
+      possibly_broken: Boolean(mod.possibly_broken),
+      release_count: mod.releases?.length || 0,
+      last_updated: mod.last_updated,
+      path: getShardPath(id),
+    });
+    shards.push({ id, mod: Object.fromEntries(Object.entries(mod).filter(([key]) => !FETCH_FIELDS.includes(key))) });
+  }
+
+  return { index, shards };
+}
@@ -0,0 +1,56 @@
+// 静的なリリース一覧（repositories.jsonに直接記載したダウンロードURL）のリリース情報の取得
+import { getFileNameFromUrl } from './assets.js';
+import { collectReleases } from './releases.js';
+import { hasPrereleaseIdentifier } from './versions.js';
+
+// 配布ページのURLからリリース一覧の識別用の情報を作成（リリース一覧はrepositories.jsonのreleasesを使用）
+export function parseStaticUrl(url, releases = []) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+  const segments = parsed.pathname.split('/').filter(Boolean);
+  return { url, baseUrl: parsed.origin, owner: null, repo: segments.at(-1) || parsed.hostname, releases };
+}
+
+// repositories.jsonのリリースを共通形式に変換
+// 1つのファイルはurl、複数のファイルはassets（url・name）で指定
+// prereleaseの指定が無いリリースはタグ名のプレリリース部分（alpha・beta・rc・pre）から判定
+function toRelease(release) {
+  const assets = release.assets || (release.url ? [{ url: release.url }] : []);
+  return {
+    version: release.version,
+    release_url: release.release_url || null,
+    published_at: release.published_at || null,
+    prerelease: release.prerelease ?? hasPrereleaseIdentifier(release.version),
+    draft: false,
+    changelog: release.changelog || null,
+    assets: assets.map(asset => ({
+      name: asset.name || getFileNameFromUrl(asset.url),
+      size: null,
+      download_url: asset.url,
+      content_type: null,
+    })),
+  };
+}
+
+// 記載されたリリースのハッシュ情報付きのリリース情報を返す（ダウンロードはハッシュ計算時のみ）
+export async function getAllReleases(client, repoInfo, existingReleases = [], fetchState = {}, {
+  hashMode = 'missing',
+  stateKey,
+  download = {},
+} = {}) {
+  return collectReleases({
+    label: `${repoInfo.url} (static list)`,
+    repo: repoInfo.repo,
+    scheduler: client.scheduler,
+    existingReleases,
+    fetchState,
+    hashMode,
+    stateKey,
+    fetchList: async () => ({ releases: repoInfo.releases.map(toRelease), conditionalState: null, repository: null }),
+    download,
+  });
+}
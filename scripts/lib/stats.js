@@ -0,0 +1,106 @@
+// キャッシュの統計情報・取得結果の集計と出力
+import fs from 'fs/promises';
+import { isReleaseHashIncomplete } from './assets.js';
+
+// MOD情報から統計情報を集計
+export function getCacheStats(mods, hashLookup = null) {
+  const categoryCounts = {};
+  let totalReleases = 0;
+  let releasesWithHash = 0;
+  let releasesWithDownloadUrl = 0;
+  let hashMismatches = 0;
+  let modsWithIncompleteHashes = 0;
+  const fetchStatusCounts = { fresh: 0, stale: 0, error: 0 };
+  // 来歴の確認結果ごとのリリース数（uncheckedは未確認のリリース、マニフェストのみのリリースは含めない）
+  const provenanceCounts = { hash_match: 0, mismatch: 0, unverified: 0, none: 0, unchecked: 0 };
+
+  for (const mod of mods) {
+    const releases = mod.releases || [];
+    categoryCounts[mod.category] = (categoryCounts[mod.category] || 0) + 1;
+    totalReleases += releases.length;
+    releasesWithHash += releases.filter(r => r.sha256).length;
+    releasesWithDownloadUrl += releases.filter(r => r.download_url).length;
+    for (const release of releases) {
+      hashMismatches += release.assets?.filter(a => a.hash_verified === false).length || 0;
+      if (release.provenance === undefined) provenanceCounts.unchecked++;
+      else if (release.provenance) provenanceCounts[release.provenance.status]++;
+    }
+    if (releases.some(isReleaseHashIncomplete)) modsWithIncompleteHashes++;
+    if (mod.fetch_status in fetchStatusCounts) fetchStatusCounts[mod.fetch_status]++;
+  }
+
+  return {
+    total_mods: mods.length,
+    mods_with_releases: mods.filter(mod => mod.releases?.length > 0).length,
+    total_releases: totalReleases,
+    releases_with_download_url: releasesWithDownloadUrl,
+    releases_with_hash: releasesWithHash,
+    mods_with_incomplete_hashes: modsWithIncompleteHashes,
+    manifest_hash_mismatches: hashMismatches,
+    unique_hashes: hashLookup ? Object.keys(hashLookup).length : null,
+    fetch_status: fetchStatusCounts,
+    provenance: provenanceCounts,
+    categories: Object.fromEntries(Object.entries(categoryCounts).sort((a, b) => b[1] - a[1])),
+  };
+}
+
+// 統計情報を表示
+export function printCacheStats(stats) {
+  const coverage = stats.releases_with_download_url > 0
+    ? ((stats.releases_with_hash / stats.releases_with_download_url) * 100).toFixed(1)
+    : '0.0';
+
+  console.log(`Total MODs: ${stats.total_mods}`);
+  console.log(`MODs with releases: ${stats.mods_with_releases}/${stats.total_mods}`);
+  if (stats.unique_hashes !== null) {
+    console.log(`Total unique hashes: ${stats.unique_hashes}`);
+  }
+
+  console.log('\nMODs by category:');
+  for (const [category, count] of Object.entries(stats.categories)) {
+    console.log(`  ${category}: ${count}`);
+  }
+
+  console.log(`\nTotal releases: ${stats.total_releases}`);
+  console.log(`Releases with hash: ${stats.releases_with_hash} (${coverage}% of releases with download URLs)`);
+  console.log(`MODs with incomplete hashes: ${stats.mods_with_incomplete_hashes}`);
+  console.log(`Manifest hash mismatches: ${stats.manifest_hash_mismatches}`);
+  const { hash_match: hashMatch, mismatch, unverified, none, unchecked } = stats.provenance;
+  console.log(`Release provenance: ${hashMatch} hash match, ${mismatch} mismatch, ${unverified} unverified, ${none} none, ${unchecked} unchecked`);
+
+  const { fresh, stale, error } = stats.fetch_status;
+  console.log(`Fetch status: ${fresh} fresh, ${stale} stale, ${error} error`);
+}
+
+// リポジトリの取得結果を表示
+export function printFetchStats(fetchStats, scheduler) {
+  console.log('\nRepository fetch results:');
+  console.log(`  Manifest: ${fetchStats.manifest}`);
+  console.log(`  Unchanged (304): ${fetchStats.unchanged}`);
+  console.log(`  Refreshed: ${fetchStats.refreshed}`);
+  console.log(`  Skipped (within max age): ${fetchStats.skipped}`);
+  console.log(`  Failed: ${fetchStats.failed}`);
+  console.log(`  Not fetched (rate limit): ${fetchStats.rateLimited}`);
+  if (scheduler) {
+    console.log(`  Requests: ${scheduler.stats.requests} (retries: ${scheduler.stats.retries}, rate limit pauses: ${scheduler.stats.rateLimitPauses})`);
+  }
+}
+
+// GitHub Actionsのジョブサマリーに取得結果（キャッシュを置き換えなかった場合はその理由）を出力
+export async function writeStepSummary(fetchStats, guardProblems = []) {
+  if (!process.env.GITHUB_STEP_SUMMARY) return;
+  const lines = [
+    '### Repository Fetch Results',
+    `- Manifest: ${fetchStats.manifest}`,
+    `- Unchanged (304): ${fetchStats.unchanged}`,
+    `- Refreshed: ${fetchStats.refreshed}`,
+    `- Skipped (within max age): ${fetchStats.skipped}`,
+    `- Failed: ${fetchStats.failed}`,
+    `- Not fetched (rate limit): ${fetchStats.rateLimited}`,
+    '',
+  ];
+  if (guardProblems.length > 0) {
+    lines.push('### Cache Not Replaced', ...guardProblems.map(problem => `- ${problem}`), '');
+  }
+  await fs.appendFile(process.env.GITHUB_STEP_SUMMARY, lines.join('\n') + '\n');
+}
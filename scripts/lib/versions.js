@@ -0,0 +1,144 @@
+// リリースのバージョン（タグ名）のsemverへの正規化と、最新の安定版・プレリリースの選択
+import semver from 'semver';
+
+// タグ名の中の最初のバージョン番号（先頭または英数字・"."以外の区切りの後、"v"は省略可の最大4つの数値）と、その後ろの文字列
+const VERSION_PATTERN = /(?:^|[^0-9A-Za-z.])[vV]?(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:\.(\d+))?(.*)$/;
+
+// プロバイダーにプレリリースの指定が無い場合にプレリリースとして扱うプレリリース部分（"-beta.1"・"rc2"など）
+// "-RML"・"-resonite"など、それ以外の文字列は対応環境などを表すラベルとして扱う
+const PRERELEASE_IDENTIFIER = /^(alpha|beta|rc|pre)\d*$/i;
+
+// 日付として扱うタグ名の数値と公開日時の差の許容範囲（タイムゾーンの違いを考慮）
+const DATE_STAMP_TOLERANCE_MS = 2 * 24 * 60 * 60 * 1000;
+
+// 数値部分（先頭の0は除く）
+function toNumber(value) {
+  return value === undefined ? '0' : String(Number(value));
+}
+
+// バージョン番号の後ろの文字列をプレリリース・ビルドメタデータに変換（変換できなければundefined）
+// "-beta.1"・".rc1"・"_alpha"・"beta2"はプレリリース、"+build"はビルドメタデータ
+function parseSuffix(suffix) {
+  if (!suffix) return { prerelease: null, build: null };
+  const [main, ...build] = suffix.split('+');
+  if (main && !/^[-._]?[A-Za-z0-9]/.test(main)) return undefined;
+  return {
+    prerelease: main ? main.replace(/^[-._]/, '').replace(/_/g, '.') : null,
+    build: build.length > 0 ? build.join('+') : null,
+  };
+}
+
+// バージョン番号が公開日時の日付（"9.5.24"のような月.日.年・日.月.年）か
+// 年が先頭の日付（"2024.01.15"）はバージョン順と公開順が一致するため対象外
+function isDateStamp(numbers, publishedAt) {
+  const published = Date.parse(publishedAt || '');
+  if (Number.isNaN(published) || numbers.some(value => value === undefined)) return false;
+  const [first, second, year] = numbers.map(Number);
+  const fullYear = year < 100 ? 2000 + year : year;
+  return [[first, second], [second, first]].some(([month, day]) => {
+    if (month < 1 || month > 12 || day < 1 || day > 31) return false;
+    return Math.abs(Date.UTC(fullYear, month - 1, day) - published) <= DATE_STAMP_TOLERANCE_MS;
+  });
+}
+
+// タグ名をsemverに正規化（正規化できなければnull）
+// "v2.1.1"・"release-2.1.1" → "2.1.1"、"1.2" → "1.2.0"、"1.2.3.4" → "1.2.3+4"、"1.0beta" → "1.0.0-beta"
+// publishedAtを指定すると、公開日時の日付を表すタグ名（"V9.5.24.1938"）もnull
+export function parseVersionTag(tag, publishedAt = null) {
+  if (typeof tag !== 'string') return null;
+  const match = tag.trim().match(VERSION_PATTERN);
+  if (!match) return null;
+  const [, major, minor, patch, revision, rest] = match;
+  if (isDateStamp([major, minor, patch], publishedAt)) return null;
+  const suffix = parseSuffix(rest);
+  if (!suffix) return null;
+
+  // 4つ目の数値はビルドメタデータとして残す（比較には使わない）
+  const build = [revision === undefined ? null : toNumber(revision), suffix.build].filter(Boolean).join('.');
+  const version = [
+    [major, minor, patch].map(toNumber).join('.'),
+    suffix.prerelease ? `-${suffix.prerelease}` : '',
+    build ? `+${build}` : '',
+  ].join('');
+  return semver.valid(version) ? version : null;
+}
+
+// タグ名にプレリリースを表す部分（alpha・beta・rc・pre）があるか
+// プレリリースの指定が無いプロバイダー（GitLab・静的なリリース・マニフェストのみのリリース）の判定用
+export function hasPrereleaseIdentifier(tag) {
+  const version = parseVersionTag(tag);
+  const identifiers = version ? semver.prerelease(version) : null;
+  return Boolean(identifiers && PRERELEASE_IDENTIFIER.test(String(identifiers[0])));
+}
+
+// プレリリースか（リリースのprereleaseフラグのみで判定し、タグ名のプレリリース部分は使わない）
+export function isPrerelease(release) {
+  return Boolean(release.prerelease);
+}
+
+// 比較に使うバージョン（プレリリースでないリリースのプレリリース部分（"-RML"など）はラベルとして除く）
+function getComparableVersion(release) {
+  if (!release.semver || isPrerelease(release)) return release.semver;
+  const parsed = semver.parse(release.semver);
+  if (!parsed || parsed.prerelease.length === 0) return release.semver;
+  return `${parsed.major}.${parsed.minor}.${parsed.patch}${parsed.build.length > 0 ? `+${parsed.build.join('.')}` : ''}`;
+}
+
+// 公開日時の新しい順の比較（公開日時が不明なものは後）
+function comparePublishedAt(a, b) {
+  return new Date(b.published_at || 0) - new Date(a.published_at || 0);
+}
+
+// 新しい順の比較（semverのあるリリースを優先してバージョン順、同じバージョン・semverの無いリリースは公開日時順）
+// ビルドメタデータ（4つ目の数値など）はバージョンが同じ場合のみ比較
+export function compareReleases(a, b) {
+  if (a.semver && b.semver) {
+    return semver.compareBuild(getComparableVersion(b), getComparableVersion(a)) || comparePublishedAt(a, b);
+  }
+  if (a.semver || b.semver) return a.semver ? -1 : 1;
+  return comparePublishedAt(a, b);
+}
+
+// プレリリースが安定版より新しいか（どちらかにsemverが無ければ公開日時で比較）
+function isNewer(prerelease, latest) {
+  if (prerelease.semver && latest.semver) {
+    return semver.compareBuild(getComparableVersion(prerelease), getComparableVersion(latest)) > 0;
+  }
+  return comparePublishedAt(prerelease, latest) < 0;
+}
+
+// 最新の安定版と、それより新しいプレリリースを選択（ドラフトは除く）
+// semverはリリースのsemverフィールド、無ければタグ名から求める
+export function selectLatestReleases(releases) {
+  const candidates = (releases || [])
+    .filter(release => !release.draft)
+    .map(release => ({
+      ...release,
+      semver: release.semver === undefined ? parseVersionTag(release.version, release.published_at) : release.semver,
+    }))
+    .sort(compareReleases);
+
+  const latest = candidates.find(release => !isPrerelease(release)) || null;
+  const prerelease = candidates.find(release => isPrerelease(release)) || null;
+  return {
+    latest,
+    prerelease: prerelease && (!latest || isNewer(prerelease, latest)) ? prerelease : null,
+  };
+}
+
+// MOD情報の最新バージョンのフィールド
+export function getLatestFields(releases) {
+  const { latest, prerelease } = selectLatestReleases(releases);
+  return {
+    latest_version: latest?.version || null,
+    latest_download_url: latest?.download_url || null,
+    latest_prerelease_version: prerelease?.version || null,
+    latest_prerelease_download_url: prerelease?.download_url || null,
+  };
+}
+
+// リリースのsemverと最新バージョンのフィールドを求め直したMOD情報（以前のキャッシュのMODとの比較・正規化用）
+export function applyVersionFields(mod) {
+  const releases = (mod.releases || []).map(release => ({ ...release, semver: parseVersionTag(release.version, release.published_at) }));
+  return { ...mod, ...getLatestFields(releases), releases };
+}
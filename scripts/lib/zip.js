@@ -0,0 +1,98 @@
+// ZIPファイル（.nupkg）の読み取り（セントラルディレクトリの一覧と、無圧縮・Deflateのエントリの展開）
+import { constants } from 'buffer';
+import zlib from 'zlib';
+
+// ZIPとして読み取れないファイル
+export class ZipFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ZipFormatError';
+  }
+}
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+// 末尾のコメントを含めて終端レコードを探す範囲
+const MAX_END_RECORD_SIZE = 22 + 0xffff;
+
+function findEndOfCentralDirectory(buffer) {
+  const start = Math.max(0, buffer.length - MAX_END_RECORD_SIZE);
+  for (let offset = buffer.length - 22; offset >= start; offset--) {
+    if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) return offset;
+  }
+  throw new ZipFormatError('Not a ZIP file (end of central directory not found)');
+}
+
+// エントリ名（NuGetはパッケージ内のパスをURLエンコードする）
+function decodeEntryName(name) {
+  try {
+    return decodeURIComponent(name);
+  } catch {
+    return name;
+  }
+}
+
+// ZIPのエントリの一覧を取得
+// [{ name, method, compressedSize, size, localHeaderOffset }]（ディレクトリは除く）
+export function readZipEntries(buffer) {
+  if (buffer.length < 22) throw new ZipFormatError('Not a ZIP file (too short)');
+  const end = findEndOfCentralDirectory(buffer);
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+      throw new ZipFormatError('Invalid central directory entry');
+    }
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    if (!name.endsWith('/')) {
+      entries.push({
+        name: decodeEntryName(name),
+        method: buffer.readUInt16LE(offset + 10),
+        compressedSize: buffer.readUInt32LE(offset + 20),
+        size: buffer.readUInt32LE(offset + 24),
+        localHeaderOffset: buffer.readUInt32LE(offset + 42),
+      });
+    }
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+// エントリを展開（maxSizeを超える場合はZipFormatError）
+export function extractZipEntry(buffer, entry, { maxSize = Infinity } = {}) {
+  const offset = entry.localHeaderOffset;
+  if (offset + 30 > buffer.length || buffer.readUInt32LE(offset) !== LOCAL_FILE_HEADER) {
+    throw new ZipFormatError(`Invalid local header of ${entry.name}`);
+  }
+  const dataStart = offset + 30 + buffer.readUInt16LE(offset + 26) + buffer.readUInt16LE(offset + 28);
+  const data = buffer.subarray(dataStart, dataStart + entry.compressedSize);
+  if (data.length !== entry.compressedSize) {
+    throw new ZipFormatError(`Unexpected end of file in ${entry.name}`);
+  }
+  if (entry.size > maxSize) {
+    throw new ZipFormatError(`${entry.name} is too large (${entry.size} bytes)`);
+  }
+
+  if (entry.method === 0) return data;
+  if (entry.method === 8) {
+    // 展開後のサイズはセントラルディレクトリの値までに制限（サイズを偽ったエントリで大量のメモリを使わないように）
+    let content;
+    try {
+      content = zlib.inflateRawSync(data, { maxOutputLength: Math.max(1, Math.min(entry.size, constants.MAX_LENGTH)) });
+    } catch (error) {
+      throw new ZipFormatError(`Could not inflate ${entry.name}: ${error.message}`);
+    }
+    if (content.length !== entry.size) {
+      throw new ZipFormatError(`Size of ${entry.name} does not match the central directory`);
+    }
+    return content;
+  }
+  throw new ZipFormatError(`Unsupported compression method ${entry.method} in ${entry.name}`);
+}
@@ -0,0 +1,267 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import semver from 'semver';
+import { getRepositoryKey } from './lib/github.js';
+import { getModId } from './lib/mod-id.js';
+import { getPayload } from './lib/schema.js';
+
+// 探索の上限（依存関係が複雑すぎる場合の無限探索を防止）
+const MAX_ATTEMPTS = 10000;
+
+// キャッシュ（mods.json）を読み込み（schema_version付きの形式・以前の配列形式の両方に対応）
+export async function loadModsCache(cachePath = path.join(process.cwd(), 'cache', 'mods.json')) {
+  const data = await fs.readFile(cachePath, 'utf-8');
+  return getPayload('mods', JSON.parse(data));
+}
+
+// リリースのバージョン文字列をsemverに変換（"v1.2.0"などにも対応）
+export function parseReleaseVersion(version) {
+  if (!version) return null;
+  const cleaned = semver.clean(String(version), { loose: true });
+  if (cleaned) return cleaned;
+  return semver.coerce(String(version))?.version || null;
+}
+
+// MOD ID・マニフェストID・名前・リポジトリURL（以前のURLを含む）からMODを検索
+export function findMod(mods, idOrName) {
+  const key = String(idOrName).toLowerCase();
+  const repositoryKey = getRepositoryKey(idOrName);
+  return mods.find(mod => getModId(mod).toLowerCase() === key) ||
+    mods.find(mod => mod.manifest_id?.toLowerCase() === key) ||
+    mods.find(mod => mod.name?.toLowerCase() === key) ||
+    mods.find(mod => [mod.source_location, ...(mod.aliases || [])].some(url => url && getRepositoryKey(url) === repositoryKey)) ||
+    null;
+}
+
+// 要求を { id, range } の配列に正規化（"Mod@^1.0.0"形式やオブジェクト形式にも対応）
+export function normalizeRequests(requests) {
+  if (!Array.isArray(requests)) {
+    return Object.entries(requests).map(([id, range]) => ({ id, range: range || '*' }));
+  }
+  return requests.map(request => {
+    if (typeof request !== 'string') {
+      return { id: request.id, range: request.range || '*' };
+    }
+    const index = request.lastIndexOf('@');
+    if (index <= 0) return { id: request, range: '*' };
+    return { id: request.slice(0, index), range: request.slice(index + 1) || '*' };
+  });
+}
+
+// バージョンが範囲を満たすか
+function satisfies(version, range, includePrerelease) {
+  if (!range || range === '*') return true;
+  return Boolean(version) && semver.satisfies(version, range, { includePrerelease, loose: true });
+}
+
+// 制約の説明文を生成
+function describeConstraint(constraint) {
+  return `${constraint.range} (required by ${constraint.from})`;
+}
+
+// 候補となるリリースを新しいバージョン順に取得（キャッシュで正規化済みのsemverを優先）
+function getCandidates(mod, includePrerelease) {
+  return (mod.releases || [])
+    .filter(release => !release.draft && (includePrerelease || !release.prerelease))
+    .map(release => ({ release, version: release.semver !== undefined ? release.semver : parseReleaseVersion(release.version) }))
+    .filter(candidate => candidate.version)
+    .sort((a, b) => semver.rcompare(a.version, b.version));
+}
+
+// 要求されたMODとバージョン範囲からインストールプランを解決
+export function resolveInstallPlan(mods, requests, options = {}) {
+  const includePrerelease = options.includePrerelease || false;
+  const normalizedRequests = normalizeRequests(requests);
+  const errors = [];
+  const failures = new Set();
+
+  // 要求されたMODをキャッシュから解決
+  const modsById = new Map();
+  const rootConstraints = new Map();
+  for (const request of normalizedRequests) {
+    const mod = findMod(mods, request.id);
+    if (!mod) {
+      errors.push(`${request.id} is not in the cache`);
+      continue;
+    }
+    if (!semver.validRange(request.range, { loose: true })) {
+      errors.push(`${request.id}: invalid version range "${request.range}"`);
+      continue;
+    }
+    const id = getModId(mod);
+    modsById.set(id, mod);
+    const constraints = rootConstraints.get(id) || [];
+    constraints.push({ range: request.range, from: 'request' });
+    rootConstraints.set(id, constraints);
+  }
+
+  if (errors.length > 0) {
+    return buildResult(false, [], errors, []);
+  }
+
+  let attempts = 0;
+
+  // 選択済みのリリースと競合していないか確認
+  const findConflict = (id, version, release, selected) => {
+    for (const [otherId, other] of selected) {
+      const declared = other.release.conflicts || {};
+      for (const [conflictId, range] of Object.entries(declared)) {
+        const conflictMod = findMod(mods, conflictId);
+        if (conflictMod && getModId(conflictMod) === id && satisfies(version, range, true)) {
+          return `${id} ${version} conflicts with ${otherId} ${other.version} (declared by ${otherId})`;
+        }
+      }
+    }
+    for (const [conflictId, range] of Object.entries(release.conflicts || {})) {
+      const conflictMod = findMod(mods, conflictId);
+      const other = conflictMod ? selected.get(getModId(conflictMod)) : null;
+      if (other && satisfies(other.version, range, true)) {
+        return `${id} ${version} conflicts with ${getModId(conflictMod)} ${other.version} (declared by ${id})`;
+      }
+    }
+    return null;
+  };
+
+  // 深さ優先のバックトラッキングで解を探索
+  const solve = (selected, constraints, pending) => {
+    if (++attempts > MAX_ATTEMPTS) {
+      failures.add(`Gave up after ${MAX_ATTEMPTS} attempts`);
+      return null;
+    }
+    if (pending.length === 0) return selected;
+
+    const [id, ...rest] = pending;
+    const idConstraints = constraints.get(id) || [];
+    const current = selected.get(id);
+
+    // 既に選択済みの場合は新しい制約を満たしているか確認
+    if (current) {
+      const unsatisfied = idConstraints.find(c => !satisfies(current.version, c.range, includePrerelease || current.release.prerelease));
+      if (unsatisfied) {
+        failures.add(`${id} ${current.version} does not satisfy ${describeConstraint(unsatisfied)}`);
+        return null;
+      }
+      return solve(selected, constraints, rest);
+    }
+
+    const mod = modsById.get(id);
+    const candidates = getCandidates(mod, includePrerelease);
+    const matching = candidates.filter(candidate =>
+      idConstraints.every(c => satisfies(candidate.version, c.range, includePrerelease))
+    );
+
+    if (matching.length === 0) {
+      const available = candidates.map(c => c.version).join(', ') || 'none';
+      failures.add(`No version of ${id} satisfies ${idConstraints.map(describeConstraint).join(' and ')} (available: ${available})`);
+      return null;
+    }
+
+    for (const candidate of matching) {
+      const conflict = findConflict(id, candidate.version, candidate.release, selected);
+      if (conflict) {
+        failures.add(conflict);
+        continue;
+      }
+
+      const nextSelected = new Map(selected);
+      nextSelected.set(id, { ...candidate, mod });
+      const nextConstraints = new Map(constraints);
+      const nextPending = [...rest];
+      let missingDependency = null;
+
+      // 依存関係を制約として追加
+      for (const [dependencyId, range] of Object.entries(candidate.release.dependencies || {})) {
+        const dependencyMod = findMod(mods, dependencyId);
+        if (!dependencyMod) {
+          missingDependency = `${id} ${candidate.version} requires ${dependencyId} ${range}, which is not in the cache`;
+          break;
+        }
+        const resolvedId = getModId(dependencyMod);
+        modsById.set(resolvedId, dependencyMod);
+        nextConstraints.set(resolvedId, [
+          ...(nextConstraints.get(resolvedId) || []),
+          { range, from: `${id} ${candidate.version}` },
+        ]);
+        nextPending.push(resolvedId);
+      }
+
+      if (missingDependency) {
+        failures.add(missingDependency);
+        continue;
+      }
+
+      const result = solve(nextSelected, nextConstraints, nextPending);
+      if (result) return result;
+    }
+
+    return null;
+  };
+
+  const solution = solve(new Map(), rootConstraints, [...rootConstraints.keys()]);
+
+  // 探索中に検出した競合
+  const conflicts = [...failures].filter(message => message.includes(' conflicts with '));
+
+  if (!solution) {
+    return buildResult(false, [], [...failures], conflicts);
+  }
+
+  const requestedIds = new Set(rootConstraints.keys());
+  const plan = [...solution.entries()].map(([id, entry]) => ({
+    id,
+    name: entry.mod.name,
+    version: entry.release.version,
+    requested: requestedIds.has(id),
+    download_url: entry.release.download_url || null,
+    assets: entry.release.assets || [],
+    dependencies: entry.release.dependencies || {},
+  }));
+
+  // 解が見つかった場合も、採用しなかったバージョンとの競合は残す
+  return buildResult(true, plan, [], conflicts);
+}
+
+// 解決結果と説明文を生成
+function buildResult(ok, plan, errors, conflicts) {
+  let explanation;
+  if (ok) {
+    explanation = plan.map(entry => `${entry.requested ? 'install' : 'dependency'}: ${entry.id} ${entry.version}`).join('\n');
+  } else {
+    explanation = ['Could not find a consistent set of releases:', ...errors.map(error => `  - ${error}`)].join('\n');
+  }
+  return { ok, plan, conflicts, errors, explanation };
+}
+
+// コマンドラインから実行された場合（例: node scripts/resolve-dependencies.js ModA@^1.0.0 ModB）
+async function main() {
+  const args = process.argv.slice(2);
+  const includePrerelease = args.includes('--prerelease');
+  const requests = args.filter(arg => !arg.startsWith('--'));
+
+  if (requests.length === 0 || args.includes('--help') || args.includes('-h')) {
+    console.log(`
+Usage: node resolve-dependencies.js <mod>[@range] [...] [options]
+
+Options:
+  --help, -h        Show this help message
+  --prerelease      Allow prerelease versions
+  --json            Print the result as JSON
+`);
+    process.exit(requests.length === 0 && !args.includes('--help') && !args.includes('-h') ? 1 : 0);
+  }
+
+  const mods = await loadModsCache();
+  const result = resolveInstallPlan(mods, requests, { includePrerelease });
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    console.log(result.explanation);
+  }
+  process.exit(result.ok ? 0 : 1);
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main();
+}
@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { AssemblyFormatError, detectLoader, readAssemblyMetadata } from '../scripts/lib/assembly.js';
+import { verifyMods } from '../scripts/commands/verify.js';
+import { createGitHubClient } from '../scripts/lib/github.js';
+import { findUnknownReferences } from '../scripts/lib/inspect.js';
+import { resolveProvider } from '../scripts/lib/providers.js';
+import { startMockServer } from './helpers/mock-server.js';
+
+// ResoniteModLoaderを参照する小さなMOD（AssemblyVersion 1.2.0.0、FileVersion 1.2.3.0、.NET 8でビルド）
+const FIXTURE = new URL('./fixtures/assemblies/ExampleMod.dll', import.meta.url);
+
+const EXPECTED = {
+  name: 'ExampleMod',
+  version: '1.2.0.0',
+  file_version: '1.2.3.0',
+  informational_version: '1.2.3-beta',
+  target_framework: '.NETCoreApp,Version=v8.0',
+  references: [
+    { name: 'System.Runtime', version: '8.0.0.0' },
+    { name: 'ResoniteModLoader', version: '2.6.0.0' },
+  ],
+  loader: 'ResoniteModLoader',
+};
+
+test('reads assembly metadata from a .NET DLL', async () => {
+  assert.deepEqual(readAssemblyMetadata(await fs.readFile(FIXTURE)), EXPECTED);
+});
+
+test('rejects files that are not PE images or are truncated', async () => {
+  assert.throws(() => readAssemblyMetadata(Buffer.from('not a dll')), AssemblyFormatError);
+  const content = await fs.readFile(FIXTURE);
+  assert.throws(() => readAssemblyMetadata(content.subarray(0, 600)), AssemblyFormatError);
+});
+
+test('detects the loader from the references', () => {
+  const refs = (...names) => names.map(name => ({ name, version: '1.0.0.0' }));
+  assert.equal(detectLoader(refs('FrooxEngine', 'ResoniteModLoader')), 'ResoniteModLoader');
+  assert.equal(detectLoader(refs('MonkeyLoader', 'MonkeyLoader.Resonite.Integration')), 'MonkeyLoader');
+  assert.equal(detectLoader(refs('BepInEx.Core', 'BepInEx.NET.Common')), 'BepInEx');
+  assert.equal(detectLoader(refs('FrooxEngine', 'ResoniteModLoaderExtras')), null);
+});
+
+test('records assembly metadata of downloaded DLL assets', async () => {
+  const content = await fs.readFile(FIXTURE);
+  const server = await startMockServer((req, res) => {
+    res.writeHead(200, { 'content-type': 'application/octet-stream' });
+    res.end(req.url.endsWith('.dll') ? content : 'not an assembly');
+  });
+  try {
+    const provider = resolveProvider({
+      repository: `${server.url}/mods/example`,
+      provider: 'static',
+      releases: [{
+        version: '1.2.3',
+        assets: [{ url: `${server.url}/files/ExampleMod.dll` }, { url: `${server.url}/files/Broken.dll?x=1`, name: 'Broken.dll' }],
+      }],
+    });
+    const client = createGitHubClient({ concurrency: 1, token: null, baseUrl: server.url, logger: { warn() {} } });
+    const result = await provider.getAllReleases(client, [], {}, { hashMode: 'missing', stateKey: 'example' });
+
+    const [exampleMod, broken] = result.releases[0].assets;
+    assert.deepEqual(exampleMod.assembly, EXPECTED);
+    assert.equal(broken.assembly, null);
+
+    // キャッシュ済みのハッシュを使う場合も解析結果を引き継ぐ
+    const again = await provider.getAllReleases(client, result.releases, {}, { hashMode: 'missing', stateKey: 'example' });
+    assert.deepEqual(again.releases[0].assets[0].assembly, EXPECTED);
+    assert.equal(again.hashed, 0);
+  } finally {
+    await server.close();
+  }
+});
+
+test('warns about references to assemblies that are not in the catalogue', () => {
+  const refs = (...names) => names.map(name => ({ name, version: '1.0.0.0' }));
+  const mod = (name, releases) => ({ name, source_location: `https://github.com/owner/${name}`, releases });
+  const release = (version, assets) => ({ version, published_at: '2024-01-01T00:00:00Z', prerelease: false, draft: false, assets });
+  const mods = [
+    mod('ExampleMod', [
+      release('1.1.0', [{ name: 'ExampleMod.dll', assembly: { ...EXPECTED, references: refs('FrooxEngine', 'System.Runtime', 'SharedLib', 'MissingLib') } }]),
+      // 最新リリース以外は対象外
+      release('1.0.0', [{ name: 'ExampleMod.dll', assembly: { ...EXPECTED, references: refs('OldMissingLib') } }]),
+    ]),
+    // 解析していないDLLもファイル名でカタログに含める
+    mod('SharedLib', [release('2.0.0', [{ name: 'SharedLib.dll' }])]),
+    mod('PackagedMod', [release('1.0.0', [{
+      name: 'PackagedMod.nupkg',
+      package: { files: [{ path: 'lib/net9.0/PackagedMod.dll', assembly: { ...EXPECTED, references: refs('MonkeyLoader', 'ExampleMod', 'Other') } }] },
+    }])]),
+  ];
+
+  assert.deepEqual(findUnknownReferences(mods), [
+    { mod: 'ExampleMod', version: '1.1.0', asset: 'ExampleMod.dll', references: ['MissingLib'] },
+    { mod: 'PackagedMod', version: '1.0.0', asset: 'PackagedMod.nupkg', references: ['Other'] },
+  ]);
+  assert.ok(verifyMods(mods, null).warnings.includes('ExampleMod 1.1.0 (ExampleMod.dll): references assemblies not in the catalogue: MissingLib'));
+});
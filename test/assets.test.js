@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { applyPrimaryAsset, findExistingAsset, getReleaseAssets, inferInstallTarget, selectPrimaryAsset } from '../scripts/lib/assets.js';
+import { createGitHubClient } from '../scripts/lib/github.js';
+import { resolveProvider } from '../scripts/lib/providers.js';
+import { sendJson, startMockServer } from './helpers/mock-server.js';
+
+const FILE_CONTENT = 'mod binary';
+const FILE_SHA256 = crypto.createHash('sha256').update(FILE_CONTENT).digest('hex');
+const MULTI_ASSET_RELEASE = JSON.parse(await fs.readFile(new URL('./fixtures/releases/multi-asset.json', import.meta.url), 'utf-8'));
+
+const asset = (name, fields = {}) => ({ name, size: 10, download_url: `https://example.com/${name}`, sha256: null, ...fields });
+
+test('infers the install target of each kind of asset', () => {
+  const single = [asset('ExampleMod.dll')];
+  assert.equal(inferInstallTarget('ExampleMod.dll', 'ExampleMod', single), 'rml_mods');
+  assert.equal(inferInstallTarget('ExampleMod.nupkg', 'ExampleMod', [...single, asset('ExampleMod.nupkg')]), 'MonkeyLoader/Mods');
+  // 既知のライブラリは単独でもrml_libs
+  assert.equal(inferInstallTarget('0Harmony.dll', 'ExampleMod', [asset('0Harmony.dll')]), 'rml_libs');
+  assert.equal(inferInstallTarget('Newtonsoft.Json.dll', 'ExampleMod', [asset('Newtonsoft.Json.dll')]), 'rml_libs');
+
+  // 複数のDLLがある場合はリポジトリ名と一致しないDLLをライブラリとみなす
+  const multiple = [asset('ExampleMod.dll'), asset('SharedHelpers.dll')];
+  assert.equal(inferInstallTarget('ExampleMod.dll', 'resonite-example-mod', multiple), 'rml_mods');
+  assert.equal(inferInstallTarget('SharedHelpers.dll', 'resonite-example-mod', multiple), 'rml_libs');
+  // リポジトリ名と一致するDLLが無ければすべてMOD
+  assert.equal(inferInstallTarget('SharedHelpers.dll', 'Unrelated', multiple), 'rml_mods');
+});
+
+test('collects the DLL and NUPKG assets of a release with several files', async () => {
+  const server = await startMockServer((req, res) => {
+    if (req.url.startsWith('/files/')) {
+      res.writeHead(200, { 'content-type': 'application/octet-stream' });
+      return res.end(FILE_CONTENT);
+    }
+    if (req.url.startsWith('/repos/example/ExampleMod/releases')) {
+      const assets = MULTI_ASSET_RELEASE.assets.map(fixture => ({ ...fixture, browser_download_url: `${server.url}${fixture.browser_download_url}` }));
+      return sendJson(res, 200, [{ ...MULTI_ASSET_RELEASE, assets }]);
+    }
+    sendJson(res, 404, { message: 'Not Found' });
+  });
+  try {
+    const client = createGitHubClient({ concurrency: 1, token: null, baseUrl: server.url, logger: { warn() {} } });
+    const provider = resolveProvider({ repository: 'https://github.com/example/ExampleMod' });
+    const { releases: [release] } = await provider.getAllReleases(client, [], {}, { hashMode: 'missing', stateKey: 'example' });
+
+    // .zipはアセットに含めず、ダウンロードもしない
+    assert.deepEqual(
+      release.assets.map(({ name, install_target, sha256 }) => [name, install_target, sha256]),
+      [
+        ['0Harmony.dll', 'rml_libs', FILE_SHA256],
+        ['ExampleMod.dll', 'rml_mods', FILE_SHA256],
+        ['ExampleMod.nupkg', 'MonkeyLoader/Mods', FILE_SHA256],
+      ]
+    );
+    assert.ok(!server.requests.some(request => request.url.endsWith('.zip')));
+
+    // 従来のフィールドにはライブラリ以外の最初のアセットを設定
+    assert.equal(release.file_name, 'ExampleMod.dll');
+    assert.equal(release.download_url, `${server.url}/files/ExampleMod.dll`);
+    assert.equal(release.file_size, FILE_CONTENT.length);
+    assert.equal(release.sha256, FILE_SHA256);
+  } finally {
+    await server.close();
+  }
+});
+
+test('fills the legacy single-asset fields from the primary asset', () => {
+  const library = asset('0Harmony.dll', { install_target: 'rml_libs', sha256: 'a'.repeat(64) });
+  const mod = asset('ExampleMod.dll', { install_target: 'rml_mods', size: 20, sha256: 'b'.repeat(64) });
+
+  assert.equal(selectPrimaryAsset([library, mod]), mod);
+  // ライブラリのみの場合は最初のアセット
+  assert.equal(selectPrimaryAsset([library]), library);
+
+  assert.deepEqual(applyPrimaryAsset({ version: '1.0.0', assets: [library, mod] }), {
+    version: '1.0.0',
+    assets: [library, mod],
+    download_url: mod.download_url,
+    file_name: 'ExampleMod.dll',
+    file_size: 20,
+    sha256: 'b'.repeat(64),
+  });
+  assert.deepEqual(applyPrimaryAsset({ version: '1.0.0', assets: [] }), {
+    version: '1.0.0',
+    assets: [],
+    download_url: null,
+    file_name: null,
+    file_size: null,
+    sha256: null,
+  });
+});
+
+test('reads assets from releases cached before assets were recorded', () => {
+  const legacy = {
+    version: '0.9.0',
+    download_url: 'https://example.com/ExampleMod.dll',
+    file_name: 'ExampleMod.dll',
+    file_size: 10,
+    sha256: 'c'.repeat(64),
+  };
+
+  assert.deepEqual(getReleaseAssets(legacy), [{
+    name: 'ExampleMod.dll',
+    size: 10,
+    download_url: 'https://example.com/ExampleMod.dll',
+    sha256: 'c'.repeat(64),
+    install_target: null,
+  }]);
+  // 既存のハッシュは同じファイル名のアセットに引き継ぐ
+  assert.deepEqual(findExistingAsset(legacy, 'ExampleMod.dll'), { name: 'ExampleMod.dll', sha256: 'c'.repeat(64), size: 10 });
+  assert.equal(findExistingAsset(legacy, 'Other.dll'), null);
+});
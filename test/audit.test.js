@@ -0,0 +1,176 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { applyComputedHash } from '../scripts/lib/assets.js';
+import { applyAuditResult, applyRecomputedHash, selectAuditTargets } from '../scripts/lib/audit.js';
+import { getCachePaths, loadExistingCache, readDocument } from '../scripts/lib/cache.js';
+import { validateDocument } from '../scripts/lib/schema.js';
+import { runAudit } from '../scripts/commands/audit.js';
+import { startMockServer } from './helpers/mock-server.js';
+
+const sha256 = content => crypto.createHash('sha256').update(content).digest('hex');
+
+const ORIGINAL = 'original build';
+const REPLACED = 'replaced build!';
+
+const asset = (name, content, extra = {}) => ({
+  name,
+  size: content.length,
+  download_url: `https://example.com/${name}`,
+  content_type: null,
+  sha256: sha256(content),
+  install_target: 'rml_mods',
+  ...extra,
+});
+
+test('records a mismatch without overwriting the cached hash', () => {
+  const cached = asset('A.dll', ORIGINAL);
+  const checkedAt = '2024-05-01T00:00:00.000Z';
+
+  assert.deepEqual(applyAuditResult(cached, { sha256: sha256(ORIGINAL), file_size: ORIGINAL.length }, checkedAt), {
+    ...cached,
+    integrity: 'ok',
+    integrity_checked_at: checkedAt,
+  });
+
+  const mismatched = applyAuditResult(cached, { sha256: sha256(REPLACED), file_size: REPLACED.length }, checkedAt);
+  assert.equal(mismatched.sha256, sha256(ORIGINAL));
+  assert.equal(mismatched.integrity, 'mismatch');
+  assert.deepEqual(mismatched.integrity_mismatch, {
+    previous_sha256: sha256(ORIGINAL),
+    sha256: sha256(REPLACED),
+    previous_size: ORIGINAL.length,
+    size: REPLACED.length,
+    detected_at: checkedAt,
+  });
+
+  // 同じファイルのままなら最初に検出した日時を維持し、ハッシュを計算し直すと監査の結果は破棄
+  const later = applyAuditResult(mismatched, { sha256: sha256(REPLACED), file_size: REPLACED.length }, '2024-06-01T00:00:00.000Z');
+  assert.equal(later.integrity_mismatch.detected_at, checkedAt);
+  const recomputed = applyComputedHash(later, { sha256: sha256(REPLACED), file_size: REPLACED.length }, 'A');
+  assert.equal(recomputed.sha256, sha256(REPLACED));
+  assert.equal(recomputed.integrity, undefined);
+  assert.equal(recomputed.integrity_mismatch, undefined);
+});
+
+test('recomputing hashes keeps the cached hash unless the audited replacement is accepted', () => {
+  const cached = { ...asset('A.dll', ORIGINAL), integrity: 'ok', integrity_checked_at: '2024-05-01T00:00:00.000Z' };
+  const original = { sha256: sha256(ORIGINAL), file_size: ORIGINAL.length, sha1: 'a'.repeat(40) };
+  const replaced = { sha256: sha256(REPLACED), file_size: REPLACED.length };
+
+  // 同じファイルなら監査の結果を維持して追加の情報のみ記録
+  assert.deepEqual(applyRecomputedHash(cached, original, 'A'), { ...cached, sha1: 'a'.repeat(40) });
+
+  // 差し替えられたファイルはハッシュを上書きせず、監査と同様に記録
+  const mismatched = applyRecomputedHash(cached, replaced, 'A', { acceptRecorded: true });
+  assert.equal(mismatched.sha256, sha256(ORIGINAL));
+  assert.equal(mismatched.integrity, 'mismatch');
+  assert.equal(mismatched.integrity_mismatch.sha256, sha256(REPLACED));
+
+  // 記録済みの差し替えはacceptRecordedを指定した場合のみ採用
+  assert.equal(applyRecomputedHash(mismatched, replaced, 'A').sha256, sha256(ORIGINAL));
+  const accepted = applyRecomputedHash(mismatched, replaced, 'A', { acceptRecorded: true });
+  assert.equal(accepted.sha256, sha256(REPLACED));
+  assert.equal(accepted.integrity, undefined);
+});
+
+test('samples the least recently audited assets first', () => {
+  const mods = [{
+    name: 'A',
+    releases: [{
+      version: '1.0.0',
+      assets: [
+        asset('Old.dll', 'old', { integrity: 'ok', integrity_checked_at: '2024-01-01T00:00:00.000Z' }),
+        asset('New.dll', 'new', { integrity: 'ok', integrity_checked_at: '2024-03-01T00:00:00.000Z' }),
+        asset('Never.dll', 'never'),
+        asset('Unhashed.dll', 'unhashed', { sha256: null }),
+      ],
+    }],
+  }];
+  const names = targets => targets.map(({ release, assetIndex }) => release.assets[assetIndex].name);
+
+  assert.deepEqual(names(selectAuditTargets(mods, { sample: 2 })), ['Never.dll', 'Old.dll']);
+  assert.deepEqual(names(selectAuditTargets(mods, { sample: 1, all: true })), ['Never.dll', 'Old.dll', 'New.dll']);
+});
+
+test('audit re-downloads assets and writes a report', async () => {
+  const server = await startMockServer((req, res) => {
+    const files = { '/files/Same.dll': ORIGINAL, '/files/Replaced.dll': REPLACED };
+    if (!files[req.url]) {
+      res.writeHead(404);
+      return res.end();
+    }
+    res.writeHead(200, { 'content-type': 'application/octet-stream' });
+    res.end(files[req.url]);
+  });
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mod-cache-audit-'));
+  try {
+    const paths = getCachePaths(dir);
+    const assets = ['Same.dll', 'Replaced.dll', 'Gone.dll'].map(name => ({
+      ...asset(name, ORIGINAL),
+      download_url: `${server.url}/files/${name}`,
+    }));
+    await fs.writeFile(paths.mods, JSON.stringify([{
+      id: 'example.a',
+      name: 'A',
+      description: null,
+      category: 'Misc',
+      source_location: 'https://github.com/example/a',
+      aliases: [],
+      author: 'Example',
+      latest_version: '1.0.0',
+      latest_download_url: assets[0].download_url,
+      releases: [{
+        version: '1.0.0',
+        download_url: assets[0].download_url,
+        release_url: null,
+        published_at: '2024-01-01T00:00:00Z',
+        prerelease: false,
+        draft: false,
+        changelog: null,
+        file_name: 'Same.dll',
+        file_size: ORIGINAL.length,
+        sha256: sha256(ORIGINAL),
+        assets,
+        dependencies: {},
+        conflicts: {},
+      }],
+      tags: null,
+      flags: null,
+      last_updated: '2024-01-02T00:00:00.000Z',
+      source: 'additional',
+    }]));
+
+    const exitCode = await runAudit([], { outputDir: dir, repoPatterns: [], sample: 50, all: false, concurrency: 1 });
+    assert.equal(exitCode, 1);
+
+    const [mod] = await loadExistingCache(paths);
+    assert.deepEqual(mod.releases[0].assets.map(audited => [audited.name, audited.integrity ?? null]), [
+      ['Same.dll', 'ok'],
+      ['Replaced.dll', 'mismatch'],
+      ['Gone.dll', null],
+    ]);
+    assert.equal(mod.releases[0].assets[1].sha256, sha256(ORIGINAL));
+    assert.notEqual(mod.last_updated, '2024-01-02T00:00:00.000Z');
+
+    // 監査の結果が前回と同じなら更新日時は変えない
+    const { last_updated: lastUpdated } = mod;
+    await runAudit([], { outputDir: dir, repoPatterns: [], sample: 50, all: false, concurrency: 1 });
+    const [again] = await loadExistingCache(paths);
+    assert.equal(again.last_updated, lastUpdated);
+
+    const report = await readDocument(paths.audit);
+    assert.deepEqual(validateDocument('audit', report), []);
+    assert.equal(report.audit.checked, 3);
+    assert.equal(report.audit.ok, 1);
+    assert.deepEqual(report.audit.mismatches.map(item => [item.file_name, item.sha256]), [['Replaced.dll', sha256(REPLACED)]]);
+    assert.deepEqual(report.audit.failures.map(item => item.file_name), ['Gone.dll']);
+    assert.match(await fs.readFile(paths.auditSummary, 'utf-8'), /Mismatches: 1/);
+  } finally {
+    await server.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { generateHashLookup, getCachePaths, loadExistingCache, loadHashLookup, writeCache } from '../scripts/lib/cache.js';
+import { CacheValidationError, SCHEMA_VERSION, getPayload, validateDocument } from '../scripts/lib/schema.js';
+
+const fixturePath = new URL('./fixtures/cache-mods.json', import.meta.url);
+
+async function withTempCache(callback) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mod-cache-'));
+  try {
+    await callback(getCachePaths(dir));
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function loadFixture() {
+  return JSON.parse(await fs.readFile(fixturePath, 'utf-8'));
+}
+
+test('writes mods.json and hash-lookup.json with a valid schema_version envelope', async () => {
+  await withTempCache(async paths => {
+    const mods = await loadFixture();
+    await writeCache(paths, mods, { command: 'test' });
+
+    const modsDocument = JSON.parse(await fs.readFile(paths.mods, 'utf-8'));
+    const hashDocument = JSON.parse(await fs.readFile(paths.hashLookup, 'utf-8'));
+
+    assert.equal(modsDocument.schema_version, SCHEMA_VERSION);
+    assert.equal(modsDocument.generator.command, 'test');
+    assert.deepEqual(validateDocument('mods', modsDocument), []);
+    assert.deepEqual(validateDocument('hashLookup', hashDocument), []);
+    assert.equal(modsDocument.mods.length, mods.length);
+    assert.ok(modsDocument.mods.every(mod => mod.hash_metadata));
+    assert.deepEqual(await loadExistingCache(paths), modsDocument.mods);
+  });
+});
+
+test('keeps generated_at when the content did not change', async () => {
+  await withTempCache(async paths => {
+    const mods = await loadFixture();
+    await writeCache(paths, mods, { command: 'test' });
+    const first = JSON.parse(await fs.readFile(paths.mods, 'utf-8'));
+    await writeCache(paths, await loadExistingCache(paths), { command: 'test' });
+    const second = JSON.parse(await fs.readFile(paths.mods, 'utf-8'));
+
+    assert.equal(second.generated_at, first.generated_at);
+  });
+});
+
+test('refuses to write a malformed cache and leaves existing files untouched', async () => {
+  await withTempCache(async paths => {
+    const mods = await loadFixture();
+    await writeCache(paths, mods, { command: 'test' });
+    const before = await fs.readFile(paths.mods, 'utf-8');
+
+    const broken = structuredClone(mods);
+    broken[0].releases[0].assets[0].install_target = 'somewhere';
+    await assert.rejects(writeCache(paths, broken, { command: 'test' }), CacheValidationError);
+
+    assert.equal(await fs.readFile(paths.mods, 'utf-8'), before);
+  });
+});
+
+test('reads files written before the envelope was introduced', async () => {
+  await withTempCache(async paths => {
+    const mods = await loadFixture();
+    await fs.mkdir(paths.dir, { recursive: true });
+    await fs.writeFile(paths.mods, JSON.stringify(mods));
+    await fs.writeFile(paths.hashLookup, JSON.stringify({ ['a'.repeat(64)]: { mod_name: 'Old' } }));
+
+    assert.deepEqual(await loadExistingCache(paths), mods);
+    assert.deepEqual(await loadHashLookup(paths), { ['a'.repeat(64)]: [{ mod_name: 'Old' }] });
+    assert.throws(() => getPayload('mods', { schema_version: SCHEMA_VERSION + 1, mods: [] }), /Unsupported schema_version/);
+  });
+});
+
+test('keeps the committed hash-lookup.json in sync with the committed mods.json', async () => {
+  const paths = getCachePaths(fileURLToPath(new URL('../cache', import.meta.url)));
+  const generated = generateHashLookup(await loadExistingCache(paths));
+  const committed = await loadHashLookup(paths);
+
+  // 以前の形式（ハッシュごとに1件、MOD IDやパッケージ内のファイルの無い形式）は共通のフィールドで比較
+  const isLegacy = Object.values(committed).some(entries => entries.some(entry => !('mod_id' in entry)));
+  if (!isLegacy) {
+    assert.deepEqual(committed, generated);
+    return;
+  }
+
+  const toKey = entry => JSON.stringify([entry.mod_name, entry.version, entry.download_url, entry.file_name, entry.file_size]);
+  const expected = new Map(Object.entries(generated)
+    .map(([hash, entries]) => [hash, new Set(entries.filter(entry => !entry.contained_in).map(toKey))])
+    .filter(([, keys]) => keys.size > 0));
+  assert.deepEqual(Object.keys(committed).sort(), [...expected.keys()].sort());
+  for (const [hash, entries] of Object.entries(committed)) {
+    for (const entry of entries) {
+      assert.ok(expected.get(hash).has(toKey(entry)), `${hash}: ${toKey(entry)} is not in mods.json`);
+    }
+  }
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffMods, formatChangesMarkdown, hasChanges, hasModDataChanged } from '../scripts/lib/changes.js';
+
+function createRelease(version, sha256 = 'a'.repeat(64)) {
+  return {
+    version,
+    prerelease: false,
+    assets: [{ name: 'Mod.dll', download_url: `https://example.com/${version}/Mod.dll`, sha256 }],
+  };
+}
+
+function createMod(id, overrides = {}) {
+  return {
+    name: id.toUpperCase(),
+    manifest_id: `com.example.${id}`,
+    description: `MOD ${id}`,
+    source_location: `https://github.com/example/${id}`,
+    releases: [createRelease('v1.0.0')],
+    last_updated: '2024-01-01T00:00:00.000Z',
+    last_fetched: '2024-01-01T00:00:00.000Z',
+    fetch_status: 'fresh',
+    ...overrides,
+  };
+}
+
+test('reports no changes when only fetch times differ', () => {
+  const previous = [createMod('a')];
+  const next = [createMod('a', { last_fetched: '2024-02-01T00:00:00.000Z', fetch_status: 'stale' })];
+
+  assert.equal(hasModDataChanged(previous[0], next[0]), false);
+  assert.equal(hasChanges(diffMods(previous, next)), false);
+});
+
+test('lists added and removed MODs and releases', () => {
+  const previous = [createMod('a'), createMod('b', { releases: [createRelease('v1.0.0'), createRelease('v0.9.0')] })];
+  const next = [
+    createMod('b', { releases: [createRelease('v1.1.0'), createRelease('v1.0.0')] }),
+    createMod('c'),
+  ];
+  const changes = diffMods(previous, next, { previousGeneratedAt: '2024-01-01T00:00:00.000Z' });
+
+  assert.deepEqual(changes.mods_added, [{ id: 'com.example.c', name: 'C', latest_version: null }]);
+  assert.deepEqual(changes.mods_removed, [{ id: 'com.example.a', name: 'A' }]);
+  assert.deepEqual(changes.releases_added, [{ id: 'com.example.b', name: 'B', version: 'v1.1.0', prerelease: false }]);
+  assert.deepEqual(changes.releases_removed, [{ id: 'com.example.b', name: 'B', version: 'v0.9.0' }]);
+  assert.match(formatChangesMarkdown(changes), /### Yanked releases\n\n- \*\*B\*\* v0\.9\.0/);
+});
+
+test('lists changed hashes but not newly calculated ones', () => {
+  const previous = [createMod('a', { releases: [createRelease('v1.0.0'), createRelease('v0.9.0', null)] })];
+  const next = [createMod('a', { releases: [createRelease('v1.0.0', 'b'.repeat(64)), createRelease('v0.9.0')] })];
+  const changes = diffMods(previous, next);
+
+  assert.deepEqual(changes.hashes_changed, [{
+    id: 'com.example.a',
+    name: 'A',
+    version: 'v1.0.0',
+    file_name: 'Mod.dll',
+    previous_sha256: 'a'.repeat(64),
+    sha256: 'b'.repeat(64),
+  }]);
+  assert.equal(hasModDataChanged(previous[0], next[0]), true);
+});
+
+test('lists metadata edits with previous and current values', () => {
+  const changes = diffMods([createMod('a')], [createMod('a', { description: 'Updated' })]);
+
+  assert.deepEqual(changes.metadata_changed, [{
+    id: 'com.example.a',
+    name: 'A',
+    fields: { description: { previous: 'MOD a', current: 'Updated' } },
+  }]);
+});
+
+test('matches MODs cached before manifest IDs were recorded by repository URL', () => {
+  const { manifest_id, ...legacy } = createMod('a');
+  assert.equal(hasChanges(diffMods([legacy], [createMod('a')])), false);
+});
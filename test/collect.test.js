@@ -0,0 +1,213 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { collectModInfo, getRefreshReason } from '../scripts/lib/collect.js';
+import { getCachePaths } from '../scripts/lib/cache.js';
+import { createGitHubClient } from '../scripts/lib/github.js';
+
+const MOD_IDS = ['a', 'b', 'c'];
+
+const manifest = {
+  objects: {
+    example: {
+      author: { Example: { url: 'https://github.com/example' } },
+      entries: Object.fromEntries(MOD_IDS.map(id => [`com.example.${id}`, {
+        name: id.toUpperCase(),
+        description: `MOD ${id}`,
+        category: 'Misc',
+        sourceLocation: `https://github.com/example/${id}`,
+        versions: {},
+      }])),
+    },
+  },
+};
+
+const existingMods = MOD_IDS.map(id => ({
+  id: `com.example.${id}`,
+  name: id.toUpperCase(),
+  manifest_id: `com.example.${id}`,
+  description: `MOD ${id}`,
+  category: 'Misc',
+  source_location: `https://github.com/example/${id}`,
+  aliases: [],
+  author: 'Example',
+  latest_version: 'v0.9.0',
+  latest_download_url: `https://github.com/example/${id}/releases/download/v0.9.0/${id}.dll`,
+  releases: [{
+    version: 'v0.9.0',
+    download_url: `https://github.com/example/${id}/releases/download/v0.9.0/${id}.dll`,
+    release_url: `https://github.com/example/${id}/releases/tag/v0.9.0`,
+    published_at: '2024-01-01T00:00:00Z',
+    prerelease: false,
+    draft: false,
+    changelog: null,
+    file_name: `${id}.dll`,
+    file_size: 1024,
+    sha256: null,
+    dependencies: {},
+    conflicts: {},
+  }],
+  tags: null,
+  flags: null,
+  last_updated: '2024-01-02T00:00:00.000Z',
+  source: 'manifest',
+}));
+
+// MOD aのリポジトリは移管済み（リリースページのURLは移管先）
+const getRepositoryUrl = id => id === 'a' ? 'https://github.com/moved/a' : `https://github.com/example/${id}`;
+
+// マニフェストとGitHub APIを模したサーバー（MOD bのリクエストでレート制限を返す）
+function startMockServer() {
+  const server = http.createServer((req, res) => {
+    if (req.url === '/manifest.json') {
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end(JSON.stringify(manifest));
+      return;
+    }
+
+    const match = req.url.match(/^\/repos\/example\/([^/]+)\/releases/);
+    if (match?.[1] === 'b') {
+      res.writeHead(403, {
+        'content-type': 'application/json',
+        'x-ratelimit-remaining': '0',
+        'x-ratelimit-reset': String(Math.floor(Date.now() / 1000) + 2 * 60 * 60),
+      });
+      res.end(JSON.stringify({ message: 'API rate limit exceeded' }));
+      return;
+    }
+    if (match) {
+      const id = match[1];
+      res.writeHead(200, { 'content-type': 'application/json', etag: `"${id}-v1"` });
+      res.end(JSON.stringify([{
+        tag_name: 'v1.0.0',
+        html_url: `${getRepositoryUrl(id)}/releases/tag/v1.0.0`,
+        published_at: '2024-02-01T00:00:00Z',
+        prerelease: false,
+        draft: false,
+        body: null,
+        assets: [{
+          name: `${id}.dll`,
+          size: 2048,
+          content_type: 'application/octet-stream',
+          browser_download_url: `${getRepositoryUrl(id)}/releases/download/v1.0.0/${id}.dll`,
+        }],
+      }]));
+      return;
+    }
+
+    res.writeHead(404, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ message: 'Not Found' }));
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+// 既存のキャッシュ・追加リポジトリの設定を用意して、模擬サーバーから収集
+async function collectFromMockServer({ mods = existingMods, repositories = [], repoPatterns = [] } = {}) {
+  const server = await startMockServer();
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mod-cache-collect-'));
+  try {
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const paths = getCachePaths(dir);
+    const repositoriesPath = path.join(dir, 'repositories.json');
+    await fs.writeFile(paths.mods, JSON.stringify(mods));
+    await fs.writeFile(repositoriesPath, JSON.stringify({ repositories }));
+
+    const fetchState = { manifest: null, repositories: {} };
+    const fetchStats = { manifest: null, unchanged: 0, refreshed: 0, skipped: 0, failed: 0, rateLimited: 0 };
+    const result = await collectModInfo({
+      client: createGitHubClient({ concurrency: 1, token: null, baseUrl, logger: { warn() {} } }),
+      options: { hashMode: 'none', maxAge: 0, concurrency: 1, repoPatterns },
+      fetchState,
+      fetchStats,
+      paths,
+      manifestUrl: `${baseUrl}/manifest.json`,
+      repositoriesPath,
+    });
+    return { ...result, fetchState, fetchStats };
+  } finally {
+    server.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+test('carries forward MODs that were not fetched after a rate limit', async () => {
+  const { mods, fetchStats } = await collectFromMockServer();
+
+  assert.deepEqual(mods.map(mod => [mod.manifest_id, mod.fetch_status]), [
+    ['com.example.a', 'fresh'],
+    ['com.example.b', 'error'],
+    ['com.example.c', 'stale'],
+  ]);
+  assert.equal(fetchStats.refreshed, 1);
+  assert.equal(fetchStats.rateLimited, 2);
+
+  const [a, b, c] = mods;
+  assert.equal(a.latest_version, 'v1.0.0');
+  assert.ok(a.last_fetched);
+  assert.notEqual(a.last_updated, '2024-01-02T00:00:00.000Z');
+
+  // 取得できなかったMODは既存のリリース情報と更新日時を維持
+  for (const mod of [b, c]) {
+    assert.equal(mod.latest_version, 'v0.9.0');
+    assert.equal(mod.releases.length, 1);
+    assert.equal(mod.last_updated, '2024-01-02T00:00:00.000Z');
+    assert.equal(mod.last_fetched, null);
+  }
+});
+
+test('records the repository a MOD was transferred to as an alias', async () => {
+  const { mods, fetchState } = await collectFromMockServer({ repoPatterns: ['com.example.a'] });
+
+  assert.equal(mods[0].id, 'com.example.a');
+  assert.equal(mods[0].source_location, 'https://github.com/example/a');
+  assert.deepEqual(mods[0].aliases, ['https://github.com/moved/a']);
+  assert.ok(fetchState.repositories['com.example.a']);
+});
+
+test('keeps the id of an additional repository moved to a known alias', async () => {
+  const movedMod = {
+    ...existingMods[2],
+    id: 'example.old-d',
+    manifest_id: undefined,
+    name: 'D',
+    source_location: 'https://github.com/example/old-d',
+    aliases: ['https://github.com/example/d'],
+    source: 'additional',
+  };
+  const { mods } = await collectFromMockServer({
+    mods: [...existingMods, movedMod],
+    repositories: [{
+      repository: 'https://github.com/example/d',
+      name: 'D',
+      description: 'MOD d',
+      category: 'Misc',
+      author: 'Example',
+    }],
+    repoPatterns: ['example/d'],
+  });
+  const mod = mods.find(candidate => candidate.name === 'D');
+
+  assert.equal(mods.length, 4);
+  assert.equal(mod.id, 'example.old-d');
+  assert.equal(mod.source_location, 'https://github.com/example/d');
+  assert.deepEqual(mod.aliases, ['https://github.com/example/old-d']);
+  assert.equal(mod.latest_version, 'v1.0.0');
+});
+
+test('does not refetch MODs only for assets whose download failed at the same URL', () => {
+  const now = Date.parse('2024-06-01T00:00:00Z');
+  const options = { maxAge: 24 * 60 * 60 * 1000, now };
+  const asset = fields => ({ name: 'Mod.dll', download_url: 'https://example.com/v2/Mod.dll', sha256: null, ...fields });
+  const mod = assets => ({ last_fetched: '2024-05-31T12:00:00Z', releases: [{ version: '1.0.0', assets }] });
+
+  assert.equal(getRefreshReason(mod([asset()]), options), 'incomplete hashes');
+  assert.equal(getRefreshReason(mod([asset({ hash_failure: { reason: 'not_found', download_url: 'https://example.com/v2/Mod.dll' } })]), options), null);
+  // URLが変わった場合は再計算
+  assert.equal(getRefreshReason(mod([asset({ hash_failure: { reason: 'too_large', download_url: 'https://example.com/v1/Mod.dll' } })]), options), 'incomplete hashes');
+});
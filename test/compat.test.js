@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectResoniteCompat, isCompatibleWith, isPossiblyBroken, parseBuildRange, parseGameBuild } from '../scripts/lib/compat.js';
+import { getManifestReleases, mergeManifestReleases } from '../scripts/lib/manifest.js';
+
+const compat = (min, max = null, fields = {}) => ({ min, max, max_exclusive: false, ...fields });
+
+test('parses Resonite builds and build ranges', () => {
+  assert.equal(parseGameBuild('2024.07.12.12'), '2024.7.12.12');
+  assert.equal(parseGameBuild('2024-07-12'), '2024.7.12');
+  assert.equal(parseGameBuild('1.0.0.0'), null);
+
+  assert.deepEqual(parseBuildRange('2024.8.6.1341'), compat('2024.8.6.1341'));
+  assert.deepEqual(parseBuildRange('[2024.7.12, 2025.1.1)'), compat('2024.7.12', '2025.1.1', { max_exclusive: true }));
+  assert.deepEqual(parseBuildRange('>=2024.7.12 <=2025.1.1'), compat('2024.7.12', '2025.1.1'));
+  assert.deepEqual(parseBuildRange('2024.7.12 - 2025.1.1'), compat('2024.7.12', '2025.1.1'));
+  assert.equal(parseBuildRange('>=1.0.0'), null);
+});
+
+test('detects the compatible builds from the manifest, packages, assemblies and changelogs in that order', () => {
+  const changelog = "- Fix for Resonite's 2024.5.29.27 update\n_Built against Resonite version 2024.6.11.74._";
+  const assembly = { references: [{ name: 'FrooxEngine', version: '2024.7.12.12' }] };
+  const pkg = { dependencies: [{ id: 'Resonite.GameLibs', version: '[2024.8.6.1341, )', target_framework: 'net9.0' }], files: [] };
+
+  assert.deepEqual(detectResoniteCompat({ changelog }), { ...compat('2024.6.11.74'), source: 'changelog' });
+  assert.deepEqual(detectResoniteCompat({ changelog, assets: [{ name: 'Mod.dll', assembly }] }), { ...compat('2024.7.12.12'), source: 'assembly' });
+  assert.deepEqual(
+    detectResoniteCompat({ changelog, assets: [{ name: 'Mod.dll', assembly }, { name: 'Mod.nupkg', package: pkg }] }),
+    { ...compat('2024.8.6.1341'), source: 'package' }
+  );
+  assert.equal(detectResoniteCompat({ changelog: 'Update for 2024.6.11.74', assets: [] }), null);
+
+  // マニフェストの指定はリリースにマージされ、ほかの推定より優先
+  const manifestReleases = getManifestReleases({
+    versions: { '1.0.0': { artifacts: [], resoniteVersionCompatibility: '>=2024.9.1' } },
+  });
+  const [release] = mergeManifestReleases([{ version: 'v1.0.0', changelog, assets: [] }], manifestReleases);
+  assert.deepEqual(detectResoniteCompat(release), { ...compat('2024.9.1'), source: 'manifest' });
+});
+
+test('marks MODs whose latest release predates the breaking build as possibly broken', () => {
+  const mod = releases => ({ releases: releases.map(([version, published_at, resonite_compat = null]) => ({ version, published_at, resonite_compat })) });
+  const breakingBuild = '2026.7.7.829';
+
+  assert.equal(isPossiblyBroken(mod([['1.0.0', '2026-07-01T00:00:00Z']]), breakingBuild), true);
+  assert.equal(isPossiblyBroken(mod([['1.0.0', '2026-07-07T12:00:00Z']]), breakingBuild), false);
+  // 対応するビルドが分かる場合は公開日より優先
+  assert.equal(isPossiblyBroken(mod([['1.0.0', '2026-07-10T00:00:00Z', compat('2026.6.1.5')]]), breakingBuild), true);
+  assert.equal(isPossiblyBroken(mod([['1.0.0', '2026-07-01T00:00:00Z', compat('2026.6.1.5', '2026.12.1')]]), breakingBuild), false);
+  // 後から公開された旧バージョンへのバックポートではなく最新バージョンで判定
+  assert.equal(isPossiblyBroken(mod([['1.0.1', '2026-08-01T00:00:00Z'], ['2.0.0', '2026-06-01T00:00:00Z']]), breakingBuild), true);
+});
+
+test('lists releases as compatible only within their range and before a breaking build', () => {
+  const release = { version: '1.0.0', resonite_compat: compat('2024.7.12.12') };
+  assert.equal(isCompatibleWith(release, '2024.7.12.12'), true);
+  assert.equal(isCompatibleWith(release, '2024.7.11.1293'), false);
+  assert.equal(isCompatibleWith(release, '2025.1.1', { breakingBuild: '2024.9.4.357' }), false);
+  assert.equal(isCompatibleWith(release, '2024.8.1', { breakingBuild: '2024.9.4.357' }), true);
+  assert.equal(isCompatibleWith({ ...release, resonite_compat: compat('2024.7.12.12', '2024.9.4.357', { max_exclusive: true }) }, '2024.9.4.357'), false);
+  assert.equal(isCompatibleWith({ version: '1.0.0', resonite_compat: null }, '2024.8.1'), false);
+});
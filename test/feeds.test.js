@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_FEED_BASE_URL, generateFeeds, getFeedBaseUrl } from '../scripts/lib/feeds.js';
+import { getModId } from '../scripts/lib/mod-id.js';
+
+const BASE_URL = 'https://example.com/cache';
+
+function createMod(id, category, releases) {
+  return {
+    name: id,
+    manifest_id: `com.example.${id}`,
+    description: `${id} & more`,
+    category,
+    source_location: `https://github.com/example/${id}`,
+    author: 'Example',
+    releases,
+    tags: null,
+    last_updated: '2024-01-01T00:00:00.000Z',
+  };
+}
+
+const mods = [
+  createMod('Alpha', 'Misc', [
+    { version: 'v2.0.0-beta', published_at: '2024-03-01T00:00:00Z', prerelease: true, draft: false, changelog: 'Beta <test>' },
+    { version: 'v1.0.0', published_at: '2024-01-01T00:00:00Z', prerelease: false, draft: false, changelog: 'First' },
+  ]),
+  createMod('Beta', 'Visual Tweaks', [
+    { version: 'v1.1.0', published_at: '2024-02-01T00:00:00Z', prerelease: false, draft: false, changelog: null },
+    { version: 'v1.0.0', published_at: null, prerelease: false, draft: false, changelog: null },
+  ]),
+];
+
+const getFile = (files, name) => files.find(({ file }) => file === name)?.content;
+
+test('writes global, prerelease, category and MOD feeds in every format', () => {
+  const files = generateFeeds(mods, { baseUrl: BASE_URL }).map(({ file }) => file);
+
+  for (const feed of ['feed', 'feed-prerelease', 'feeds/categories/misc', 'feeds/categories/visual-tweaks', 'feeds/mods/com.example.Alpha']) {
+    for (const extension of ['atom', 'rss', 'json']) {
+      assert.ok(files.includes(`${feed}.${extension}`), `${feed}.${extension}`);
+    }
+  }
+});
+
+test('keeps prereleases out of the main feed and orders releases by date', () => {
+  const files = generateFeeds(mods, { baseUrl: BASE_URL });
+  const feed = JSON.parse(getFile(files, 'feed.json'));
+  const prereleases = JSON.parse(getFile(files, 'feed-prerelease.json'));
+
+  assert.deepEqual(feed.items.map(item => item.title), ['Beta v1.1.0', 'Alpha v1.0.0']);
+  assert.deepEqual(prereleases.items.map(item => item.title), ['Alpha v2.0.0-beta']);
+  assert.equal(feed.feed_url, `${BASE_URL}/feed.json`);
+  assert.equal(prereleases.items[0]._resonite_mod.manifest_id, 'com.example.Alpha');
+});
+
+test('escapes text in XML feeds', () => {
+  const atom = getFile(generateFeeds(mods, { baseUrl: BASE_URL }), 'feed-prerelease.atom');
+  assert.match(atom, /<content type="text">Beta &lt;test&gt;<\/content>/);
+  assert.match(atom, /<summary>Alpha &amp; more<\/summary>/);
+  assert.match(atom, /<updated>2024-03-01T00:00:00.000Z<\/updated>/);
+});
+
+test('removes control characters that XML does not allow', () => {
+  const mod = createMod('Gamma', 'Misc', [
+    { version: 'v1.0.0', published_at: '2024-01-01T00:00:00Z', prerelease: false, draft: false, changelog: 'Fixed\x00 the\x1B[0m log\r\n\tcolors\x7F' },
+  ]);
+  const files = generateFeeds([mod], { baseUrl: BASE_URL });
+
+  for (const name of ['feed.atom', 'feed.rss']) {
+    const xml = getFile(files, name);
+    assert.ok(!/[\x00-\x08\x0B\x0C\x0E-\x1F]/.test(xml), name);
+    assert.ok(xml.includes('Fixed the[0m log\r\n\tcolors\x7F'), name);
+  }
+  // JSON Feedでは制御文字もそのまま保持
+  assert.equal(JSON.parse(getFile(files, 'feed.json')).items[0].content_text, 'Fixed\x00 the\x1B[0m log\r\n\tcolors\x7F');
+});
+
+test('names feeds of MODs outside the manifest after the repository', () => {
+  const { manifest_id, ...mod } = createMod('Gamma', 'Misc', []);
+  assert.equal(getModId(mod), 'example.Gamma');
+});
+
+test('uses a fixed base URL unless MOD_CACHE_BASE_URL is set', () => {
+  const actions = { GITHUB_REPOSITORY: 'someone/fork', GITHUB_REF_NAME: 'feature' };
+
+  assert.equal(getFeedBaseUrl({}), DEFAULT_FEED_BASE_URL);
+  assert.equal(getFeedBaseUrl(actions), DEFAULT_FEED_BASE_URL);
+  assert.equal(getFeedBaseUrl({ ...actions, MOD_CACHE_BASE_URL: 'https://mods.example.com/cache/' }), 'https://mods.example.com/cache');
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkCacheReplacement } from '../scripts/lib/guard.js';
+
+function createMod(id, releaseCount = 2, { withId = true } = {}) {
+  return {
+    name: id,
+    ...(withId ? { manifest_id: `com.example.${id}` } : {}),
+    source_location: `https://github.com/example/${id}`,
+    releases: Array.from({ length: releaseCount }, (_, index) => ({ version: `v1.${index}.0` })),
+  };
+}
+
+const previous = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J'].map(id => createMod(id));
+
+test('accepts a cache with the same MODs', () => {
+  assert.deepEqual(checkCacheReplacement(previous, previous, { listed: previous }), []);
+});
+
+test('rejects MODs that disappeared while still listed', () => {
+  const next = previous.filter(mod => mod.name !== 'C');
+  const problems = checkCacheReplacement(previous, next, { listed: previous, maxDropPercent: 50 });
+
+  assert.equal(problems.length, 1);
+  assert.match(problems[0], /1 MODs still listed .* disappeared: C/);
+});
+
+test('allows MODs removed from the manifest within the threshold', () => {
+  const next = previous.filter(mod => mod.name !== 'C');
+  assert.deepEqual(checkCacheReplacement(previous, next, { listed: next, maxDropPercent: 10 }), []);
+});
+
+test('rejects MOD and release counts dropping beyond the threshold', () => {
+  const next = previous.slice(0, 5).map(mod => ({ ...mod, releases: mod.releases.slice(0, 1) }));
+  const problems = checkCacheReplacement(previous, next, { listed: next });
+
+  assert.deepEqual(problems, [
+    'MOD count dropped from 10 to 5 (-50.0%, limit 10%)',
+    'Release count dropped from 20 to 5 (-75.0%, limit 10%)',
+  ]);
+});
+
+test('matches MODs cached before manifest IDs were recorded by repository URL', () => {
+  const legacy = [createMod('A', 2, { withId: false })];
+  assert.deepEqual(checkCacheReplacement(legacy, [createMod('A')], { listed: [createMod('A')] }), []);
+});
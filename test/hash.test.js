@@ -0,0 +1,137 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createContentStore } from '../scripts/lib/content-store.js';
+import { downloadAndHash } from '../scripts/lib/hash.js';
+import { startMockServer } from './helpers/mock-server.js';
+
+const CONTENT = Buffer.from('0123456789abcdef'.repeat(64));
+const digest = (algorithm, data = CONTENT) => crypto.createHash(algorithm).update(data).digest('hex');
+
+// 接続が途中で切れるレスポンス（先頭のbytesバイトだけ送信）
+function sendPartial(res, bytes, headers = {}) {
+  res.writeHead(200, { 'content-length': CONTENT.length, ...headers });
+  res.write(CONTENT.subarray(0, bytes), () => res.destroy());
+}
+
+test('hashes a streamed download with the requested algorithms', async () => {
+  const server = await startMockServer((req, res) => {
+    // Content-Lengthを付けずに分割して送信
+    res.writeHead(200, { 'transfer-encoding': 'chunked' });
+    res.write(CONTENT.subarray(0, 100));
+    res.end(CONTENT.subarray(100));
+  });
+  try {
+    const result = await downloadAndHash(`${server.url}/Mod.dll`, { algorithms: ['sha256', 'sha1', 'sha512'] });
+    assert.deepEqual(result, {
+      sha256: digest('sha256'),
+      sha1: digest('sha1'),
+      sha512: digest('sha512'),
+      file_size: CONTENT.length,
+    });
+  } finally {
+    await server.close();
+  }
+});
+
+test('enforces the size limit while streaming without content-length', async () => {
+  const server = await startMockServer((req, res) => {
+    res.writeHead(200, { 'transfer-encoding': 'chunked' });
+    res.end(CONTENT);
+  });
+  try {
+    assert.equal(await downloadAndHash(`${server.url}/Mod.dll`, { maxSize: 100 }), null);
+    assert.equal((await downloadAndHash(`${server.url}/Mod.dll`, { maxSize: CONTENT.length })).sha256, digest('sha256'));
+  } finally {
+    await server.close();
+  }
+});
+
+test('resumes an interrupted download with a range request', async () => {
+  const server = await startMockServer((req, res, count) => {
+    if (count === 1) return sendPartial(res, 300, { etag: '"v1"' });
+    const start = Number(req.headers.range.match(/^bytes=(\d+)-$/)[1]);
+    res.writeHead(206, {
+      'content-length': CONTENT.length - start,
+      'content-range': `bytes ${start}-${CONTENT.length - 1}/${CONTENT.length}`,
+    });
+    res.end(CONTENT.subarray(start));
+  });
+  try {
+    const result = await downloadAndHash(`${server.url}/Mod.dll`);
+    assert.equal(result.sha256, digest('sha256'));
+    assert.equal(result.file_size, CONTENT.length);
+    assert.equal(server.requests.length, 2);
+    assert.equal(server.requests[1].headers.range, 'bytes=300-');
+    assert.equal(server.requests[1].headers['if-range'], '"v1"');
+  } finally {
+    await server.close();
+  }
+});
+
+test('restarts the download when the server ignores the range', async () => {
+  const server = await startMockServer((req, res, count) => {
+    if (count === 1) return sendPartial(res, 300);
+    res.writeHead(200, { 'content-length': CONTENT.length });
+    res.end(CONTENT);
+  });
+  try {
+    const result = await downloadAndHash(`${server.url}/Mod.dll`);
+    assert.equal(result.sha256, digest('sha256'));
+    assert.equal(result.file_size, CONTENT.length);
+  } finally {
+    await server.close();
+  }
+});
+
+test('keeps downloads in the content store and re-hashes them without downloading', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mod-store-'));
+  const server = await startMockServer((req, res, count) => {
+    if (count === 1) return sendPartial(res, 500);
+    res.writeHead(200, { 'content-length': CONTENT.length });
+    res.end(CONTENT);
+  });
+  try {
+    const store = createContentStore(dir);
+    const result = await downloadAndHash(`${server.url}/Mod.dll`, { store });
+    assert.deepEqual(await fs.readFile(store.getPath(result.sha256)), CONTENT);
+    assert.deepEqual(await fs.readdir(path.join(dir, 'tmp')), []);
+
+    await server.close();
+    assert.deepEqual(await store.hash(result.sha256, ['sha512']), {
+      sha256: digest('sha256'),
+      sha512: digest('sha512'),
+      file_size: CONTENT.length,
+    });
+
+    // 壊れたファイルは削除して再ダウンロードさせる
+    await fs.writeFile(store.getPath(result.sha256), 'corrupted');
+    assert.equal(await store.hash(result.sha256), null);
+    assert.equal(await store.has(result.sha256), false);
+  } finally {
+    await server.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('inspects a downloaded file from disk and removes the temporary file', async () => {
+  const server = await startMockServer((req, res) => {
+    res.writeHead(200, { 'content-length': CONTENT.length });
+    res.end(CONTENT);
+  });
+  try {
+    let inspectedPath = null;
+    const inspect = async filePath => {
+      inspectedPath = filePath;
+      return { size_on_disk: (await fs.readFile(filePath)).length };
+    };
+    const result = await downloadAndHash(`${server.url}/Mod.dll`, { inspect });
+    assert.equal(result.size_on_disk, CONTENT.length);
+    await assert.rejects(fs.access(path.dirname(inspectedPath)));
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,31 @@
+import http from 'http';
+
+// テスト用のローカルHTTPサーバーを起動（handlerはリクエストごとに呼ばれる）
+export async function startMockServer(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push({ method: req.method, url: req.url, headers: req.headers });
+    Promise.resolve(handler(req, res, requests.length)).catch(error => {
+      res.writeHead(500);
+      res.end(String(error));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    requests,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections?.();
+      server.close(resolve);
+    }),
+  };
+}
+
+// JSONレスポンスを返す
+export function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'content-type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyManifestHash } from '../scripts/lib/assets.js';
+import { getManifestReleases, mergeManifestReleases } from '../scripts/lib/manifest.js';
+
+const SHA256 = 'a'.repeat(64);
+const OTHER_SHA256 = 'b'.repeat(64);
+
+const artifact = fields => ({ url: 'https://example.com/ExampleMod.dll', ...fields });
+
+test('normalizes the install locations of manifest artifacts and drops unknown ones', () => {
+  const [release] = getManifestReleases({
+    versions: {
+      '1.0.0': {
+        artifacts: [
+          artifact({}),
+          artifact({ installLocation: '/rml_libs' }),
+          artifact({ installLocation: '/MonkeyLoader/Mods/' }),
+          artifact({ installLocation: '/rml_config' }),
+        ],
+      },
+    },
+  });
+
+  assert.deepEqual(release.assets.map(asset => asset.install_target), ['rml_mods', 'rml_libs', 'MonkeyLoader/Mods', null]);
+});
+
+test('keeps only SHA-256 hashes from manifest artifacts', () => {
+  const [release] = getManifestReleases({
+    versions: {
+      '1.0.0': {
+        artifacts: [
+          artifact({ sha256: SHA256.toUpperCase() }),
+          artifact({ sha256: 'abc123' }),
+          artifact({ sha256: 'z'.repeat(64) }),
+          artifact({}),
+        ],
+      },
+    },
+  });
+
+  assert.deepEqual(release.assets.map(asset => asset.sha256), [SHA256, null, null, null]);
+});
+
+test('verifies the manifest hash against the computed hash', () => {
+  const computed = { name: 'ExampleMod.dll', size: 10, download_url: 'https://example.com/ExampleMod.dll', sha256: SHA256 };
+
+  assert.deepEqual(applyManifestHash(computed, SHA256, '1.0.0'), { ...computed, hash_source: 'manifest', hash_verified: true });
+  assert.deepEqual(applyManifestHash(computed, OTHER_SHA256, '1.0.0'), {
+    ...computed,
+    sha256: OTHER_SHA256,
+    hash_source: 'manifest',
+    hash_verified: false,
+    computed_sha256: SHA256,
+  });
+  // 計算していない場合は未検証
+  assert.deepEqual(applyManifestHash({ ...computed, sha256: null }, SHA256, '1.0.0'), {
+    ...computed,
+    hash_source: 'manifest',
+    hash_verified: null,
+  });
+  assert.equal(applyManifestHash(computed, null, '1.0.0'), computed);
+});
+
+test('merges manifest hashes into the computed assets of repository releases', () => {
+  const release = (version, sha256) => ({
+    version,
+    published_at: '2024-01-01T00:00:00Z',
+    assets: [{ name: 'ExampleMod.dll', size: 10, download_url: `https://example.com/${version}/ExampleMod.dll`, content_type: null, sha256, install_target: 'rml_mods' }],
+  });
+  const manifestReleases = getManifestReleases({
+    versions: {
+      '1.0.0': { artifacts: [artifact({ url: 'https://example.com/v1.0.0/ExampleMod.dll', sha256: SHA256 })] },
+      '2.0.0': { artifacts: [artifact({ url: 'https://example.com/v2.0.0/ExampleMod.dll', sha256: SHA256 })] },
+    },
+  });
+
+  const merged = mergeManifestReleases([release('v1.0.0', SHA256), release('v2.0.0', OTHER_SHA256)], manifestReleases);
+  const byVersion = Object.fromEntries(merged.map(entry => [entry.version, entry]));
+
+  assert.equal(byVersion['v1.0.0'].assets[0].hash_verified, true);
+  assert.equal(byVersion['v1.0.0'].assets[0].computed_sha256, undefined);
+  assert.equal(byVersion['v1.0.0'].sha256, SHA256);
+
+  // 一致しない場合はマニフェストのハッシュを採用し、計算値を残す
+  const [mismatch] = byVersion['v2.0.0'].assets;
+  assert.equal(mismatch.sha256, SHA256);
+  assert.equal(mismatch.hash_verified, false);
+  assert.equal(mismatch.computed_sha256, OTHER_SHA256);
+  assert.equal(byVersion['v2.0.0'].sha256, SHA256);
+});
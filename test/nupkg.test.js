@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { generateHashLookup } from '../scripts/lib/cache.js';
+import { createGitHubClient } from '../scripts/lib/github.js';
+import { PackageFormatError, parseNuspec, readPackageMetadata } from '../scripts/lib/nupkg.js';
+import { resolveProvider } from '../scripts/lib/providers.js';
+import { startMockServer } from './helpers/mock-server.js';
+
+// dotnet packで作成したパッケージ（lib/net8.0/ExampleMod.dll、ResoniteModLoaderへの依存）
+const FIXTURE = new URL('./fixtures/packages/ExampleMod.1.2.3.nupkg', import.meta.url);
+const INNER_SHA256 = 'c7a3fe69ff106183e52e9ec2027da9e9bd57f44bd738274056969ff9d8188b91';
+
+test('reads the nuspec and hashes the DLLs in a package', async () => {
+  const metadata = readPackageMetadata(await fs.readFile(FIXTURE));
+
+  assert.equal(metadata.id, 'ExampleMod');
+  assert.equal(metadata.version, '1.2.3');
+  assert.deepEqual(metadata.authors, ['Example Author', 'Second Author']);
+  assert.deepEqual(metadata.dependencies, [{ id: 'ResoniteModLoader', version: '2.6.0', target_framework: 'net8.0' }]);
+  assert.equal(metadata.files.length, 1);
+  assert.equal(metadata.files[0].path, 'lib/net8.0/ExampleMod.dll');
+  assert.equal(metadata.files[0].sha256, INNER_SHA256);
+  assert.equal(metadata.files[0].assembly.loader, 'ResoniteModLoader');
+
+  assert.throws(() => readPackageMetadata(Buffer.from('not a zip file at all, just text')), PackageFormatError);
+});
+
+test('parses dependencies with and without target framework groups', () => {
+  const metadata = parseNuspec(`<?xml version="1.0"?>
+    <package xmlns="http://schemas.microsoft.com/packaging/2012/06/nuspec.xsd">
+      <metadata>
+        <id>Group.Mod</id>
+        <version>1.0</version>
+        <authors>Someone</authors>
+        <dependencies>
+          <dependency id="Flat" version="[1.0, 2.0)" />
+          <group targetFramework="net9.0">
+            <dependency id="MonkeyLoader" version="[0.22.1,)" />
+            <dependency id="Other" />
+          </group>
+          <group targetFramework=".NETFramework4.7.2" />
+        </dependencies>
+      </metadata>
+    </package>`);
+
+  assert.equal(metadata.version, '1.0');
+  assert.equal(metadata.description, null);
+  assert.deepEqual(metadata.dependencies, [
+    { id: 'Flat', version: '[1.0, 2.0)', target_framework: null },
+    { id: 'MonkeyLoader', version: '[0.22.1,)', target_framework: 'net9.0' },
+    { id: 'Other', version: null, target_framework: 'net9.0' },
+  ]);
+});
+
+test('registers DLLs inside downloaded packages in the hash lookup table', async () => {
+  const content = await fs.readFile(FIXTURE);
+  const server = await startMockServer((req, res) => {
+    res.writeHead(200, { 'content-type': 'application/octet-stream' });
+    res.end(content);
+  });
+  try {
+    const provider = resolveProvider({
+      repository: `${server.url}/mods/example`,
+      provider: 'static',
+      releases: [{ version: '1.2.3', url: `${server.url}/files/ExampleMod.1.2.3.nupkg` }],
+    });
+    const client = createGitHubClient({ concurrency: 1, token: null, baseUrl: server.url, logger: { warn() {} } });
+    const result = await provider.getAllReleases(client, [], {}, { hashMode: 'missing', stateKey: 'example' });
+    const asset = result.releases[0].assets[0];
+    assert.equal(asset.package.id, 'ExampleMod');
+
+    const hashLookup = generateHashLookup([{ id: 'example', name: 'Example', source_location: `${server.url}/mods/example`, releases: result.releases }]);
+    assert.deepEqual(hashLookup[INNER_SHA256], [{
+      mod_id: 'example',
+      mod_name: 'Example',
+      mod_source: `${server.url}/mods/example`,
+      version: '1.2.3',
+      file_name: 'ExampleMod.dll',
+      file_size: 4096,
+      published_at: null,
+      download_url: `${server.url}/files/ExampleMod.1.2.3.nupkg`,
+      install_target: 'MonkeyLoader/Mods',
+      contained_in: { file_name: 'ExampleMod.1.2.3.nupkg', path: 'lib/net8.0/ExampleMod.dll' },
+    }]);
+    assert.equal(hashLookup[asset.sha256][0].file_name, 'ExampleMod.1.2.3.nupkg');
+  } finally {
+    await server.close();
+  }
+});
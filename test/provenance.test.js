@@ -0,0 +1,168 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { createGitHubClient } from '../scripts/lib/github.js';
+import { checkProvenance, findProvenanceFiles, parseChecksums, readSignedSubjects } from '../scripts/lib/provenance.js';
+import { resolveProvider } from '../scripts/lib/providers.js';
+import { sendJson, startMockServer } from './helpers/mock-server.js';
+
+const FILE_CONTENT = 'mod binary';
+const FILE_SHA256 = crypto.createHash('sha256').update(FILE_CONTENT).digest('hex');
+const OTHER_SHA256 = 'b'.repeat(64);
+
+// in-totoの証明をDSSEエンベロープに格納
+const dsseEnvelope = (subjects, predicate = {}) => ({
+  payloadType: 'application/vnd.in-toto+json',
+  payload: Buffer.from(JSON.stringify({
+    _type: 'https://in-toto.io/Statement/v1',
+    subject: subjects.map(([name, sha256]) => ({ name, digest: { sha256 } })),
+    predicateType: 'https://slsa.dev/provenance/v1',
+    predicate,
+  })).toString('base64'),
+  signatures: [{ sig: 'c2lnbmF0dXJl' }],
+});
+
+const SLSA_PREDICATE = {
+  buildDefinition: {
+    externalParameters: {
+      workflow: { repository: 'https://github.com/owner/repo', path: '.github/workflows/release.yml', ref: 'refs/tags/v1.0.0' },
+    },
+  },
+};
+
+test('detects provenance files and parses checksum formats', () => {
+  const files = findProvenanceFiles([
+    { name: 'Mod.dll', download_url: 'https://example.com/Mod.dll' },
+    { name: 'SHA256SUMS', download_url: 'https://example.com/SHA256SUMS' },
+    { name: 'SHA256SUMS.asc', download_url: 'https://example.com/SHA256SUMS.asc' },
+    { name: 'Mod.dll.sha256', download_url: 'https://example.com/Mod.dll.sha256' },
+    { name: 'Mod.dll.sigstore.json', download_url: 'https://example.com/Mod.dll.sigstore.json' },
+    { name: 'Mod_1.0.0_checksums.txt', download_url: 'https://example.com/Mod_1.0.0_checksums.txt' },
+    { name: 'README.md', download_url: 'https://example.com/README.md' },
+  ]);
+  assert.deepEqual(files.map(file => [file.name, file.type]), [
+    ['SHA256SUMS', 'checksums'],
+    ['SHA256SUMS.asc', 'signature'],
+    ['Mod.dll.sha256', 'checksums'],
+    ['Mod.dll.sigstore.json', 'sigstore'],
+    ['Mod_1.0.0_checksums.txt', 'checksums'],
+  ]);
+
+  const gnu = parseChecksums(`# checksums\n${FILE_SHA256}  ./dist/Mod.dll\n${OTHER_SHA256} *Lib.dll\n`, 'SHA256SUMS');
+  assert.deepEqual([...gnu], [['Mod.dll', FILE_SHA256], ['Lib.dll', OTHER_SHA256]]);
+  assert.deepEqual([...parseChecksums(`SHA256 (Mod.dll) = ${FILE_SHA256.toUpperCase()}`, 'checksums.txt')], [['Mod.dll', FILE_SHA256]]);
+  assert.deepEqual([...parseChecksums(`${FILE_SHA256}\n`, 'Mod.dll.sha256')], [['Mod.dll', FILE_SHA256]]);
+});
+
+test('reads the signed hashes of sigstore bundles and in-toto attestations', () => {
+  const bundle = JSON.stringify({
+    mediaType: 'application/vnd.dev.sigstore.bundle.v0.3+json',
+    messageSignature: { messageDigest: { algorithm: 'SHA2_256', digest: Buffer.from(FILE_SHA256, 'hex').toString('base64') } },
+  });
+  assert.deepEqual(readSignedSubjects(bundle, 'Mod.dll.sigstore.json'), [
+    { name: 'Mod.dll', sha256: FILE_SHA256, predicate_type: null, workflow: null },
+  ]);
+
+  const jsonl = [dsseEnvelope([['Mod.dll', FILE_SHA256]], SLSA_PREDICATE), dsseEnvelope([['Lib.dll', OTHER_SHA256]])]
+    .map(envelope => JSON.stringify(envelope)).join('\n');
+  assert.deepEqual(readSignedSubjects(jsonl, 'multiple.intoto.jsonl'), [
+    {
+      name: 'Mod.dll',
+      sha256: FILE_SHA256,
+      predicate_type: 'https://slsa.dev/provenance/v1',
+      workflow: 'https://github.com/owner/repo/.github/workflows/release.yml@refs/tags/v1.0.0',
+    },
+    { name: 'Lib.dll', sha256: OTHER_SHA256, predicate_type: 'https://slsa.dev/provenance/v1', workflow: null },
+  ]);
+});
+
+test('flags releases whose published checksums disagree with the computed hash', async () => {
+  const server = await startMockServer((req, res) => {
+    const files = {
+      '/SHA256SUMS': `${FILE_SHA256}  Mod.dll\n${OTHER_SHA256}  Lib.dll\n`,
+      '/Mod.dll.sigstore.json': JSON.stringify({ dsseEnvelope: dsseEnvelope([['Mod.dll', FILE_SHA256]]) }),
+    };
+    if (!files[req.url]) {
+      res.writeHead(404);
+      return res.end();
+    }
+    res.writeHead(200, { 'content-type': 'text/plain' });
+    res.end(files[req.url]);
+  });
+  try {
+    const assets = [{ name: 'Mod.dll', sha256: FILE_SHA256 }, { name: 'Lib.dll', sha256: 'c'.repeat(64) }];
+    const files = ['SHA256SUMS', 'SHA256SUMS.asc', 'Mod.dll.sigstore.json', 'gone.sha256']
+      .map(name => ({ name, download_url: `${server.url}/${name}` }));
+    const provenance = await checkProvenance(assets, findProvenanceFiles(files));
+
+    assert.equal(provenance.status, 'mismatch');
+    assert.deepEqual(provenance.checks.map(({ asset, file, result }) => [asset, file, result]), [
+      ['Mod.dll', 'SHA256SUMS', 'match'],
+      ['Lib.dll', 'SHA256SUMS', 'mismatch'],
+      ['SHA256SUMS', 'SHA256SUMS.asc', 'unverified'],
+      ['Mod.dll', 'Mod.dll.sigstore.json', 'match'],
+      ['gone', 'gone.sha256', 'unavailable'],
+    ]);
+    assert.equal(provenance.checks[1].published_sha256, OTHER_SHA256);
+
+    // 取得できなかったファイルは再確認するが、結果が同じなら前回の確認日時を維持
+    const rechecked = await checkProvenance(assets, findProvenanceFiles(files), { previous: { ...provenance, checked_at: '2024-01-01T00:00:00.000Z' } });
+    assert.equal(rechecked.checked_at, '2024-01-01T00:00:00.000Z');
+
+    const matched = await checkProvenance([assets[0]], findProvenanceFiles(files.slice(0, 1)));
+    assert.equal(matched.status, 'hash_match');
+    assert.equal((await checkProvenance(assets, [])).status, 'none');
+  } finally {
+    await server.close();
+  }
+});
+
+test('GitHub provider records checksums and artifact attestations on releases', async () => {
+  const server = await startMockServer((req, res) => {
+    if (req.url.startsWith('/files/')) {
+      res.writeHead(200, { 'content-type': 'application/octet-stream' });
+      return res.end(req.url.endsWith('SHA256SUMS') ? `${FILE_SHA256}  Repo.dll\n` : FILE_CONTENT);
+    }
+    if (decodeURIComponent(req.url) === `/repos/owner/repo/attestations/sha256:${FILE_SHA256}`) {
+      return sendJson(res, 200, {
+        attestations: [{ repository_id: 1, bundle: { dsseEnvelope: dsseEnvelope([['Repo.dll', FILE_SHA256]], SLSA_PREDICATE) } }],
+      });
+    }
+    if (req.url.startsWith('/repos/owner/repo/releases')) {
+      return sendJson(res, 200, [{
+        tag_name: 'v1.0.0',
+        html_url: 'https://github.com/owner/repo/releases/tag/v1.0.0',
+        published_at: '2024-06-01T00:00:00Z',
+        prerelease: false,
+        draft: false,
+        body: null,
+        assets: ['Repo.dll', 'SHA256SUMS'].map(name => ({
+          name,
+          size: null,
+          content_type: 'application/octet-stream',
+          browser_download_url: `${server.url}/files/${name}`,
+        })),
+      }]);
+    }
+    sendJson(res, 404, { message: 'Not Found' });
+  });
+  try {
+    const client = createGitHubClient({ concurrency: 1, token: null, baseUrl: server.url, logger: { warn() {} } });
+    const provider = resolveProvider({ repository: 'https://github.com/owner/repo' });
+    const result = await provider.getAllReleases(client, [], {}, { hashMode: 'missing', stateKey: 'repo' });
+    const { provenance } = result.releases[0];
+
+    assert.equal(provenance.status, 'hash_match');
+    assert.deepEqual(provenance.files, [{ name: 'SHA256SUMS', type: 'checksums', download_url: `${server.url}/files/SHA256SUMS` }]);
+    assert.deepEqual(provenance.checks.map(({ type, result }) => [type, result]), [['checksums', 'match'], ['attestation', 'match']]);
+    assert.equal(provenance.checks[1].workflow, 'https://github.com/owner/repo/.github/workflows/release.yml@refs/tags/v1.0.0');
+
+    // 来歴のファイルとハッシュが変わらなければ前回の結果を引き継ぐ
+    const requests = server.requests.length;
+    const again = await provider.getAllReleases(client, result.releases, {}, { hashMode: 'missing', stateKey: 'repo' });
+    assert.deepEqual(again.releases[0].provenance, provenance);
+    assert.equal(server.requests.length, requests + 1);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,276 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { createGitHubClient } from '../scripts/lib/github.js';
+import { resolveProvider } from '../scripts/lib/providers.js';
+import { sendJson, startMockServer } from './helpers/mock-server.js';
+
+const FILE_CONTENT = 'mod binary';
+const FILE_SHA256 = crypto.createHash('sha256').update(FILE_CONTENT).digest('hex');
+
+// どのプロバイダーも同じ形式のリリース情報を返す
+const RELEASE_KEYS = [
+  'assets', 'changelog', 'download_url', 'draft', 'file_name', 'file_size',
+  'prerelease', 'provenance', 'published_at', 'release_url', 'semver', 'sha256', 'version',
+];
+
+// ダウンロード用のファイルを返し、それ以外はrouteで処理するサーバー（routeが応答しなければ404）
+async function startProviderServer(route) {
+  return startMockServer((req, res) => {
+    if (req.url.startsWith('/files/')) {
+      res.writeHead(200, { 'content-type': 'application/octet-stream' });
+      res.end(FILE_CONTENT);
+      return;
+    }
+    route(req, res);
+    if (!res.headersSent) {
+      sendJson(res, 404, { message: 'Not Found' });
+    }
+  });
+}
+
+function createClient(server) {
+  return createGitHubClient({ concurrency: 1, token: null, baseUrl: server.url, logger: { warn() {} } });
+}
+
+function assertReleaseShape(releases) {
+  for (const release of releases) {
+    assert.deepEqual(Object.keys(release).sort(), RELEASE_KEYS);
+  }
+}
+
+test('detects the provider from known hosts and the provider field', () => {
+  assert.equal(resolveProvider({ repository: 'https://github.com/owner/repo' }).name, 'github');
+  assert.equal(resolveProvider({ repository: 'https://gitlab.com/group/sub/project' }).name, 'gitlab');
+  assert.equal(resolveProvider({ repository: 'https://codeberg.org/owner/repo' }).name, 'gitea');
+  assert.equal(resolveProvider({ repository: 'https://git.example.com/owner/repo', provider: 'forgejo' }).name, 'gitea');
+  assert.deepEqual(resolveProvider({ repository: 'https://gitlab.com/group/sub/project.git' }).repoInfo, {
+    baseUrl: 'https://gitlab.com',
+    owner: 'group/sub',
+    repo: 'project',
+    path: 'group/sub/project',
+  });
+  assert.equal(resolveProvider({ repository: 'https://example.com/mods/thing' }), null);
+  assert.equal(resolveProvider({ repository: 'https://github.com/owner/repo', provider: 'svn' }), null);
+});
+
+test('GitHub provider returns releases with hashes', async () => {
+  const server = await startProviderServer((req, res) => {
+    if (!req.url.startsWith('/repos/owner/repo/releases')) return;
+    return sendJson(res, 200, [{
+      tag_name: 'v1.0.0',
+      html_url: 'https://github.com/owner/repo/releases/tag/v1.0.0',
+      published_at: '2024-01-01T00:00:00Z',
+      prerelease: false,
+      draft: false,
+      body: 'First release',
+      assets: [{
+        name: 'Repo.dll',
+        size: FILE_CONTENT.length,
+        content_type: 'application/octet-stream',
+        browser_download_url: `${server.url}/files/Repo.dll`,
+      }],
+    }]);
+  });
+  try {
+    const provider = resolveProvider({ repository: 'https://github.com/owner/repo' });
+    const result = await provider.getAllReleases(createClient(server), [], {}, { hashMode: 'missing', stateKey: 'repo' });
+
+    assert.equal(result.status, 'refreshed');
+    assert.equal(result.hashed, 1);
+    assert.equal(result.repository, 'https://github.com/owner/repo');
+    assertReleaseShape(result.releases);
+    assert.equal(result.releases[0].sha256, FILE_SHA256);
+    assert.equal(result.releases[0].changelog, 'First release');
+  } finally {
+    await server.close();
+  }
+});
+
+test('GitHub provider records assets that cannot be downloaded and skips unchanged repositories', async () => {
+  const server = await startProviderServer((req, res) => {
+    if (!req.url.startsWith('/repos/owner/repo/releases')) return;
+    if (req.headers['if-none-match'] === '"r1"') {
+      res.writeHead(304);
+      return res.end();
+    }
+    return sendJson(res, 200, [{
+      tag_name: 'v1.0.0',
+      html_url: 'https://github.com/owner/repo/releases/tag/v1.0.0',
+      published_at: '2024-01-01T00:00:00Z',
+      prerelease: false,
+      draft: false,
+      body: '',
+      assets: [
+        { name: 'Repo.dll', size: FILE_CONTENT.length, browser_download_url: `${server.url}/files/Repo.dll` },
+        { name: 'Repo.nupkg', size: 10, browser_download_url: `${server.url}/missing/Repo.nupkg` },
+      ],
+    }], { etag: '"r1"' });
+  });
+  try {
+    const provider = resolveProvider({ repository: 'https://github.com/owner/repo' });
+    const client = createClient(server);
+    const fetchState = {};
+    const result = await provider.getAllReleases(client, [], fetchState, { hashMode: 'missing', stateKey: 'repo' });
+
+    assert.equal(result.status, 'refreshed');
+    assert.deepEqual(fetchState.repo, { etag: '"r1"', last_modified: null });
+    const [dll, nupkg] = result.releases[0].assets;
+    assert.equal(dll.sha256, FILE_SHA256);
+    assert.equal(nupkg.sha256, null);
+    assert.deepEqual(nupkg.hash_failure, { reason: 'not_found', download_url: `${server.url}/missing/Repo.nupkg` });
+
+    // ダウンロードできなかったアセットは未計算として扱わず、条件付きリクエストで未変更と判定
+    const again = await provider.getAllReleases(client, result.releases, fetchState, { hashMode: 'missing', stateKey: 'repo' });
+    assert.equal(again.status, 'unchanged');
+    assert.equal(again.releases, result.releases);
+    assert.equal(server.requests.at(-1).headers['if-none-match'], '"r1"');
+    assert.equal(server.requests.filter(request => request.url.startsWith('/missing/')).length, 1);
+
+    // 同じURLのアセットはリリース一覧を再取得しても再ダウンロードしない
+    const refetched = await provider.getAllReleases(client, result.releases, {}, { hashMode: 'missing', stateKey: 'repo' });
+    assert.deepEqual(refetched.releases[0].assets[1].hash_failure, nupkg.hash_failure);
+    assert.equal(server.requests.filter(request => request.url.startsWith('/missing/')).length, 1);
+  } finally {
+    await server.close();
+  }
+});
+
+test('GitLab provider follows pagination and skips unchanged projects', async () => {
+  const endpoint = `/api/v4/projects/${encodeURIComponent('group/sub/project')}/releases`;
+  const server = await startProviderServer((req, res) => {
+    if (!req.url.startsWith(endpoint)) return;
+    if (req.headers['if-none-match'] === '"v1"') {
+      res.writeHead(304);
+      return res.end();
+    }
+    const page = new URL(req.url, server.url).searchParams.get('page');
+    const version = page === '1' ? 'v2.0.0' : 'v1.0.0';
+    return sendJson(res, 200, [{
+      tag_name: version,
+      description: `Release ${version}`,
+      released_at: page === '1' ? '2024-02-01T00:00:00Z' : '2024-01-01T00:00:00Z',
+      upcoming_release: false,
+      _links: { self: `${server.url}/group/sub/project/-/releases/${version}` },
+      assets: {
+        sources: [{ format: 'zip', url: `${server.url}/group/sub/project/-/archive/${version}.zip` }],
+        links: [{ name: 'Project.dll', url: `${server.url}/files/${version}/Project.dll` }],
+      },
+    }], page === '1' ? { etag: '"v1"', 'x-next-page': '2' } : { 'x-next-page': '' });
+  });
+  try {
+    const provider = resolveProvider({ repository: `${server.url}/group/sub/project`, provider: 'gitlab' });
+    const fetchState = {};
+    const client = createClient(server);
+    const result = await provider.getAllReleases(client, [], fetchState, { hashMode: 'missing', stateKey: 'project' });
+
+    assert.equal(result.status, 'refreshed');
+    assertReleaseShape(result.releases);
+    assert.deepEqual(result.releases.map(release => release.version), ['v2.0.0', 'v1.0.0']);
+    assert.deepEqual(result.releases.map(release => release.sha256), [FILE_SHA256, FILE_SHA256]);
+    assert.equal(result.releases[0].download_url, `${server.url}/files/v2.0.0/Project.dll`);
+    assert.equal(result.releases[0].assets[0].size, FILE_CONTENT.length);
+    assert.deepEqual(fetchState.project, { etag: '"v1"', last_modified: null });
+
+    const again = await provider.getAllReleases(client, result.releases, fetchState, { hashMode: 'missing', stateKey: 'project' });
+    assert.equal(again.status, 'unchanged');
+    assert.equal(again.releases, result.releases);
+  } finally {
+    await server.close();
+  }
+});
+
+test('Gitea/Forgejo provider returns releases with hashes', async () => {
+  const server = await startProviderServer((req, res) => {
+    if (!req.url.startsWith('/api/v1/repos/owner/repo/releases')) return;
+    return sendJson(res, 200, [{
+      tag_name: '1.1.0-beta',
+      html_url: `${server.url}/owner/repo/releases/tag/1.1.0-beta`,
+      published_at: '2024-03-01T00:00:00Z',
+      prerelease: true,
+      draft: false,
+      body: '',
+      assets: [
+        { name: 'Repo.dll', size: FILE_CONTENT.length, browser_download_url: `${server.url}/files/Repo.dll` },
+        { name: 'README.md', size: 10, browser_download_url: `${server.url}/files/README.md` },
+      ],
+    }]);
+  });
+  try {
+    const provider = resolveProvider({ repository: `${server.url}/owner/repo`, provider: 'forgejo' });
+    const result = await provider.getAllReleases(createClient(server), [], {}, { hashMode: 'missing', stateKey: 'repo' });
+
+    assert.equal(result.status, 'refreshed');
+    assertReleaseShape(result.releases);
+    assert.equal(result.releases.length, 1);
+    assert.equal(result.releases[0].prerelease, true);
+    assert.equal(result.releases[0].changelog, null);
+    assert.deepEqual(result.releases[0].assets.map(asset => asset.name), ['Repo.dll']);
+    assert.equal(result.releases[0].sha256, FILE_SHA256);
+  } finally {
+    await server.close();
+  }
+});
+
+test('GitLab and Gitea/Forgejo providers send tokens from the environment only to their default hosts', async () => {
+  const server = await startProviderServer((req, res) => {
+    if (req.url.startsWith('/api/')) sendJson(res, 200, []);
+  });
+  const env = { GITLAB_TOKEN: process.env.GITLAB_TOKEN, GITEA_TOKEN: process.env.GITEA_TOKEN };
+  process.env.GITLAB_TOKEN = 'gitlab-secret';
+  process.env.GITEA_TOKEN = 'gitea-secret';
+  try {
+    const client = createClient(server);
+    await resolveProvider({ repository: `${server.url}/group/project`, provider: 'gitlab' }).getAllReleases(client, [], {}, { stateKey: 'gitlab' });
+    await resolveProvider({ repository: `${server.url}/owner/repo`, provider: 'gitea' }).getAllReleases(client, [], {}, { stateKey: 'gitea' });
+    assert.equal(server.requests.length, 2);
+    for (const request of server.requests) {
+      assert.equal(request.headers['private-token'], undefined);
+      assert.equal(request.headers.authorization, undefined);
+    }
+
+    // 明示的に渡したトークンはセルフホストのインスタンスにも送る
+    await resolveProvider({ repository: `${server.url}/owner/repo`, provider: 'gitea' }).getAllReleases(client, [], {}, { stateKey: 'gitea', token: 'explicit' });
+    assert.equal(server.requests.at(-1).headers.authorization, 'token explicit');
+  } finally {
+    for (const [name, value] of Object.entries(env)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+    await server.close();
+  }
+});
+
+test('static provider hashes the listed download URLs', async () => {
+  const server = await startProviderServer(() => {});
+  try {
+    const provider = resolveProvider({
+      repository: `${server.url}/mods/thing`,
+      provider: 'static',
+      releases: [
+        { version: '1.0.0', url: `${server.url}/files/1.0.0/Thing.dll`, published_at: '2024-01-01T00:00:00Z' },
+        {
+          version: '2.0.0',
+          published_at: '2024-02-01T00:00:00Z',
+          assets: [
+            { url: `${server.url}/files/2.0.0/Thing.dll` },
+            { url: `${server.url}/files/2.0.0/lib.dll?download=1`, name: '0Harmony.dll' },
+          ],
+        },
+      ],
+    });
+    const result = await provider.getAllReleases(createClient(server), [], {}, { hashMode: 'missing', stateKey: 'thing' });
+
+    assert.equal(result.status, 'refreshed');
+    assert.equal(result.hashed, 3);
+    assertReleaseShape(result.releases);
+    assert.deepEqual(result.releases.map(release => release.version), ['2.0.0', '1.0.0']);
+    assert.deepEqual(result.releases[0].assets.map(asset => [asset.name, asset.install_target]), [
+      ['Thing.dll', 'rml_mods'],
+      ['0Harmony.dll', 'rml_libs'],
+    ]);
+    assert.equal(result.releases[1].sha256, FILE_SHA256);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,156 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createGitHubClient } from '../scripts/lib/github.js';
+import {
+  formatAnnotations,
+  getEntryLines,
+  loadAdditionalRepositories,
+  validateRepositories,
+} from '../scripts/lib/repositories.js';
+import { sendJson, startMockServer } from './helpers/mock-server.js';
+
+const manifest = {
+  objects: {
+    example: {
+      author: { Example: { url: 'https://github.com/example' } },
+      entries: {
+        'com.example.listed': {
+          name: 'Listed',
+          category: 'Misc',
+          sourceLocation: 'https://github.com/example/listed',
+          versions: {},
+        },
+        'com.example.tweak': {
+          name: 'Tweak',
+          category: 'Visual Tweaks',
+          sourceLocation: 'https://github.com/example/tweak',
+          versions: {},
+        },
+      },
+    },
+  },
+};
+
+const validEntry = {
+  name: 'Valid',
+  repository: 'https://github.com/someone/valid',
+  description: 'A valid MOD',
+  category: 'Misc',
+  author: 'Someone',
+  tags: ['avatar', 'ui'],
+};
+
+// 問題を「エントリの番号 フィールド」の一覧に変換
+const summarize = issues => issues
+  .filter(issue => issue.level === 'error')
+  .map(issue => `${issue.index} ${issue.field}`);
+
+test('accepts a valid repositories.json', async () => {
+  const issues = await validateRepositories({ repositories: [validEntry] }, { manifest });
+  assert.deepEqual(issues, []);
+});
+
+test('reports schema, URL, category, duplicate and tag problems', async () => {
+  const config = {
+    repositories: [
+      validEntry,
+      { ...validEntry, name: 'Versions', repository: 'https://github.com/someone/versions', tags: ['v0.1.0', 'ui', 'UI'] },
+      { ...validEntry, name: 'Listed Again', repository: 'https://github.com/Example/listed.git' },
+      { ...validEntry, name: 'Copy', repository: 'https://github.com/someone/valid/' },
+      { ...validEntry, name: 'Page', repository: 'https://github.com/someone/page/releases' },
+      { ...validEntry, name: 'Elsewhere', repository: 'https://example.com/mods/elsewhere' },
+      { ...validEntry, name: 'Category', repository: 'https://github.com/someone/category', category: 'Avatar' },
+      { name: 'Incomplete', repository: 'https://github.com/someone/incomplete' },
+      { ...validEntry, name: 'Static', repository: 'https://example.com/static', provider: 'static' },
+    ],
+  };
+  const issues = await validateRepositories(config, { manifest });
+
+  assert.deepEqual(summarize(issues), [
+    '7 null',
+    '7 null',
+    '7 null',
+    '1 tags',
+    '1 tags',
+    '2 repository',
+    '3 repository',
+    '4 repository',
+    '5 repository',
+    '6 category',
+    '8 releases',
+  ]);
+  assert.match(issues.find(issue => issue.field === 'category').message, /allowed: Misc, Visual Tweaks/);
+  assert.match(issues.find(issue => issue.index === 2).message, /com\.example\.listed/);
+});
+
+test('skips categories and manifest duplicates without a manifest', async () => {
+  const config = { repositories: [{ ...validEntry, category: 'Anything' }] };
+  const issues = await validateRepositories(config);
+  assert.deepEqual(issues.map(issue => [issue.level, issue.index]), [['warning', null]]);
+});
+
+test('annotates each problem with the line of its entry', async () => {
+  const config = { repositories: [validEntry, { ...validEntry, name: 'Bad, "tags"', repository: 'https://github.com/a/b', tags: ['1.0.0'] }] };
+  const text = JSON.stringify(config, null, 2);
+  const lines = getEntryLines(text);
+  assert.deepEqual(lines, [3, 14]);
+
+  const annotations = formatAnnotations(await validateRepositories(config, { manifest }), { lines });
+  assert.deepEqual(annotations, [
+    '::error file=repositories.json,line=14,title=repositories[1] (Bad%2C "tags") tags::' +
+      'tag "1.0.0" looks like a version; tags are search keywords (versions come from releases)',
+  ]);
+});
+
+test('probes enabled repositories for a release with a MOD asset', async () => {
+  const server = await startMockServer((req, res) => {
+    if (req.url.startsWith('/api/v1/repos/someone/released/releases')) {
+      return sendJson(res, 200, [{
+        tag_name: 'v1.0.0',
+        html_url: `${server.url}/someone/released/releases/tag/v1.0.0`,
+        published_at: '2024-01-01T00:00:00Z',
+        prerelease: false,
+        draft: false,
+        assets: [{ name: 'Released.dll', size: 1, browser_download_url: `${server.url}/files/Released.dll` }],
+      }]);
+    }
+    if (req.url.startsWith('/api/v1/repos/someone/source-only/releases')) {
+      return sendJson(res, 200, [{ tag_name: 'v1.0.0', prerelease: false, draft: false, assets: [] }]);
+    }
+    sendJson(res, 404, { message: 'Not Found' });
+  });
+  try {
+    const entry = name => ({ ...validEntry, name, repository: `${server.url}/someone/${name}`, provider: 'gitea' });
+    const config = { repositories: [entry('released'), entry('source-only'), entry('missing'), { ...entry('disabled'), enabled: false }] };
+    const client = createGitHubClient({ concurrency: 1, token: null, logger: { warn() {} } });
+    const issues = await validateRepositories(config, { manifest, probe: true, client });
+
+    assert.deepEqual(issues.filter(issue => issue.level === 'error').map(issue => [issue.index, issue.message]), [
+      [1, 'no published release has a .dll or .nupkg asset'],
+      [2, 'could not fetch releases from the repository'],
+    ]);
+  } finally {
+    await server.close();
+  }
+});
+
+test('skips invalid and disabled entries when loading', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mod-cache-repositories-'));
+  try {
+    const configPath = path.join(dir, 'repositories.json');
+    await fs.writeFile(configPath, JSON.stringify({
+      repositories: [
+        validEntry,
+        { ...validEntry, name: 'Disabled', enabled: false },
+        { name: 'Incomplete', repository: 'https://github.com/someone/incomplete' },
+      ],
+    }));
+    const repositories = await loadAdditionalRepositories(configPath);
+    assert.deepEqual(repositories.map(repo => repo.name), ['Valid']);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,219 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Octokit } from '@octokit/rest';
+import {
+  RateLimitError,
+  createRequestScheduler,
+  getRateLimitDelay,
+  isTransientError,
+  runWithConcurrency,
+  useSchedulerForOctokit,
+} from '../scripts/lib/request-scheduler.js';
+import { sendJson, startMockServer } from './helpers/mock-server.js';
+
+const silentLogger = { warn: () => {}, log: () => {} };
+
+// 実際には待たずに時計だけ進める疑似クロック
+function createFakeClock(start = 1_700_000_000_000) {
+  const clock = { time: start, sleeps: [] };
+  clock.now = () => clock.time;
+  clock.sleep = async ms => {
+    clock.sleeps.push(ms);
+    clock.time += ms;
+  };
+  return clock;
+}
+
+// モックGitHubサーバーに接続するOctokitを作成
+function createOctokit(server, schedulerOptions) {
+  const clock = createFakeClock();
+  const scheduler = createRequestScheduler({
+    baseDelay: 100,
+    logger: silentLogger,
+    sleep: clock.sleep,
+    now: clock.now,
+    ...schedulerOptions,
+  });
+  const octokit = useSchedulerForOctokit(new Octokit({ baseUrl: server.url }), scheduler);
+  return { octokit, scheduler, clock };
+}
+
+const listReleases = octokit => octokit.rest.repos.listReleases({ owner: 'example', repo: 'mod' });
+
+test('retries transient 5xx responses with exponential backoff', async () => {
+  const server = await startMockServer((req, res, count) => {
+    if (count <= 2) return sendJson(res, 502, { message: 'Bad Gateway' });
+    return sendJson(res, 200, [{ tag_name: 'v1.0.0' }]);
+  });
+  try {
+    const { octokit, scheduler, clock } = createOctokit(server);
+    const response = await listReleases(octokit);
+
+    assert.equal(response.data[0].tag_name, 'v1.0.0');
+    assert.equal(server.requests.length, 3);
+    assert.equal(scheduler.stats.retries, 2);
+    assert.ok(clock.sleeps[1] > clock.sleeps[0] / 2, 'second backoff should not shrink');
+  } finally {
+    await server.close();
+  }
+});
+
+test('retries network errors', async () => {
+  const server = await startMockServer((req, res, count) => {
+    if (count === 1) return req.socket.destroy();
+    return sendJson(res, 200, []);
+  });
+  try {
+    const { octokit, scheduler } = createOctokit(server);
+    await listReleases(octokit);
+
+    assert.equal(server.requests.length, 2);
+    assert.equal(scheduler.stats.retries, 1);
+  } finally {
+    await server.close();
+  }
+});
+
+test('gives up after the configured number of retries', async () => {
+  const server = await startMockServer((req, res) => sendJson(res, 503, { message: 'Unavailable' }));
+  try {
+    const { octokit } = createOctokit(server, { maxRetries: 2 });
+    await assert.rejects(listReleases(octokit), error => error.status === 503);
+    assert.equal(server.requests.length, 3);
+  } finally {
+    await server.close();
+  }
+});
+
+test('does not retry client errors', async () => {
+  const server = await startMockServer((req, res) => sendJson(res, 404, { message: 'Not Found' }));
+  try {
+    const { octokit } = createOctokit(server);
+    await assert.rejects(listReleases(octokit), error => error.status === 404);
+    assert.equal(server.requests.length, 1);
+  } finally {
+    await server.close();
+  }
+});
+
+test('pauses until x-ratelimit-reset when the primary rate limit is hit', async () => {
+  let clock;
+  const server = await startMockServer((req, res, count) => {
+    if (count === 1) {
+      return sendJson(res, 403, { message: 'API rate limit exceeded for user' }, {
+        'x-ratelimit-remaining': '0',
+        'x-ratelimit-reset': String(Math.floor(clock.now() / 1000) + 120),
+      });
+    }
+    return sendJson(res, 200, []);
+  });
+  try {
+    const created = createOctokit(server);
+    clock = created.clock;
+    const start = clock.now();
+    await listReleases(created.octokit);
+
+    assert.equal(server.requests.length, 2);
+    assert.equal(created.scheduler.stats.rateLimitPauses, 1);
+    assert.ok(clock.now() - start >= 120 * 1000);
+  } finally {
+    await server.close();
+  }
+});
+
+test('honours retry-after on 429 and secondary rate limits', async () => {
+  const server = await startMockServer((req, res, count) => {
+    if (count === 1) return sendJson(res, 429, { message: 'Too Many Requests' }, { 'retry-after': '5' });
+    if (count === 2) {
+      return sendJson(res, 403, { message: 'You have exceeded a secondary rate limit' }, { 'retry-after': '7' });
+    }
+    return sendJson(res, 200, []);
+  });
+  try {
+    const { octokit, scheduler, clock } = createOctokit(server);
+    await listReleases(octokit);
+
+    assert.equal(server.requests.length, 3);
+    assert.equal(scheduler.stats.rateLimitPauses, 2);
+    assert.deepEqual(clock.sleeps, [5000, 7000]);
+  } finally {
+    await server.close();
+  }
+});
+
+test('pauses proactively when a successful response exhausts the quota', async () => {
+  let clock;
+  const server = await startMockServer((req, res) => sendJson(res, 200, [], {
+    'x-ratelimit-remaining': server.requests.length === 1 ? '0' : '4999',
+    'x-ratelimit-reset': String(Math.floor(clock.now() / 1000) + 60),
+  }));
+  try {
+    const created = createOctokit(server);
+    clock = created.clock;
+    await listReleases(created.octokit);
+    await listReleases(created.octokit);
+
+    assert.equal(server.requests.length, 2);
+    assert.equal(created.scheduler.stats.rateLimitPauses, 1);
+    assert.ok(clock.sleeps[0] >= 60 * 1000);
+  } finally {
+    await server.close();
+  }
+});
+
+test('fails with RateLimitError when the reset is too far away', async () => {
+  let clock;
+  const server = await startMockServer((req, res) => sendJson(res, 403, { message: 'API rate limit exceeded' }, {
+    'x-ratelimit-remaining': '0',
+    'x-ratelimit-reset': String(Math.floor(clock.now() / 1000) + 7200),
+  }));
+  try {
+    const created = createOctokit(server, { maxRateLimitWait: 60 * 1000 });
+    clock = created.clock;
+
+    await assert.rejects(listReleases(created.octokit), RateLimitError);
+    // 停止中の後続リクエストはサーバーに送らずに失敗する
+    await assert.rejects(listReleases(created.octokit), RateLimitError);
+    assert.equal(server.requests.length, 1);
+  } finally {
+    await server.close();
+  }
+});
+
+test('never runs more tasks than the configured concurrency', async () => {
+  const scheduler = createRequestScheduler({ concurrency: 3, logger: silentLogger });
+  let running = 0;
+  let maxRunning = 0;
+
+  await Promise.all(Array.from({ length: 10 }, () => scheduler.schedule(async () => {
+    running++;
+    maxRunning = Math.max(maxRunning, running);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    running--;
+  })));
+
+  assert.equal(maxRunning, 3);
+  assert.equal(scheduler.stats.requests, 10);
+});
+
+test('runWithConcurrency keeps results in input order', async () => {
+  const results = await runWithConcurrency([30, 10, 20], 2, async (ms, index) => {
+    await new Promise(resolve => setTimeout(resolve, ms));
+    return index;
+  });
+  assert.deepEqual(results, [0, 1, 2]);
+});
+
+test('classifies rate limit and transient errors', () => {
+  const now = 1_000_000;
+  assert.equal(getRateLimitDelay({ status: 404 }, now), null);
+  assert.equal(getRateLimitDelay({ status: 429, response: { headers: {} } }, now, 1234), 1234);
+  assert.equal(getRateLimitDelay({ status: 403, message: 'secondary rate limit', response: { headers: {} } }, now, 1234), 1234);
+  assert.equal(getRateLimitDelay({ status: 403, message: 'Resource not accessible', response: { headers: {} } }, now), null);
+  assert.equal(getRateLimitDelay({ status: 429, response: { headers: { 'retry-after': '3' } } }, now), 3000);
+
+  assert.equal(isTransientError({ status: 500 }), true);
+  assert.equal(isTransientError({ code: 'ECONNRESET' }), true);
+  assert.equal(isTransientError({ cause: { code: 'ETIMEDOUT' } }), true);
+  assert.equal(isTransientError({ status: 404 }), false);
+});
@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  loadModsCache,
+  normalizeRequests,
+  parseReleaseVersion,
+  resolveInstallPlan,
+} from '../scripts/resolve-dependencies.js';
+
+const fixturePath = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'mods-with-dependencies.json');
+const mods = await loadModsCache(fixturePath);
+
+// プランを { id: version } 形式に変換
+function planVersions(result) {
+  return Object.fromEntries(result.plan.map(entry => [entry.id, entry.version]));
+}
+
+test('resolves the newest stable versions including transitive dependencies', () => {
+  const result = resolveInstallPlan(mods, ['com.example.FeatureMod']);
+
+  assert.equal(result.ok, true);
+  assert.deepEqual(planVersions(result), {
+    'com.example.FeatureMod': '2.0.0',
+    'com.example.CoreLib': 'v2.0.0',
+  });
+  assert.equal(result.plan.find(entry => entry.id === 'com.example.CoreLib').requested, false);
+});
+
+test('backtracks to older releases when constraints disagree', () => {
+  const result = resolveInstallPlan(mods, ['com.example.FeatureMod', 'com.example.LegacyMod']);
+
+  assert.equal(result.ok, true);
+  assert.deepEqual(planVersions(result), {
+    'com.example.FeatureMod': '1.0.0',
+    'com.example.LegacyMod': 'v1.0.0',
+    'com.example.CoreLib': 'v1.5.0',
+  });
+});
+
+test('honours requested version ranges', () => {
+  const result = resolveInstallPlan(mods, { 'com.example.CoreLib': '~1.0.0' });
+
+  assert.equal(result.ok, true);
+  assert.deepEqual(planVersions(result), { 'com.example.CoreLib': 'v1.0.0' });
+});
+
+test('includes prereleases only when asked', () => {
+  const stable = resolveInstallPlan(mods, ['com.example.CoreLib']);
+  const prerelease = resolveInstallPlan(mods, ['com.example.CoreLib'], { includePrerelease: true });
+
+  assert.equal(planVersions(stable)['com.example.CoreLib'], 'v2.0.0');
+  assert.equal(planVersions(prerelease)['com.example.CoreLib'], 'v2.1.0-beta');
+});
+
+test('flags conflicts and explains why nothing can be installed', () => {
+  const result = resolveInstallPlan(mods, ['com.example.FeatureMod', 'com.example.RivalMod']);
+
+  assert.equal(result.ok, false);
+  assert.deepEqual(result.plan, []);
+  assert.ok(result.conflicts.length > 0);
+  assert.match(result.explanation, /com\.example\.RivalMod v?1\.0\.0 conflicts with com\.example\.FeatureMod/);
+});
+
+test('explains unsatisfiable version ranges with the available versions', () => {
+  const result = resolveInstallPlan(mods, ['com.example.LegacyMod', 'com.example.CoreLib@>=2.0.0']);
+
+  assert.equal(result.ok, false);
+  assert.match(result.explanation, /No version of com\.example\.CoreLib satisfies/);
+  assert.match(result.explanation, /available: 2\.0\.0, 1\.5\.0, 1\.0\.0/);
+});
+
+test('reports dependencies that are missing from the cache', () => {
+  const result = resolveInstallPlan(mods, ['com.example.BrokenMod']);
+
+  assert.equal(result.ok, false);
+  assert.match(result.explanation, /requires com\.example\.Missing \^1\.0\.0, which is not in the cache/);
+});
+
+test('reports unknown mods and invalid ranges before resolving', () => {
+  const unknown = resolveInstallPlan(mods, ['com.example.DoesNotExist']);
+  const invalid = resolveInstallPlan(mods, ['com.example.CoreLib@not-a-range']);
+
+  assert.equal(unknown.ok, false);
+  assert.deepEqual(unknown.errors, ['com.example.DoesNotExist is not in the cache']);
+  assert.equal(invalid.ok, false);
+  assert.match(invalid.errors[0], /invalid version range/);
+});
+
+test('looks up mods without a manifest id by name', () => {
+  const result = resolveInstallPlan(mods, ['additional ui mod@^3.0.0']);
+
+  assert.equal(result.ok, true);
+  assert.deepEqual(planVersions(result), { 'example.AdditionalUIMod': 'v3.0.0' });
+});
+
+test('looks up mods by cache id and previous repository URLs', () => {
+  const renamed = mods.map(mod => mod.name === 'Additional UI Mod'
+    ? { ...mod, id: 'example.AdditionalUIMod', aliases: ['https://github.com/old-owner/UIMod'] }
+    : mod);
+
+  for (const request of ['EXAMPLE.ADDITIONALUIMOD', 'https://github.com/old-owner/UIMod', 'https://github.com/example/AdditionalUIMod']) {
+    assert.deepEqual(planVersions(resolveInstallPlan(renamed, [request])), { 'example.AdditionalUIMod': 'v3.0.0' });
+  }
+  assert.deepEqual(planVersions(resolveInstallPlan(renamed, ['com.example.CoreLib@~1.0.0'])), { 'com.example.CoreLib': 'v1.0.0' });
+});
+
+test('normalizes the supported request formats', () => {
+  assert.deepEqual(normalizeRequests(['A', 'B@^1.0.0', { id: 'C' }]), [
+    { id: 'A', range: '*' },
+    { id: 'B', range: '^1.0.0' },
+    { id: 'C', range: '*' },
+  ]);
+  assert.deepEqual(normalizeRequests({ D: '>=2' }), [{ id: 'D', range: '>=2' }]);
+});
+
+test('parses tag names into semver versions', () => {
+  assert.equal(parseReleaseVersion('v2.1.1'), '2.1.1');
+  assert.equal(parseReleaseVersion('1.0.0-beta'), '1.0.0-beta');
+  assert.equal(parseReleaseVersion('release-3.2'), '3.2.0');
+  assert.equal(parseReleaseVersion('nightly'), null);
+});
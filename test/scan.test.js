@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { findScanTargets, scanDirectory } from '../scripts/lib/scan.js';
+
+const ASSEMBLY_FIXTURE = new URL('./fixtures/assemblies/ExampleMod.dll', import.meta.url);
+const PACKAGE_FIXTURE = new URL('./fixtures/packages/ExampleMod.1.2.3.nupkg', import.meta.url);
+const ASSEMBLY_SHA256 = 'e17363e3ae92658266a959c988489eec3e64660e2f22711f743f9dfc1fb3d7d3';
+
+const release = (version, sha256) => ({
+  version,
+  download_url: `https://example.com/${version}/ExampleMod.dll`,
+  published_at: `2024-01-0${version.split('.')[1]}T00:00:00Z`,
+  prerelease: false,
+  assets: [{
+    name: 'ExampleMod.dll',
+    size: 1024,
+    download_url: `https://example.com/${version}/ExampleMod.dll`,
+    sha256,
+    install_target: 'rml_mods',
+    assembly: { name: 'ExampleMod', version: `${version}.0`, loader: 'ResoniteModLoader' },
+  }],
+});
+
+const exampleMod = releases => ({
+  id: 'example.mod',
+  name: 'Example Mod',
+  source_location: 'https://github.com/example/mod',
+  releases,
+});
+
+// Resoniteのインストール先と同じ構成の一時ディレクトリを作成
+async function createInstallDir() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mod-cache-scan-'));
+  await fs.mkdir(path.join(dir, 'rml_mods'));
+  await fs.mkdir(path.join(dir, 'rml_libs'));
+  await fs.mkdir(path.join(dir, 'MonkeyLoader', 'Mods'), { recursive: true });
+  await fs.copyFile(ASSEMBLY_FIXTURE, path.join(dir, 'rml_mods', 'ExampleMod.dll'));
+  await fs.writeFile(path.join(dir, 'rml_mods', 'readme.txt'), 'not a mod');
+  await fs.writeFile(path.join(dir, 'rml_libs', 'Other.dll'), 'not a dll');
+  await fs.copyFile(PACKAGE_FIXTURE, path.join(dir, 'MonkeyLoader', 'Mods', 'ExampleMod.1.2.3.nupkg'));
+  return dir;
+}
+
+test('finds .dll and .nupkg files in the install folders, or in the directory itself', async () => {
+  const dir = await createInstallDir();
+  try {
+    assert.deepEqual(await findScanTargets(dir), [
+      { path: 'rml_mods/ExampleMod.dll', install_target: 'rml_mods' },
+      { path: 'rml_libs/Other.dll', install_target: 'rml_libs' },
+      { path: 'MonkeyLoader/Mods/ExampleMod.1.2.3.nupkg', install_target: 'MonkeyLoader/Mods' },
+    ]);
+    assert.deepEqual(await findScanTargets(path.join(dir, 'rml_mods')), [
+      { path: 'ExampleMod.dll', install_target: null },
+    ]);
+    await assert.rejects(findScanTargets(path.join(dir, 'missing')), /Directory not found/);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('reports outdated files with the latest version and unknown files with assembly name matches', async () => {
+  const dir = await createInstallDir();
+  try {
+    const result = await scanDirectory(dir, [exampleMod([release('1.1.0', 'f'.repeat(64)), release('1.0.0', ASSEMBLY_SHA256)])]);
+    const [installed, other, nupkg] = result.files;
+
+    assert.equal(installed.status, 'outdated');
+    assert.equal(installed.mod_id, 'example.mod');
+    assert.equal(installed.version, '1.0.0');
+    assert.equal(installed.latest_version, '1.1.0');
+    assert.equal(installed.latest_download_url, 'https://example.com/1.1.0/ExampleMod.dll');
+
+    assert.equal(other.status, 'unknown');
+    assert.deepEqual(other.assembly_names, []);
+    assert.deepEqual(other.assembly_matches, []);
+
+    // パッケージ内のDLLのアセンブリ名で候補を検索
+    assert.equal(nupkg.status, 'unknown');
+    assert.deepEqual(nupkg.assembly_names, ['ExampleMod']);
+    assert.deepEqual(nupkg.assembly_matches.map(match => match.version), ['1.1.0', '1.0.0']);
+
+    assert.deepEqual(result.summary, { known: 0, outdated: 1, unknown: 2 });
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('reports the latest release as known', async () => {
+  const dir = await createInstallDir();
+  try {
+    const result = await scanDirectory(dir, [exampleMod([release('1.0.0', ASSEMBLY_SHA256)])]);
+    const [installed] = result.files;
+
+    assert.equal(installed.status, 'known');
+    assert.equal(installed.latest_version, '1.0.0');
+    assert.equal(installed.latest_download_url, 'https://example.com/1.0.0/ExampleMod.dll');
+    assert.deepEqual(result.summary, { known: 1, outdated: 0, unknown: 2 });
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { getCachePaths, writeCache } from '../scripts/lib/cache.js';
+import { getPayload, validateDocument } from '../scripts/lib/schema.js';
+import { buildSearchIndex, searchIndex, tokenize } from '../scripts/lib/search.js';
+
+const mod = (id, fields) => ({
+  id,
+  name: id,
+  description: null,
+  author: null,
+  category: null,
+  tags: [],
+  latest_version: '1.0.0',
+  releases: [],
+  ...fields,
+});
+
+const MODS = [
+  mod('CameraTweaks', { description: 'Adjusts the field of view of the camera.', author: 'Alice', category: 'Visual Tweaks', tags: ['camera'] }),
+  mod('InventoryHelper', { description: 'Better inventory. Works with the camera too.', author: 'Bob', category: 'Inventory' }),
+  mod('JapaneseInput', { description: '日本語入力を改善します', author: 'Ｃｈｏｃｏ', category: 'Keybinds' }),
+  mod('OldMod', {
+    releases: [
+      { version: '1.0.0', published_at: '2024-01-01T00:00:00Z', changelog: 'Added teleport support' },
+      { version: '1.1.0', published_at: '2024-02-01T00:00:00Z', changelog: 'Fixed crash on startup' },
+      { version: '1.2.0', published_at: '2024-03-01T00:00:00Z', changelog: 'Updated for the new build' },
+      { version: '1.3.0', published_at: '2024-04-01T00:00:00Z', changelog: 'Minor cleanup https://example.com/teleport' },
+    ],
+  }),
+];
+
+test('splits English words and Japanese text into terms', () => {
+  assert.deepEqual(tokenize('Camera-Tweaks for UIX!'), ['camera', 'tweaks', 'for', 'uix']);
+  assert.deepEqual(tokenize('日本語入力'), ['日本', '本語', '語入', '入力']);
+  // 全角英数字は半角として扱う
+  assert.deepEqual(tokenize('ＲＭＬ ２'), ['rml', '2']);
+});
+
+test('ranks name matches above description matches and requires every term', () => {
+  const index = buildSearchIndex(MODS);
+
+  assert.deepEqual(searchIndex(index, 'camera').map(result => result.id), ['CameraTweaks', 'InventoryHelper']);
+  assert.deepEqual(searchIndex(index, 'camera inventory').map(result => result.id), ['InventoryHelper']);
+  assert.deepEqual(searchIndex(index, 'alice').map(result => result.id), ['CameraTweaks']);
+  assert.deepEqual(searchIndex(index, 'visual').map(result => result.id), ['CameraTweaks']);
+  assert.deepEqual(searchIndex(index, 'no such thing'), []);
+});
+
+test('finds MODs by prefix, typos, compound names and Japanese text', () => {
+  const index = buildSearchIndex(MODS);
+  const ids = query => searchIndex(index, query).map(result => result.id);
+
+  assert.deepEqual(ids('invent'), ['InventoryHelper']);
+  assert.deepEqual(ids('inventroy'), ['InventoryHelper']);
+  assert.deepEqual(ids('tweaks'), ['CameraTweaks']);
+  assert.deepEqual(ids('日本語'), ['JapaneseInput']);
+  assert.deepEqual(ids('入力'), ['JapaneseInput']);
+  assert.deepEqual(ids('choco'), ['JapaneseInput']);
+});
+
+test('ignores stop words and single characters in the query', () => {
+  const index = buildSearchIndex(MODS);
+  const ids = query => searchIndex(index, query).map(result => result.id);
+
+  assert.deepEqual(ids('field of view'), ['CameraTweaks']);
+  assert.deepEqual(ids('a camera'), ['CameraTweaks', 'InventoryHelper']);
+  assert.deepEqual(ids('inventory for the camera'), ['InventoryHelper']);
+  assert.deepEqual(ids('the'), []);
+  // ストップワードを除いた名前と一致すれば名前の一致として扱う
+  assert.equal(searchIndex(index, 'the CameraTweaks')[0].score, searchIndex(index, 'CameraTweaks')[0].score);
+});
+
+test('indexes only the changelogs of recent releases', () => {
+  const index = buildSearchIndex(MODS);
+
+  assert.deepEqual(searchIndex(index, 'crash').map(result => result.id), ['OldMod']);
+  // 最も古いリリースの変更ログと変更ログ内のURLは含めない
+  assert.deepEqual(searchIndex(index, 'teleport'), []);
+});
+
+test('writes a compact search index with the cache', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mod-cache-search-'));
+  try {
+    const paths = getCachePaths(dir);
+    const mods = JSON.parse(await fs.readFile(new URL('./fixtures/cache-mods.json', import.meta.url), 'utf-8'));
+    await writeCache(paths, mods, { command: 'test' });
+
+    const content = await fs.readFile(paths.searchIndex, 'utf-8');
+    const document = JSON.parse(content);
+    assert.deepEqual(validateDocument('searchIndex', document), []);
+    assert.ok(!content.includes('\n'));
+
+    const index = getPayload('searchIndex', document);
+    assert.equal(index.documents.length, mods.length);
+    assert.equal(searchIndex(index, mods[0].name)[0].name, mods[0].name);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,144 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import zlib from 'zlib';
+import fetch from 'node-fetch';
+import { getReleaseAssets } from '../scripts/lib/assets.js';
+import { getPayload } from '../scripts/lib/schema.js';
+import { createApiServer } from '../scripts/lib/server.js';
+
+// リポジトリにあるキャッシュ（cache/）をそのまま配信
+const CACHE_DIR = fileURLToPath(new URL('../cache/', import.meta.url));
+
+let server;
+let baseUrl;
+let mods;
+
+before(async () => {
+  mods = getPayload('mods', JSON.parse(await fs.readFile(`${CACHE_DIR}/mods.json`, 'utf-8')));
+  server = createApiServer({ outputDir: CACHE_DIR });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => {
+  server.closeAllConnections();
+  server.close(resolve);
+}));
+
+const getJson = async path => {
+  const res = await fetch(`${baseUrl}${path}`);
+  return { status: res.status, body: await res.json() };
+};
+
+test('lists MODs and returns a MOD and its releases by id and version', async () => {
+  const list = await getJson('/mods');
+  assert.equal(list.status, 200);
+  assert.equal(list.body.length, mods.length);
+  assert.deepEqual(list.body.map(entry => entry.name), mods.map(mod => mod.name));
+
+  const [entry] = list.body;
+  const mod = await getJson(`/mods/${encodeURIComponent(entry.id)}`);
+  assert.equal(mod.status, 200);
+  assert.equal(mod.body.name, mods[0].name);
+  assert.deepEqual(mod.body.releases, mods[0].releases);
+
+  // "v1.0.0"と"1.0.0"のどちらでも取得できる
+  const { version } = mods[0].releases[0];
+  for (const requested of [version, version.replace(/^v/i, '')]) {
+    const release = await getJson(`/mods/${encodeURIComponent(entry.id.toUpperCase())}/releases/${encodeURIComponent(requested)}`);
+    assert.equal(release.status, 200);
+    assert.equal(release.body.version, version);
+  }
+
+  assert.equal((await getJson('/mods/no.such.mod')).status, 404);
+  assert.equal((await getJson(`/mods/${encodeURIComponent(entry.id)}/releases/0.0.0-none`)).status, 404);
+  assert.equal((await getJson('/unknown')).status, 404);
+});
+
+test('looks up files by SHA256 hash', async () => {
+  const mod = mods.find(mod => mod.releases.some(release => getReleaseAssets(release).some(asset => asset.sha256)));
+  const release = mod.releases.find(release => getReleaseAssets(release).some(asset => asset.sha256));
+  const asset = getReleaseAssets(release).find(asset => asset.sha256);
+
+  const found = await getJson(`/lookup/sha256/${asset.sha256.toUpperCase()}`);
+  assert.equal(found.status, 200);
+  assert.ok(found.body.matches.some(match => match.mod_name === mod.name && match.version === release.version));
+
+  assert.equal((await getJson(`/lookup/sha256/${'0'.repeat(64)}`)).status, 404);
+  assert.equal((await getJson('/lookup/sha256/not-a-hash')).status, 400);
+});
+
+test('searches MODs by text, category, tag and author', async () => {
+  const mod = mods.find(mod => mod.category && mod.author);
+  const byName = await getJson(`/search?q=${encodeURIComponent(mod.name.toLowerCase())}`);
+  assert.ok(byName.body.some(entry => entry.name === mod.name));
+
+  const byCategory = await getJson(`/search?category=${encodeURIComponent(mod.category.toUpperCase())}`);
+  assert.deepEqual(byCategory.body.map(entry => entry.name), mods.filter(m => m.category?.toLowerCase() === mod.category.toLowerCase()).map(m => m.name));
+
+  const byAuthor = await getJson(`/search?author=${encodeURIComponent(mod.author)}&q=${encodeURIComponent(mod.name)}`);
+  assert.ok(byAuthor.body.length > 0);
+  assert.ok(byAuthor.body.every(entry => entry.author === mod.author));
+
+  const tagged = mods.find(m => m.tags?.length > 0);
+  if (tagged) {
+    const byTag = await getJson(`/search?tag=${encodeURIComponent(tagged.tags[0])}`);
+    assert.ok(byTag.body.some(entry => entry.name === tagged.name));
+  }
+  assert.deepEqual((await getJson('/search?q=no-such-mod-anywhere')).body, []);
+});
+
+test('supports ETags, gzip and CORS', async () => {
+  const first = await fetch(`${baseUrl}/mods`, { compress: false, headers: { 'accept-encoding': 'gzip' } });
+  assert.equal(first.headers.get('content-encoding'), 'gzip');
+  assert.equal(first.headers.get('access-control-allow-origin'), '*');
+  const body = JSON.parse(zlib.gunzipSync(Buffer.from(await first.arrayBuffer())).toString('utf-8'));
+  assert.equal(body.length, mods.length);
+
+  const etag = first.headers.get('etag');
+  const notModified = await fetch(`${baseUrl}/mods`, { headers: { 'if-none-match': etag } });
+  assert.equal(notModified.status, 304);
+
+  const preflight = await fetch(`${baseUrl}/mods`, { method: 'OPTIONS' });
+  assert.equal(preflight.status, 204);
+  assert.match(preflight.headers.get('access-control-allow-methods'), /GET/);
+
+  assert.equal((await fetch(`${baseUrl}/mods`, { method: 'POST' })).status, 405);
+});
+
+test('retries loading the cache after a failed load', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mod-cache-server-'));
+  const failing = createApiServer({ outputDir: dir });
+  try {
+    await new Promise(resolve => failing.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${failing.address().port}/mods`;
+    const modsPath = path.join(dir, 'mods.json');
+
+    // 書き込み途中などで読み込めないmods.json
+    const mtime = new Date('2024-01-01T00:00:00Z');
+    await fs.writeFile(modsPath, '{ "schema_version": 1, ');
+    await fs.utimes(modsPath, mtime, mtime);
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+      assert.equal((await fetch(url)).status, 500);
+    } finally {
+      console.error = originalError;
+    }
+
+    // 更新日時が同じままでも、失敗した読み込みの結果は使わない
+    await fs.copyFile(`${CACHE_DIR}/mods.json`, modsPath);
+    await fs.utimes(modsPath, mtime, mtime);
+    const res = await fetch(url);
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).length, mods.length);
+  } finally {
+    failing.closeAllConnections();
+    await new Promise(resolve => failing.close(resolve));
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { getCachePaths, writeCache } from '../scripts/lib/cache.js';
+import { validateDocument } from '../scripts/lib/schema.js';
+import { hashFile } from '../scripts/lib/hash.js';
+import { generateShards } from '../scripts/lib/shards.js';
+
+const fixturePath = new URL('./fixtures/cache-mods.json', import.meta.url);
+
+test('leaves fetch status out of the MOD files', () => {
+  const mod = { name: 'A', source_location: 'https://github.com/owner/A', releases: [], last_fetched: null, fetch_status: 'stale' };
+  const { index, shards } = generateShards([mod]);
+
+  assert.deepEqual(shards[0].mod, { name: 'A', source_location: 'https://github.com/owner/A', releases: [] });
+  assert.equal('sha256' in index[0], false);
+});
+
+test('gives MODs from the same repository distinct ids', () => {
+  const mods = ['Discord.Net.Core', 'Discord.Net.Rest'].map(name => ({
+    name,
+    source_location: 'https://github.com/discord-net/Discord.Net',
+    releases: [],
+  }));
+  const { index } = generateShards(mods);
+
+  assert.deepEqual(index.map(entry => entry.path), [
+    'mods/discord-net.Discord.Net.json',
+    'mods/discord-net.Discord.Net.Discord.Net.Rest.json',
+  ]);
+});
+
+test('writes index.json and a file per MOD matching the index hashes', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mod-cache-'));
+  try {
+    const paths = getCachePaths(dir);
+    const mods = JSON.parse(await fs.readFile(fixturePath, 'utf-8'));
+    await writeCache(paths, mods, { command: 'test' });
+
+    const index = JSON.parse(await fs.readFile(paths.index, 'utf-8'));
+    assert.deepEqual(validateDocument('index', index), []);
+    assert.equal(index.mods.length, mods.length);
+
+    for (const entry of index.mods) {
+      const shard = JSON.parse(await fs.readFile(path.join(dir, entry.path), 'utf-8'));
+      assert.deepEqual(validateDocument('mod', shard), []);
+      assert.equal(await hashFile(path.join(dir, entry.path)), entry.sha256);
+    }
+
+    // 取得状況が変わっただけではファイル・ハッシュは変わらない
+    const shardPath = path.join(dir, index.mods[0].path);
+    const before = await fs.readFile(shardPath, 'utf-8');
+    const refetched = mods.map(mod => ({ ...mod, last_fetched: '2030-01-01T00:00:00.000Z', fetch_status: 'fresh' }));
+    await writeCache(paths, refetched, { command: 'audit' });
+    assert.equal(await fs.readFile(shardPath, 'utf-8'), before);
+    assert.deepEqual(JSON.parse(await fs.readFile(paths.index, 'utf-8')).mods, index.mods);
+
+    // キャッシュから消えたMODのファイルは削除
+    await writeCache(paths, mods.slice(1), { command: 'test' });
+    assert.deepEqual(await fs.readdir(paths.modShards), [path.basename(index.mods[1].path)]);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
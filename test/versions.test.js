@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getLatestFields, hasPrereleaseIdentifier, parseVersionTag, selectLatestReleases } from '../scripts/lib/versions.js';
+
+const release = (version, publishedAt, fields = {}) => ({
+  version,
+  download_url: `https://example.com/${version}/Mod.dll`,
+  published_at: publishedAt,
+  prerelease: false,
+  draft: false,
+  ...fields,
+});
+
+test('normalizes release tags to semver', () => {
+  const cases = {
+    'v2.1.1': '2.1.1',
+    '2.1.1': '2.1.1',
+    'release-2.1.1': '2.1.1',
+    'MyMod_v1.2': '1.2.0',
+    '1.0.0-beta': '1.0.0-beta',
+    '1.0beta2': '1.0.0-beta2',
+    'v1.2.3.4': '1.2.3+4',
+    '2024.01.15': '2024.1.15',
+    'v1.0.0+build.5': '1.0.0+build.5',
+    'nightly': null,
+    'build2.0': null,
+    '2.1.1 hotfix': null,
+  };
+  for (const [tag, expected] of Object.entries(cases)) {
+    assert.equal(parseVersionTag(tag), expected, tag);
+  }
+});
+
+test('selects the newest stable release by version, not by publish date', () => {
+  const releases = [
+    release('v1.0.1', '2024-03-01T00:00:00Z'), // 旧バージョンへのバックポート
+    release('v2.0.0-beta', '2024-02-15T00:00:00Z', { prerelease: true }), // 遅れて公開された古いプレリリース
+    release('release-2.0.0', '2024-02-01T00:00:00Z'),
+    release('v2.1.0', '2024-02-20T00:00:00Z', { draft: true }),
+    release('v1.0.0', '2024-01-01T00:00:00Z'),
+  ];
+  const { latest, prerelease } = selectLatestReleases(releases);
+  assert.equal(latest.version, 'release-2.0.0');
+  assert.equal(prerelease, null);
+
+  releases.push(release('v2.1.0-rc.1', '2024-01-10T00:00:00Z', { prerelease: true }));
+  assert.deepEqual(getLatestFields(releases), {
+    latest_version: 'release-2.0.0',
+    latest_download_url: 'https://example.com/release-2.0.0/Mod.dll',
+    latest_prerelease_version: 'v2.1.0-rc.1',
+    latest_prerelease_download_url: 'https://example.com/v2.1.0-rc.1/Mod.dll',
+  });
+});
+
+test('falls back to the publish date for tags that are not semver', () => {
+  const onlyNamed = [release('nightly-b', '2024-02-01T00:00:00Z'), release('nightly-a', '2024-01-01T00:00:00Z')];
+  assert.equal(selectLatestReleases(onlyNamed).latest.version, 'nightly-b');
+
+  // semverのあるリリースを優先し、プレリリースしか無ければ安定版はnull
+  assert.equal(selectLatestReleases([release('latest', '2024-03-01T00:00:00Z'), release('1.0.0', '2024-01-01T00:00:00Z')]).latest.version, '1.0.0');
+  const prereleasesOnly = getLatestFields([release('0.1.0-alpha', '2024-01-01T00:00:00Z', { prerelease: true })]);
+  assert.equal(prereleasesOnly.latest_version, null);
+  assert.equal(prereleasesOnly.latest_prerelease_version, '0.1.0-alpha');
+});
+
+test('trusts the provider prerelease flag over labels in the tag', () => {
+  // HotReloadLib: "-RML"は対応するMODローダーを表すラベル
+  const hotReloadLib = [
+    release('v3.1.0-RML', '2025-08-22T16:12:51Z'),
+    release('v3.0.0-RML', '2024-12-23T13:13:39Z'),
+    release('v2.1.1', '2024-08-21T22:05:38Z'),
+    release('v2.1.0', '2024-03-06T02:38:16Z'),
+  ];
+  assert.equal(getLatestFields(hotReloadLib).latest_version, 'v3.1.0-RML');
+
+  // NoTankControls: Neos向けの"1.0.0"より後に公開されたResonite向けの"1.0.0-resonite"
+  const noTankControls = [release('1.0.0-resonite', '2023-09-26T17:59:30Z'), release('1.0.0', '2022-01-18T06:07:15Z')];
+  assert.equal(getLatestFields(noTankControls).latest_version, '1.0.0-resonite');
+
+  // EyeTrackVR: 公開日時の日付（月.日.年.時刻）をタグ名にしたリリースはsemverとして比較しない
+  const eyeTrackVR = [
+    release('V2.2.0', '2025-08-21T05:42:37Z'),
+    release('v8.20.25.1857', '2025-08-20T22:59:47Z'),
+    release('V9.5.24.1938', '2024-09-06T04:54:08Z'),
+    release('ETVR_Resonite', '2024-06-16T04:24:50Z'),
+  ];
+  assert.equal(getLatestFields(eyeTrackVR).latest_version, 'V2.2.0');
+  assert.equal(parseVersionTag('V9.5.24.1938', '2024-09-06T04:54:08Z'), null);
+  assert.equal(parseVersionTag('V9.5.24.1938'), '9.5.24+1938');
+});
+
+test('detects prereleases from known tag identifiers for providers without a flag', () => {
+  for (const tag of ['1.0.0-beta', 'v2.0.0-rc.1', '1.0alpha2', '3.0.0-pre']) {
+    assert.equal(hasPrereleaseIdentifier(tag), true, tag);
+  }
+  for (const tag of ['v3.1.0-RML', '1.0.0-resonite', '1.0.0', 'nightly']) {
+    assert.equal(hasPrereleaseIdentifier(tag), false, tag);
+  }
+});